@@ -0,0 +1,102 @@
+// Programmatic API: pure functions that plan the files to write, and writeFiles to write them
+
+import path from 'path';
+import {
+  getTarget,
+  getAvailableTargets,
+  getDefaultTargets,
+  loadTargetModule,
+  getKindDirs,
+  resolveOutput,
+  renderCommand as renderForTarget
+} from './targets/index.js';
+import { validateCommand } from './command-schema.js';
+import { loadCommands } from './load-commands.js';
+import { planMcpConfigs, mcpConfigFiles } from './mcp-clients.js';
+
+// Look up registered targets by name, failing on unknown ones
+function resolveTargets(names) {
+  return (names && names.length > 0 ? names : getDefaultTargets()).map(name => {
+    const target = getTarget(name);
+    if (!target) {
+      throw new Error(`Unknown target "${name}". Available targets: ${getAvailableTargets().join(', ')}`);
+    }
+    return target;
+  });
+}
+
+// Plan the conversion of a source directory of YAML commands
+// Returns { files: [{ path, content, target, source }], errors: [{ file, line, message }] };
+// nothing is written. Commands with errors are left out and reported in errors
+export async function convert(options = {}) {
+  const { source = './commands', targets, targetDirs = {}, adapters = [] } = options;
+
+  for (const adapterPath of adapters) {
+    await loadTargetModule(adapterPath);
+  }
+  const resolved = resolveTargets(targets);
+  const { commands, errors } = loadCommands(source);
+  const files = [];
+  const claimed = new Map();
+
+  for (const command of commands) {
+    for (const target of resolved) {
+      const output = resolveOutput(target, command, targetDirs[target.name] || target.outputDir, getKindDirs(targetDirs, target.name));
+      if (!output) continue;
+
+      const owner = claimed.get(output.filepath);
+      if (owner) {
+        errors.push({ file: command._filePath, message: `${output.filepath} is already generated from ${owner}` });
+        continue;
+      }
+      claimed.set(output.filepath, command._filePath);
+
+      files.push({
+        path: output.filepath,
+        content: renderForTarget(target, output.command),
+        target: target.name,
+        source: command._filePath.split(path.sep).join('/')
+      });
+    }
+  }
+
+  return { files, errors };
+}
+
+// Render one command object for a target
+// Returns { path, content, target }, or null when the target doesn't generate it.
+// Throws when the command doesn't validate
+export function renderCommand(command, targetName = 'claude', options = {}) {
+  const [target] = resolveTargets([targetName]);
+  const errors = validateCommand(command).filter(diagnostic => diagnostic.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Invalid command: ${errors.map(error => error.message).join('; ')}`);
+  }
+
+  const prepared = { _subfolder: '', _fileName: command.name, ...command };
+  const output = resolveOutput(target, prepared, options.dir || target.outputDir);
+  if (!output) {
+    return null;
+  }
+  return { path: output.filepath, content: renderForTarget(target, output.command), target: target.name };
+}
+
+// Plan MCP client configs for a set of servers
+// Options: { servers, clients, tokens, cwd, homedir, platform }.
+// Returns { files: [{ path, content, client }], clients: [{ client, label, path, added, skipped }] };
+// nothing is written. Throws on unknown servers or clients and missing tokens
+export function configureMcp(options = {}) {
+  const plans = planMcpConfigs(options);
+  return {
+    files: mcpConfigFiles(plans),
+    clients: plans.map(({ config, existing, ...summary }) => summary)
+  };
+}
+
+export { writeFiles } from './files.js';
+export { registerTarget, getTarget, getAvailableTargets, getDefaultTargets, loadTargetModule } from './targets/index.js';
+export { validateCommand } from './command-schema.js';
+export { loadCommands } from './load-commands.js';
+export { getAvailableServers, getServerConfig } from './mcp-servers.config.js';
+export { getMcpClients } from './mcp-clients.js';
+export { loadServerCatalog } from './mcp-catalog.js';
@@ -0,0 +1,145 @@
+// The toolkit's own commands, downloaded from the latest GitHub release
+//
+//   ~/.command-converter/builtin/<version>/     extracted release archive
+//   ~/.command-converter/builtin/current.json   { version, url, sha256, updatedAt }
+//
+// The archive is verified against the checksum file published next to it
+// (<archive url>.sha256) and extracted into a temporary directory that is
+// renamed into place, so an interrupted update never leaves a partial cache.
+
+import fs from 'fs';
+import path from 'path';
+import { fetchText, fetchToFile, parseChecksum } from './fetch.js';
+import { extractArchive, getCacheDir } from './sources.js';
+
+export const DEFAULT_COMMANDS_URL = 'https://github.com/RobDoan/ai-cli-toolkit/releases/latest/download/commands.tar.gz';
+
+// Cached commands older than this get a hint to run `ait commands update`
+export const STALE_AFTER_DAYS = 30;
+
+function getBuiltinDir() {
+  return path.join(getCacheDir(), 'builtin');
+}
+
+function getCurrentPath() {
+  return path.join(getBuiltinDir(), 'current.json');
+}
+
+// Read the record of the cached release; null when nothing valid is cached
+export function readCurrent() {
+  try {
+    const current = JSON.parse(fs.readFileSync(getCurrentPath(), 'utf8'));
+    return fs.existsSync(path.join(getBuiltinDir(), current.version)) ? current : null;
+  } catch {
+    return null;
+  }
+}
+
+// Commands directory of a cached release (archives hold a top-level commands/)
+function commandsDirOf(version) {
+  const versionDir = path.join(getBuiltinDir(), version);
+  const commandsDir = path.join(versionDir, 'commands');
+  return fs.existsSync(commandsDir) ? commandsDir : versionDir;
+}
+
+// Get the cached commands directory and how old it is, or null when nothing is cached
+export function getCachedCommands() {
+  const current = readCurrent();
+  if (!current) {
+    return null;
+  }
+  const ageDays = (Date.now() - Date.parse(current.updatedAt)) / 86_400_000;
+  return { ...current, dir: commandsDirOf(current.version), ageDays };
+}
+
+// Release version of a download: the tag of the /releases/download/<tag>/ URL GitHub
+// redirects through (the last hop is a signed asset URL), otherwise the checksum
+function versionOf(redirects, sha256) {
+  for (const url of redirects) {
+    const match = new URL(url).pathname.match(/\/releases\/download\/([^/]+)\//);
+    if (match) {
+      return decodeURIComponent(match[1]);
+    }
+  }
+  return `sha256-${sha256.slice(0, 12)}`;
+}
+
+// Write a file through a temporary file and a rename
+function writeAtomic(filepath, content) {
+  const tmpPath = `${filepath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, filepath);
+}
+
+// Download the latest commands into the cache and make them current
+// Options: url, checksumUrl, skipChecksum, and fetch options (timeout, retries, ...).
+// Resolves with { version, dir, changed }; older cached releases are removed
+export async function updateBuiltinCommands(options = {}) {
+  const {
+    url = process.env.COMMANDS_DOWNLOAD_URL || DEFAULT_COMMANDS_URL,
+    checksumUrl = process.env.COMMANDS_CHECKSUM_URL || `${url}.sha256`,
+    skipChecksum = false,
+    ...fetchOptions
+  } = options;
+
+  const builtinDir = getBuiltinDir();
+  fs.mkdirSync(builtinDir, { recursive: true });
+
+  let expected;
+  if (!skipChecksum) {
+    try {
+      expected = parseChecksum((await fetchText(checksumUrl, fetchOptions)).text);
+    } catch (error) {
+      throw new Error(`Could not get the checksum of the commands archive from ${checksumUrl}: ${error.message}`);
+    }
+  }
+
+  const archivePath = path.join(builtinDir, `download-${process.pid}.tar.gz`);
+  const extractDir = path.join(builtinDir, `.extract-${process.pid}`);
+  try {
+    const download = await fetchToFile(url, archivePath, { ...fetchOptions, sha256: expected });
+    const version = versionOf(download.redirects, download.sha256);
+    const versionDir = path.join(builtinDir, version);
+    const current = readCurrent();
+    const changed = !current || current.version !== version || current.sha256 !== download.sha256;
+
+    if (changed || !fs.existsSync(versionDir)) {
+      fs.rmSync(extractDir, { recursive: true, force: true });
+      fs.mkdirSync(extractDir);
+      await extractArchive(archivePath, extractDir);
+      fs.rmSync(versionDir, { recursive: true, force: true });
+      fs.renameSync(extractDir, versionDir);
+    }
+
+    // The requested URL is recorded, as the final one is signed and expires
+    writeAtomic(getCurrentPath(), JSON.stringify({
+      version,
+      url,
+      sha256: download.sha256,
+      updatedAt: new Date().toISOString()
+    }, null, 2) + '\n');
+
+    // Keep only the current release
+    for (const entry of fs.readdirSync(builtinDir, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== version && !entry.name.startsWith('.')) {
+        fs.rmSync(path.join(builtinDir, entry.name), { recursive: true, force: true });
+      }
+    }
+
+    return { version, dir: commandsDirOf(version), changed };
+  } finally {
+    fs.rmSync(archivePath, { force: true });
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+}
+
+// Remove every cached download (built-in commands and remote sources)
+// Resolves with the removed directory, or null when there was no cache
+export function clearCache() {
+  const cacheDir = getCacheDir();
+  if (!fs.existsSync(cacheDir)) {
+    return null;
+  }
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  return cacheDir;
+}
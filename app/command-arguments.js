@@ -0,0 +1,243 @@
+// Named argument support for YAML commands
+//
+// Commands can declare their parameters instead of a free-form hint:
+//
+//   arguments:
+//     - name: feature_name
+//       description: Name of the feature
+//     - name: context
+//       description: Additional context for the request
+//       default: none
+//
+// Prompts reference them as {{feature_name}} and every target renders them
+// in its own native syntax.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const DEFAULTS_HEADING = 'If an argument is not provided, use its default:';
+
+// Preamble for targets that only pass the raw argument text along
+function parsingPreamble(source) {
+  return `Arguments: ${source}\n\nParse the arguments above as positional values in this order:\n`;
+}
+
+const GEMINI_PREAMBLE = parsingPreamble('{{args}}');
+
+// Normalize the declared arguments of a command (empty for legacy string hints)
+export function getDeclaredArguments(command) {
+  if (!Array.isArray(command.arguments)) {
+    return [];
+  }
+
+  return command.arguments.map((arg, index) => {
+    const declared = typeof arg === 'string' ? { name: arg } : { ...arg };
+    return {
+      name: declared.name,
+      description: declared.description || '',
+      default: declared.default,
+      position: index + 1
+    };
+  });
+}
+
+// Build the argument hint shown by CLI autocompletion
+export function buildArgumentHint(command) {
+  if (typeof command.arguments === 'string') {
+    return command.arguments;
+  }
+
+  const args = getDeclaredArguments(command);
+  if (args.length === 0) {
+    return null;
+  }
+
+  return args.map(arg => `[${arg.name}]`).join(' ');
+}
+
+// Replace {{name}} placeholders of declared arguments, leaving anything else untouched
+function replacePlaceholders(text, args, render) {
+  const byName = new Map(args.map(arg => [arg.name, arg]));
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const arg = byName.get(name);
+    return arg ? render(arg) : match;
+  });
+}
+
+// Describe declared defaults for targets without native default support
+function appendDefaults(text, args, reference) {
+  const withDefaults = args.filter(arg => arg.default !== undefined);
+  if (withDefaults.length === 0) {
+    return text;
+  }
+
+  const lines = withDefaults.map(arg => `- ${reference(arg)}: ${arg.default}`);
+  return `${text.trimEnd()}\n\n${DEFAULTS_HEADING}\n${lines.join('\n')}\n`;
+}
+
+// Claude Code: positional $1, $2, ...
+export function renderClaudeArguments(text, command) {
+  const args = getDeclaredArguments(command);
+  if (args.length === 0) {
+    return text;
+  }
+
+  const rendered = replacePlaceholders(text, args, arg => `$${arg.position}`);
+  return appendDefaults(rendered, args, arg => `$${arg.position} (${arg.name})`);
+}
+
+// GitHub Copilot: ${input:name} or ${input:name:placeholder}
+export function renderCopilotArguments(text, command) {
+  const args = getDeclaredArguments(command);
+  if (args.length === 0) {
+    return text;
+  }
+
+  const rendered = replacePlaceholders(text, args, arg => {
+    const placeholder = arg.description.replace(/[{}]/g, '');
+    return placeholder ? `\${input:${arg.name}:${placeholder}}` : `\${input:${arg.name}}`;
+  });
+  return appendDefaults(rendered, args, arg => arg.name);
+}
+
+// Ask the model to parse raw argument text (e.g. Gemini's {{args}}) into named values
+export function renderParsedArguments(text, command, source) {
+  const args = getDeclaredArguments(command);
+  if (args.length === 0) {
+    return text;
+  }
+
+  const lines = args.map(arg => {
+    let line = `${arg.position}. <${arg.name}>`;
+    if (arg.description) {
+      line += ` - ${arg.description}`;
+    }
+    if (arg.default !== undefined) {
+      line += ` (default: ${arg.default})`;
+    }
+    return line;
+  });
+
+  const preamble = `${parsingPreamble(source)}${lines.join('\n')}\n\n`;
+
+  return preamble + replacePlaceholders(text, args, arg => `<${arg.name}>`);
+}
+
+// Gemini CLI: only {{args}} exists, so ask the model to parse it into named values
+export function renderGeminiArguments(text, command) {
+  return renderParsedArguments(text, command, '{{args}}');
+}
+
+// Codex CLI: named placeholders are uppercase ($FEATURE_NAME) and passed as FEATURE_NAME=value
+function toCodexName(name) {
+  return name.replace(/-/g, '_').toUpperCase();
+}
+
+export function buildCodexArgumentHint(command) {
+  const args = getDeclaredArguments(command);
+  if (args.length === 0) {
+    return buildArgumentHint(command);
+  }
+
+  return args.map(arg => `${toCodexName(arg.name)}=<${arg.name}>`).join(' ');
+}
+
+export function renderCodexArguments(text, command) {
+  const args = getDeclaredArguments(command);
+  if (args.length === 0) {
+    return text;
+  }
+
+  const rendered = replacePlaceholders(text, args, arg => `$${toCodexName(arg.name)}`);
+  return appendDefaults(rendered, args, arg => `$${toCodexName(arg.name)}`);
+}
+
+// Split off a defaults section appended by appendDefaults, keyed by reference text
+function extractDefaults(text) {
+  const index = text.lastIndexOf(`\n\n${DEFAULTS_HEADING}\n`);
+  if (index === -1) {
+    return { text, defaults: new Map() };
+  }
+
+  const defaults = new Map();
+  const lines = text.slice(index + DEFAULTS_HEADING.length + 3).split('\n').filter(Boolean);
+  for (const line of lines) {
+    const match = line.match(/^- (.+?): (.*)$/);
+    if (!match) {
+      return { text, defaults: new Map() };
+    }
+    defaults.set(match[1], match[2]);
+  }
+
+  return { text: text.slice(0, index) + '\n', defaults };
+}
+
+// Build an argument declaration, omitting empty fields
+function declareArgument(name, description, defaultValue) {
+  const arg = { name };
+  if (description) arg.description = description;
+  if (defaultValue !== undefined) arg.default = defaultValue;
+  return arg;
+}
+
+// Reverse renderClaudeArguments using the names in an argument hint like "[a] [b]"
+export function restoreClaudeArguments(text, hint) {
+  const isNameList = typeof hint === 'string' && /^\s*(\[[A-Za-z_][\w-]*\]\s*)+$/.test(hint);
+  const names = isNameList ? hint.match(/[A-Za-z_][\w-]*/g) : null;
+  if (!names || !/\$\d/.test(text)) {
+    return { prompt: text, arguments: hint || undefined };
+  }
+
+  const { text: body, defaults } = extractDefaults(text);
+  const prompt = body.replace(/\$(\d+)(?!\d)/g, (match, position) => {
+    const name = names[Number(position) - 1];
+    return name ? `{{${name}}}` : match;
+  });
+
+  return {
+    prompt,
+    arguments: names.map((name, index) => declareArgument(name, '', defaults.get(`$${index + 1} (${name})`)))
+  };
+}
+
+// Reverse renderCopilotArguments: ${input:name:placeholder} -> {{name}}
+export function restoreCopilotArguments(text) {
+  const { text: body, defaults } = extractDefaults(text);
+  const declared = new Map();
+
+  const prompt = body.replace(/\$\{input:([A-Za-z_][\w-]*)(?::([^}]*))?\}/g, (match, name, placeholder) => {
+    if (!declared.has(name)) {
+      declared.set(name, declareArgument(name, placeholder, defaults.get(name)));
+    }
+    return `{{${name}}}`;
+  });
+
+  if (declared.size === 0) {
+    return { prompt: text, arguments: undefined };
+  }
+  return { prompt, arguments: [...declared.values()] };
+}
+
+// Reverse renderGeminiArguments by reading back the generated preamble
+export function restoreGeminiArguments(text) {
+  if (!text.startsWith(GEMINI_PREAMBLE)) {
+    return { prompt: text, arguments: undefined };
+  }
+
+  const rest = text.slice(GEMINI_PREAMBLE.length);
+  const end = rest.indexOf('\n\n');
+  const lines = (end === -1 ? rest : rest.slice(0, end)).split('\n');
+  const args = [];
+
+  for (const line of lines) {
+    const match = line.match(/^\d+\. <([A-Za-z_][\w-]*)>(?: - (.*?))?(?: \(default: (.*)\))?$/);
+    if (!match) {
+      return { prompt: text, arguments: undefined };
+    }
+    args.push(declareArgument(match[1], match[2], match[3]));
+  }
+
+  const names = new Set(args.map(arg => arg.name));
+  const body = end === -1 ? '' : rest.slice(end + 2);
+  const prompt = body.replace(/<([A-Za-z_][\w-]*)>/g, (match, name) => (names.has(name) ? `{{${name}}}` : match));
+
+  return { prompt, arguments: args };
+}
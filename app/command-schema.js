@@ -0,0 +1,284 @@
+// Schema for the universal YAML command format
+// Used by the converter to reject broken files and by `ait lint` to report them
+
+import { getDeclaredArguments } from './command-arguments.js';
+import { getAvailableTargets } from './targets/index.js';
+import { renderConditionals } from './conditionals.js';
+import { CANONICAL_TOOLS, parseTool } from './tools.js';
+
+// command: slash command; agent: subagent / chat mode; context: project instructions (CLAUDE.md, ...)
+export const DOCUMENT_KINDS = ['command', 'agent', 'context'];
+
+export const commandSchema = {
+  kind: { type: 'string', pattern: new RegExp(`^(${DOCUMENT_KINDS.join('|')})$`) },
+  name: { type: 'string', required: true, pattern: /^[A-Za-z0-9][\w.-]*$/ },
+  description: { type: 'string' },
+  prompt: { type: 'string', required: true },
+  arguments: { type: ['string', 'array'] },
+  tools: { type: 'array', items: 'string' },
+  model: { type: 'string' },
+  targets: { type: 'object' }
+};
+
+// Fields a command can change for one platform under `targets.<name>`
+export const targetOverrideSchema = {
+  enabled: { type: 'boolean' },
+  description: { type: 'string' },
+  prompt: { type: 'string' },
+  prompt_prepend: { type: 'string' },
+  prompt_append: { type: 'string' },
+  arguments: { type: ['string', 'array'] },
+  tools: { type: 'array', items: 'string' },
+  model: { type: 'string' }
+};
+
+export const argumentSchema = {
+  name: { type: 'string', required: true, pattern: /^[A-Za-z_][\w-]*$/ },
+  description: { type: 'string' },
+  default: { type: ['string', 'number', 'boolean'] }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Check if a file name is a YAML command
+export function isCommandFile(name) {
+  return name.endsWith('.yaml') || name.endsWith('.yml');
+}
+
+// Get the YAML type name of a value
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Find the 1-based line of a top-level key (or the first line containing text)
+export function findLine(content, needle, { key = false } = {}) {
+  if (!content) return 1;
+
+  const lines = content.split('\n');
+  const index = lines.findIndex(line => (key ? new RegExp(`^${needle}\\s*:`).test(line) : line.includes(needle)));
+  return index === -1 ? 1 : index + 1;
+}
+
+// Check a set of fields against a schema
+export function validateFields(value, schema, context) {
+  const diagnostics = [];
+  const { content, prefix = '', line } = context;
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldValue = value[field];
+    const label = `${prefix}${field}`;
+    const fieldLine = line || findLine(content, field, { key: true });
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) {
+        diagnostics.push({ severity: 'error', rule: 'required-field', line: line || 1, message: `Missing required field "${label}"` });
+      }
+      continue;
+    }
+
+    const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const actual = typeOf(fieldValue);
+    if (!allowed.includes(actual)) {
+      diagnostics.push({ severity: 'error', rule: 'field-type', line: fieldLine, message: `Field "${label}" must be ${allowed.join(' or ')}, got ${actual}` });
+      continue;
+    }
+
+    if (rule.pattern && actual === 'string' && !rule.pattern.test(fieldValue)) {
+      diagnostics.push({ severity: 'error', rule: 'field-format', line: fieldLine, message: `Field "${label}" has invalid value "${fieldValue}"` });
+    }
+
+    if (rule.items && actual === 'array') {
+      fieldValue.forEach((item, index) => {
+        if (typeOf(item) !== rule.items) {
+          diagnostics.push({ severity: 'error', rule: 'field-type', line: fieldLine, message: `Field "${label}[${index}]" must be ${rule.items}, got ${typeOf(item)}` });
+        }
+      });
+    }
+  }
+
+  for (const field of Object.keys(value)) {
+    if (!schema[field] && !field.startsWith('_')) {
+      diagnostics.push({ severity: 'warning', rule: 'unknown-key', line: line || findLine(content, field, { key: true }), message: `Unknown key "${prefix}${field}"` });
+    }
+  }
+
+  return diagnostics;
+}
+
+// Validate declared arguments
+function validateArguments(command, content) {
+  if (!Array.isArray(command.arguments)) return [];
+
+  const line = findLine(content, 'arguments', { key: true });
+  const diagnostics = [];
+  const seen = new Set();
+
+  command.arguments.forEach((arg, index) => {
+    const prefix = `arguments[${index}].`;
+    if (typeof arg === 'string') {
+      diagnostics.push(...validateFields({ name: arg }, argumentSchema, { content, prefix, line }));
+    } else if (typeOf(arg) === 'object') {
+      diagnostics.push(...validateFields(arg, argumentSchema, { content, prefix, line }));
+    } else {
+      diagnostics.push({ severity: 'error', rule: 'field-type', line, message: `Field "arguments[${index}]" must be string or object, got ${typeOf(arg)}` });
+      return;
+    }
+
+    const name = typeof arg === 'string' ? arg : arg.name;
+    if (seen.has(name)) {
+      diagnostics.push({ severity: 'error', rule: 'duplicate-argument', line, message: `Argument "${name}" is declared more than once` });
+    }
+    seen.add(name);
+  });
+
+  return diagnostics;
+}
+
+// Report {{placeholders}} the prompt (or a target's prompt text) uses without declaring them
+function validatePlaceholders(command, content) {
+  if (typeof command.prompt !== 'string') return [];
+
+  const reported = new Set();
+  const diagnostics = [];
+
+  const check = (text, declaringCommand) => {
+    const declared = new Set(getDeclaredArguments(declaringCommand).map(arg => arg.name));
+    for (const [match, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (declared.has(name) || reported.has(name)) continue;
+      reported.add(name);
+      diagnostics.push({ severity: 'error', rule: 'undeclared-placeholder', line: findLine(content, match), message: `Placeholder "{{${name}}}" is not declared in arguments` });
+    }
+  };
+
+  check(command.prompt, command);
+  if (typeOf(command.targets) === 'object') {
+    for (const overrides of Object.values(command.targets)) {
+      if (typeOf(overrides) !== 'object') continue;
+      const declaringCommand = overrides.arguments !== undefined ? overrides : command;
+      ['prompt', 'prompt_prepend', 'prompt_append']
+        .filter(field => typeof overrides[field] === 'string')
+        .forEach(field => check(overrides[field], declaringCommand));
+    }
+  }
+
+  return diagnostics;
+}
+
+// Validate the per-target `targets:` block
+function validateTargets(command, content) {
+  if (typeOf(command.targets) !== 'object') return [];
+
+  const line = findLine(content, 'targets', { key: true });
+  const known = getAvailableTargets();
+  const diagnostics = [];
+
+  for (const [name, overrides] of Object.entries(command.targets)) {
+    if (!known.includes(name)) {
+      diagnostics.push({ severity: 'warning', rule: 'unknown-target', line, message: `Unknown target "${name}" in targets (known: ${known.join(', ')})` });
+    }
+    if (typeOf(overrides) !== 'object') {
+      diagnostics.push({ severity: 'error', rule: 'field-type', line, message: `Field "targets.${name}" must be object, got ${typeOf(overrides)}` });
+      continue;
+    }
+    diagnostics.push(...validateFields(overrides, targetOverrideSchema, { content, prefix: `targets.${name}.`, line }));
+  }
+
+  return diagnostics;
+}
+
+// Report unbalanced <!-- if:... --> blocks and unknown target names in prompt text
+function validateConditionals(command, content) {
+  const texts = [command.prompt];
+  if (typeOf(command.targets) === 'object') {
+    for (const overrides of Object.values(command.targets)) {
+      if (typeOf(overrides) !== 'object') continue;
+      texts.push(overrides.prompt, overrides.prompt_prepend, overrides.prompt_append);
+    }
+  }
+
+  const diagnostics = [];
+  for (const text of texts.filter(text => typeof text === 'string')) {
+    try {
+      renderConditionals(text, null, getAvailableTargets());
+    } catch (error) {
+      diagnostics.push({ severity: 'error', rule: 'conditional', line: findLine(content, error.directive), message: error.message });
+    }
+  }
+  return diagnostics;
+}
+
+// Report tools outside the canonical vocabulary
+function validateTools(command, content) {
+  const lists = [command.tools];
+  if (typeOf(command.targets) === 'object') {
+    Object.values(command.targets).forEach(overrides => lists.push(overrides && overrides.tools));
+  }
+
+  return lists
+    .filter(Array.isArray)
+    .flat()
+    .filter(tool => typeof tool === 'string' && !parseTool(tool))
+    .map(tool => ({ severity: 'warning', rule: 'unknown-tool', line: findLine(content, tool), message: `Tool "${tool}" is not in the tool vocabulary (${CANONICAL_TOOLS.join(', ')}, mcp:<server>/<tool>)` }));
+}
+
+// Warn about command-only fields in agents and context documents
+function validateKind(command, content) {
+  if (!command.kind || command.kind === 'command' || command.arguments === undefined) return [];
+
+  return [{ severity: 'warning', rule: 'kind-field', line: findLine(content, 'arguments', { key: true }), message: `Field "arguments" is ignored for kind "${command.kind}"` }];
+}
+
+// Validate a parsed command; content is the raw YAML used to locate lines
+export function validateCommand(command, content = '') {
+  if (typeOf(command) !== 'object') {
+    return [{ severity: 'error', rule: 'document-type', line: 1, message: `Command file must contain a mapping, got ${typeOf(command)}` }];
+  }
+
+  return [
+    ...validateFields(command, commandSchema, { content }),
+    ...validateArguments(command, content),
+    ...validatePlaceholders(command, content),
+    ...validateTargets(command, content),
+    ...validateConditionals(command, content),
+    ...validateTools(command, content),
+    ...validateKind(command, content)
+  ].sort((a, b) => a.line - b.line);
+}
+
+// Find commands sharing a name; same folder collides on disk, across folders it is ambiguous
+// Names are compared per kind, and there can only be one context document
+export function findDuplicateNames(commands) {
+  const diagnostics = [];
+  const byName = new Map();
+
+  for (const command of commands) {
+    if (typeof command.name !== 'string') continue;
+    const kind = command.kind || 'command';
+    const key = kind === 'context' ? kind : `${kind}:${command.name}`;
+    const existing = byName.get(key);
+    if (existing) {
+      // Agents and context files are written flat, so they collide from any folder
+      const sameFolder = kind !== 'command' || existing._subfolder === command._subfolder;
+      diagnostics.push({
+        file: command._filePath,
+        severity: sameFolder ? 'error' : 'warning',
+        rule: 'duplicate-name',
+        line: findLine(command._content, 'name', { key: true }),
+        message: kind === 'context'
+          ? `Context document is already defined by ${existing._filePath}`
+          : `${kind === 'command' ? 'Command' : 'Agent'} name "${command.name}" is already used by ${existing._filePath}`
+      });
+    } else {
+      byName.set(key, command);
+    }
+  }
+
+  return diagnostics;
+}
+
+// Check if any diagnostic is an error
+export function hasErrors(diagnostics) {
+  return diagnostics.some(diagnostic => diagnostic.severity === 'error');
+}
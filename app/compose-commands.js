@@ -0,0 +1,134 @@
+// Template composition for YAML commands
+//
+//   extends: partials/base.yaml                inherit fields from a base command
+//   {% include "partials/context.md" %}        inline a file into the prompt
+//
+// Paths are relative to the source directory. Files below a `partials`
+// directory are building blocks only and are never converted on their own.
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+export const PARTIALS_DIR = 'partials';
+
+// An include alone on its line is indented like the line; otherwise it is inlined
+const INCLUDE_PATTERN = /^([ \t]*)\{%\s*include\s+["']([^"']+)["']\s*%\}[ \t]*$|\{%\s*include\s+["']([^"']+)["']\s*%\}/gm;
+
+export class CompositionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompositionError';
+  }
+}
+
+// Check if a source-relative path lies inside a partials directory
+export function isPartialPath(relativePath) {
+  return relativePath.split(/[\\/]/).slice(0, -1).includes(PARTIALS_DIR);
+}
+
+// Source-relative path with forward slashes
+function toKey(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+export class CommandComposer {
+  constructor(sourceDir) {
+    this.sourceDir = sourceDir;
+  }
+
+  // Resolve a referenced path inside the source directory
+  resolvePath(reference, referrer) {
+    const relativePath = path.normalize(reference);
+    if (path.isAbsolute(relativePath) || relativePath.startsWith('..')) {
+      throw new CompositionError(`${referrer}: "${reference}" must be a path inside the source directory`);
+    }
+    return toKey(relativePath);
+  }
+
+  readFile(relativePath, referrer) {
+    const fullPath = path.join(this.sourceDir, relativePath);
+    if (!fs.existsSync(fullPath)) {
+      throw new CompositionError(`${referrer}: "${relativePath}" not found`);
+    }
+    return fs.readFileSync(fullPath, 'utf8');
+  }
+
+  // Fail when a file is already being composed further up the chain
+  checkCycle(relativePath, stack, kind) {
+    if (stack.includes(relativePath)) {
+      throw new CompositionError(`${kind} cycle: ${[...stack, relativePath].join(' -> ')}`);
+    }
+  }
+
+  // Merge the chain of base commands under the command's own fields
+  resolveExtends(command, stack, dependencies) {
+    if (command.extends === undefined || command.extends === null) {
+      return command;
+    }
+
+    const referrer = stack[stack.length - 1];
+    if (typeof command.extends !== 'string') {
+      throw new CompositionError(`${referrer}: "extends" must be a string`);
+    }
+
+    const basePath = this.resolvePath(command.extends, referrer);
+    this.checkCycle(basePath, stack, 'Extends');
+    dependencies.add(basePath);
+
+    let base;
+    try {
+      base = yaml.load(this.readFile(basePath, referrer));
+    } catch (error) {
+      if (error instanceof CompositionError) throw error;
+      throw new CompositionError(`${basePath}: ${error.reason || error.message}`);
+    }
+    if (!base || typeof base !== 'object' || Array.isArray(base)) {
+      throw new CompositionError(`${basePath}: base command must contain a mapping`);
+    }
+
+    const { extends: _, ...fields } = command;
+    return { ...this.resolveExtends(base, [...stack, basePath], dependencies), ...fields };
+  }
+
+  // Replace include directives with the referenced files, recursively
+  expandIncludes(text, stack, dependencies) {
+    const referrer = stack[stack.length - 1];
+
+    return text.replace(INCLUDE_PATTERN, (match, indent, linePath, inlinePath) => {
+      const includePath = this.resolvePath(linePath || inlinePath, referrer);
+      this.checkCycle(includePath, stack, 'Include');
+      dependencies.add(includePath);
+
+      const included = this.expandIncludes(this.readFile(includePath, referrer), [...stack, includePath], dependencies)
+        .replace(/\n$/, '');
+
+      if (linePath === undefined) {
+        return included;
+      }
+      return included
+        .split('\n')
+        .map(line => (line ? indent + line : line))
+        .join('\n');
+    });
+  }
+
+  // Compose a parsed command loaded from relativePath
+  // Returns a new command with `extends` merged and includes expanded, plus
+  // `_dependencies`: the source-relative paths of every file it was built from
+  compose(command, relativePath) {
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+      return command; // Left for validation to report
+    }
+
+    const key = toKey(relativePath);
+    const dependencies = new Set();
+    const composed = this.resolveExtends(command, [key], dependencies);
+
+    if (typeof composed.prompt === 'string') {
+      composed.prompt = this.expandIncludes(composed.prompt, [key], dependencies);
+    }
+    composed._dependencies = [...dependencies];
+    return composed;
+  }
+}
@@ -0,0 +1,86 @@
+// Conditional prompt sections keyed on the target platform
+//
+//   <!-- if:claude -->            kept only for Claude
+//   <!-- if:copilot,gemini -->    kept for any of the listed targets
+//   <!-- if:!gemini -->           kept for every target except the listed ones
+//   <!-- else -->
+//   <!-- endif -->
+//
+// Blocks can be nested. A directive alone on its line is removed with the line.
+
+const DIRECTIVE_PATTERN = /^[ \t]*<!--\s*(if:[^>]*?|else|endif)\s*-->[ \t]*(?:\n|$)|<!--\s*(if:[^>]*?|else|endif)\s*-->/gm;
+
+export class ConditionalError extends Error {
+  constructor(message, directive) {
+    super(message);
+    this.name = 'ConditionalError';
+    this.directive = directive;
+  }
+}
+
+// Build a predicate for the target list of an if: directive
+function parseCondition(expression, directive, knownTargets) {
+  const names = expression.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new ConditionalError(`${directive} has no target names`, directive);
+  }
+
+  const negated = names.filter(name => name.startsWith('!'));
+  if (negated.length > 0 && negated.length < names.length) {
+    throw new ConditionalError(`${directive} cannot mix included and excluded targets`, directive);
+  }
+
+  const targets = names.map(name => name.replace(/^!/, ''));
+  const unknown = knownTargets ? targets.filter(name => !knownTargets.includes(name)) : [];
+  if (unknown.length > 0) {
+    throw new ConditionalError(`${directive} names unknown target "${unknown[0]}" (known: ${knownTargets.join(', ')})`, directive);
+  }
+
+  return negated.length > 0
+    ? targetName => !targets.includes(targetName)
+    : targetName => targets.includes(targetName);
+}
+
+// Keep the sections of a prompt that apply to a target
+// Throws a ConditionalError for unbalanced blocks and, when knownTargets is
+// given, for target names outside of it
+export function renderConditionals(text, targetName, knownTargets) {
+  const stack = [];
+  const emitting = () => stack.every(frame => frame.active);
+  let output = '';
+  let last = 0;
+
+  for (const match of text.matchAll(DIRECTIVE_PATTERN)) {
+    if (emitting()) {
+      output += text.slice(last, match.index);
+    }
+    last = match.index + match[0].length;
+
+    const directive = match[0].trim();
+    const keyword = (match[1] || match[2]).trim();
+
+    if (keyword.startsWith('if:')) {
+      const test = parseCondition(keyword.slice(3), directive, knownTargets);
+      stack.push({ active: test(targetName), directive, inElse: false });
+    } else if (keyword === 'else') {
+      const frame = stack[stack.length - 1];
+      if (!frame || frame.inElse) {
+        throw new ConditionalError(`${directive} has no matching <!-- if:... -->`, directive);
+      }
+      frame.active = !frame.active;
+      frame.inElse = true;
+    } else if (!stack.pop()) {
+      throw new ConditionalError(`${directive} has no matching <!-- if:... -->`, directive);
+    }
+  }
+
+  if (stack.length > 0) {
+    const { directive } = stack[stack.length - 1];
+    throw new ConditionalError(`${directive} is never closed with <!-- endif -->`, directive);
+  }
+
+  if (emitting()) {
+    output += text.slice(last);
+  }
+  return output;
+}
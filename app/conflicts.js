@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import inquirer from 'inquirer';
+import { createUnifiedDiff, colorizeDiff } from './diff.js';
+
+export const CONFLICT_POLICIES = ['prompt', 'overwrite', 'skip', 'fail', 'diff', 'backup'];
+
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+// Copy a file next to itself with a timestamp suffix and return the backup path
+export function backupFile(filepath) {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  let backupPath = `${filepath}.${timestamp}.bak`;
+  for (let index = 1; fs.existsSync(backupPath); index++) {
+    backupPath = `${filepath}.${timestamp}-${index}.bak`;
+  }
+  fs.copyFileSync(filepath, backupPath);
+  return backupPath;
+}
+
+// Back up a file like backupFile and remove the earlier backups of it, so only the latest is kept
+export function replaceBackup(filepath) {
+  const backupPath = backupFile(filepath);
+  const name = path.basename(filepath).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${name}\\.\\d{8}T\\d{6}Z(-\\d+)?\\.bak$`);
+  for (const entry of fs.readdirSync(path.dirname(filepath))) {
+    if (pattern.test(entry) && entry !== path.basename(backupPath)) {
+      fs.rmSync(path.join(path.dirname(filepath), entry));
+    }
+  }
+  return backupPath;
+}
+
+// Decides what happens when an output file already exists with different content
+//
+//   prompt     ask (with overwrite all / skip all / show diff); refuses without a TTY
+//   overwrite  replace the file
+//   skip       keep the existing file
+//   fail       stop with a ConflictError
+//   diff       print a unified diff and keep the existing file
+//   backup     save a timestamped copy, then replace the file
+export class ConflictResolver {
+  constructor(options = {}) {
+    this.policy = options.policy || 'prompt';
+    this.interactive = options.interactive ?? Boolean(process.stdin.isTTY);
+    this.log = options.log || console.log;
+    this.prompt = options.prompt || inquirer.prompt;
+
+    if (!CONFLICT_POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown conflict policy "${this.policy}". Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+  }
+
+  // Print a unified diff between the existing content (by default the file) and the new content
+  showDiff(conflict) {
+    const existing = conflict.existing ?? fs.readFileSync(conflict.filepath, 'utf8');
+    const diff = createUnifiedDiff(existing, conflict.content, {
+      oldLabel: `${conflict.displayPath} (existing)`,
+      newLabel: `${conflict.displayPath} (generated)`
+    });
+    this.log(colorizeDiff(diff));
+  }
+
+  // Ask the user, remembering "all" answers for the rest of the run
+  async ask(conflict) {
+    if (!this.interactive) {
+      throw new ConflictError(
+        `${conflict.displayPath} ${conflict.reason}, and ${process.stdin.isTTY ? 'prompts are disabled' : 'stdin is not a TTY'}. ` +
+        `Use --on-conflict=${CONFLICT_POLICIES.filter(policy => policy !== 'prompt').join('|')}`
+      );
+    }
+
+    for (;;) {
+      const { action } = await this.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `⚠️  ${conflict.label} file ${conflict.displayPath} ${conflict.reason}. What do you want to do?`,
+          choices: [
+            { name: 'Override', value: 'overwrite' },
+            { name: 'Skip', value: 'skip' },
+            { name: 'Show diff', value: 'diff' },
+            { name: 'Override all', value: 'overwrite-all' },
+            { name: 'Skip all', value: 'skip-all' }
+          ]
+        }
+      ]);
+
+      if (action === 'diff') {
+        this.showDiff(conflict);
+        continue;
+      }
+      if (action.endsWith('-all')) {
+        this.policy = action.replace('-all', '');
+        return this.policy;
+      }
+      return action;
+    }
+  }
+
+  // Resolve a conflict to 'overwrite' or 'skip'
+  // conflict: { label, displayPath, filepath, content, reason, existing? }
+  async resolve(conflict) {
+    switch (this.policy) {
+      case 'overwrite':
+      case 'skip':
+        return this.policy;
+      case 'fail':
+        throw new ConflictError(`${conflict.displayPath} ${conflict.reason}`);
+      case 'diff':
+        this.showDiff(conflict);
+        return 'skip';
+      case 'backup': {
+        const backupPath = backupFile(conflict.filepath);
+        this.log(`💾 Backed up ${conflict.displayPath} to ${backupPath}`);
+        return 'overwrite';
+      }
+      default:
+        return this.ask(conflict);
+    }
+  }
+}
@@ -1,464 +1,635 @@
 import fs from 'fs';
-import inquirer from 'inquirer';
 import path from 'path';
-import yaml from 'js-yaml';
-import https from 'https';
-import { spawn } from 'child_process';
+import {
+  getAvailableTargets,
+  getDefaultTargets,
+  getKindDirs,
+  getTarget,
+  loadTargetModule,
+  renderCommand,
+  resolveOutput
+} from './targets/index.js';
+import { Manifest, DEFAULT_MANIFEST_PATH, hashContent } from './manifest.js';
+import { ConflictResolver, ConflictError, CONFLICT_POLICIES } from './conflicts.js';
+import { CommandWatcher } from './watch-commands.js';
+import { listCommandFiles, loadCommand } from './load-commands.js';
+import { mapTools, parseTool } from './tools.js';
+import { STALE_AFTER_DAYS, getCachedCommands, updateBuiltinCommands } from './builtin-commands.js';
+import { createUnifiedDiff, colorizeDiff } from './diff.js';
+import { Reporter, OUTPUT_OPTIONS, outputFormat } from './reporter.js';
+import { DOCUMENT_KINDS } from './command-schema.js';
+import {
+  BUILTIN_SOURCE,
+  DEFAULT_LOCKFILE_PATH,
+  SourceLock,
+  isRemoteSource,
+  readSourcesConfig,
+  resolveSource
+} from './sources.js';
+
+const PLAN_ICONS = { new: '➕', changed: '✏️ ', unchanged: '✓', conflict: '⚠️ ' };
+
+// What applying a planned output would do, as reported by --json in dry runs
+const PLAN_ACTIONS = { new: 'created', changed: 'updated', unchanged: 'unchanged', conflict: 'conflict' };
+const PLAN_STATS = { new: 'created', changed: 'updated', unchanged: 'unchanged', conflict: 'conflicts' };
+
+// Kinds written outside the command directory, movable with --target-dir <target>.<kind>=path
+const OUTPUT_KINDS = DOCUMENT_KINDS.filter(kind => kind !== 'command');
+
+// What a command replaces in earlier source layers: the same subfolder and name
+// for commands, the same name for agents, and the single context document
+function commandIdentity(command) {
+  const kind = command.kind || 'command';
+  if (kind === 'context') return kind;
+  if (kind === 'agent') return `agent:${command.name}`;
+  return `command:${toSourceKey(command._subfolder ? path.join(command._subfolder, command.name) : command.name)}`;
+}
+
+// Warning for a tool a target left out: no equivalent, or a pattern it can't express
+function toolWarning(label, tool, toolMap, filePath) {
+  const parsed = parseTool(tool);
+  const reason = parsed && parsed.pattern && toolMap.tools[parsed.name]
+    ? 'can\'t be limited to its pattern'
+    : 'has no equivalent';
+  return `⚠️  ${label}: tool "${tool}" in ${filePath} ${reason} and was left out`;
+}
 
-class CommandConverter {
+// Source-relative path as stored in the manifest
+function toSourceKey(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+export class CommandConverter {
   constructor(options = {}) {
     this.options = options;
-    this.claudeDir = options.claudeDir || './.claude/commands';
-    this.copilotDir = options.copilotDir || './.github/prompts';
-    this.geminiDir = options.geminiDir || './.gemini/commands';
+    this.targetDirs = {
+      claude: options.claudeDir,
+      copilot: options.copilotDir,
+      gemini: options.geminiDir,
+      ...options.targetDirs
+    };
     this.sourceDir = null; // Will be set asynchronously
+    this.targets = []; // Resolved from the registry during initialize
+    this.manifest = new Manifest(options.manifestPath || DEFAULT_MANIFEST_PATH);
+    this.report = options.reporter || new Reporter();
+    // Prompts would mix with machine-readable output, so conflicts need a policy there
+    this.conflicts = new ConflictResolver({
+      policy: options.onConflict,
+      interactive: this.report.machine ? false : undefined,
+      log: (...args) => this.report.log(...args)
+    });
+    this.stats = { created: 0, updated: 0, unchanged: 0, skipped: 0, conflicts: 0, pruned: 0, errors: 0 };
+    this.dependencies = new Map(); // source -> partials and bases it was composed from
   }
 
-  // Initialize source directory (async)
+  // Initialize source directory and targets (async, once)
   async initialize() {
-    if (this.options.sourceDir) {
-      this.sourceDir = this.options.sourceDir;
-    } else {
-      this.sourceDir = await this.getDefaultCommandsDir();
+    if (this.sourceDir) {
+      return;
     }
+
+    await this.resolveLayers();
+    this.sourceDir = this.layers[this.layers.length - 1].dir;
+    await this.resolveTargets();
   }
 
-  // Get the default commands directory (download from GitHub if needed)
-  async getDefaultCommandsDir() {
-    const cacheDir = path.join(process.env.HOME || process.env.USERPROFILE, '.command-converter');
-    const commandsDir = path.join(cacheDir, 'commands');
-    const localCommandsDir = './commands';
+  // Resolve the ordered source layers (--source, or `sources:` in the project
+  // config) to directories; later layers override earlier ones
+  async resolveLayers() {
+    const specs = this.options.sources && this.options.sources.length > 0
+      ? this.options.sources
+      : this.options.sourceDir ? [this.options.sourceDir] : readSourcesConfig(this.options.configPath);
 
-    // Priority order: local -> cached -> package -> download
-    if (fs.existsSync(localCommandsDir)) {
-      return localCommandsDir;
+    if (!specs) {
+      this.layers = [{ spec: 'default', dir: await this.getDefaultCommandsDir(), remote: false }];
+      return;
     }
 
-    if (fs.existsSync(commandsDir)) {
-      return commandsDir;
+    this.layers = [];
+    for (const spec of specs) {
+      if (spec === BUILTIN_SOURCE) {
+        this.layers.push({ spec, dir: await this.getBuiltinCommandsDir(), remote: true });
+      } else if (isRemoteSource(spec)) {
+        this.layers.push({ spec, dir: await this.fetchSource(spec), remote: true });
+      } else {
+        this.layers.push({ spec, dir: spec, remote: false });
+      }
     }
+  }
 
-    if (fs.existsSync(packageCommandsDir)) {
-      return packageCommandsDir;
+  // Load third-party adapters and select the targets to convert to
+  async resolveTargets() {
+    for (const adapterPath of this.options.adapters || []) {
+      await loadTargetModule(adapterPath);
     }
 
-    // Download commands from GitHub releases
-    console.log('📥 Downloading latest commands from GitHub...');
-    await this.downloadCommands(cacheDir);
+    const names = this.options.targets && this.options.targets.length > 0
+      ? this.options.targets
+      : getDefaultTargets();
 
-    if (fs.existsSync(commandsDir)) {
-      return commandsDir;
+    this.targets = names.map(name => {
+      const adapter = getTarget(name);
+      if (!adapter) {
+        throw new Error(`Unknown target "${name}". Available targets: ${getAvailableTargets().join(', ')}`);
+      }
+      return { adapter, dir: this.targetDirs[name] || adapter.outputDir, kindDirs: getKindDirs(this.targetDirs, name) };
+    });
+  }
+
+  // Fetch a remote source (or reuse its cached copy) at the version pinned in the lockfile
+  async fetchSource(spec) {
+    this.lock = this.lock || new SourceLock(this.options.lockfile || DEFAULT_LOCKFILE_PATH).load();
+    const { dir, version } = await resolveSource(spec, { lock: this.lock, update: this.options.updateLock });
+    // --dry-run and --explain only read, so new pins are not written
+    if (!this.options.dryRun && !this.options.explain) {
+      this.lock.save();
     }
+    this.report.log(`📦 Using ${spec} (${version})`);
+    return dir;
+  }
 
-    throw new Error('Could not find or download commands');
+  // Get the default commands directory: local ./commands, otherwise the toolkit's own
+  async getDefaultCommandsDir() {
+    const localCommandsDir = './commands';
+    if (fs.existsSync(localCommandsDir)) {
+      return localCommandsDir;
+    }
+    return this.getBuiltinCommandsDir();
   }
 
-  // Download commands from GitHub releases
-  async downloadCommands(cacheDir) {
-    try {
-      // Ensure cache directory exists
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
+  // Get the toolkit's own commands directory (download from GitHub if needed)
+  async getBuiltinCommandsDir() {
+    const cached = getCachedCommands();
+    if (cached) {
+      if (cached.ageDays > STALE_AFTER_DAYS) {
+        this.report.log(`💡 Built-in commands ${cached.version} were downloaded ${Math.floor(cached.ageDays)} days ago. Run \`ait commands update\` to refresh them.`);
       }
+      return cached.dir;
+    }
 
-      const archivePath = path.join(cacheDir, 'commands.tar.gz');
-      const url = process.env.COMMANDS_DOWNLOAD_URL || 'https://github.com/RobDoan/ai-cli-toolkit/releases/latest/download/commands.tar.gz';
-
-      // Download the archive
-      await this.downloadFile(url, archivePath);
-
-      // Extract the archive
-      await this.extractArchive(archivePath, cacheDir);
-
-      // Clean up archive
-      fs.unlinkSync(archivePath);
-
-      console.log('✅ Commands downloaded successfully');
+    // Download commands from GitHub releases
+    this.report.log('📥 Downloading latest commands from GitHub...');
+    try {
+      const { version, dir } = await updateBuiltinCommands();
+      this.report.log(`✅ Commands ${version} downloaded successfully`);
+      return dir;
     } catch (error) {
       console.warn('⚠️  Failed to download commands:', error.message);
-      throw error;
+      throw new Error('Could not find or download commands');
     }
   }
 
-  // Download file from URL
-  downloadFile(url, outputPath) {
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(outputPath);
-
-      https.get(url, (response) => {
-        // Handle redirects
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          return https.get(response.headers.location, (redirectResponse) => {
-            redirectResponse.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              resolve();
-            });
-          }).on('error', reject);
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-          return;
-        }
-
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve();
-        });
-      }).on('error', reject);
-
-      file.on('error', (err) => {
-        fs.unlink(outputPath, () => { });
-        reject(err);
-      });
-    });
-  }
-
-  // Extract tar.gz archive
-  extractArchive(archivePath, extractDir) {
-    return new Promise((resolve, reject) => {
-      const tar = spawn('tar', ['-xzf', archivePath, '-C', extractDir]);
-
-      tar.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`tar extraction failed with code ${code}`));
-        }
-      });
-
-      tar.on('error', reject);
-    });
-  }
-
   // Ensure target directories exist
   ensureDirectories() {
-    [this.claudeDir, this.copilotDir, this.geminiDir].forEach(dir => {
+    this.targets.map(target => target.dir).forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
     });
   }
 
-  // Load all YAML command files from source directory (including subdirectories)
+  // Load all YAML command files of every source layer (including subdirectories)
+  // A command of a later layer replaces the one with the same identity from earlier layers
   loadSourceCommands() {
     const commands = [];
+    const positions = new Map(); // identity -> index in commands
 
-    if (!fs.existsSync(this.sourceDir)) {
-      console.log(`❌ Source commands directory not found: ${this.sourceDir}`);
-      return commands;
-    }
-
-    this.loadCommandsFromDirectory(this.sourceDir, '', commands);
-    return commands;
-  }
+    for (const layer of this.layers) {
+      if (!fs.existsSync(layer.dir)) {
+        this.report.log(`❌ Source commands directory not found: ${layer.dir}`);
+        continue;
+      }
 
-  // Recursively load commands from directory
-  loadCommandsFromDirectory(dirPath, relativePath, commands) {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      const currentRelativePath = relativePath ? path.join(relativePath, entry.name) : entry.name;
-
-      if (entry.isDirectory()) {
-        // Recursively process subdirectories
-        this.loadCommandsFromDirectory(fullPath, currentRelativePath, commands);
-      } else if (entry.isFile() && (entry.name.endsWith('.yaml') || entry.name.endsWith('.yml'))) {
-        try {
-          const content = fs.readFileSync(fullPath, 'utf8');
-          const command = yaml.load(content);
-
-          // Add metadata about file location
-          command._filePath = currentRelativePath;
-          command._subfolder = relativePath;
-          command._fileName = path.parse(entry.name).name;
-
-          commands.push(command);
-        } catch (error) {
-          console.error(`Error loading ${currentRelativePath}:`, error.message);
+      for (const relativePath of listCommandFiles(layer.dir)) {
+        const command = this.loadCommandFile(relativePath, layer);
+        if (!command) continue;
+
+        const identity = commandIdentity(command);
+        const shadowed = positions.has(identity) ? commands[positions.get(identity)] : null;
+        if (shadowed && shadowed._layer !== layer.spec) {
+          console.warn(`⚠️  ${command._filePath} from ${layer.spec} shadows ${shadowed._filePath} from ${shadowed._layer}`);
+          command._shadows = [...shadowed._shadows, { layer: shadowed._layer, source: toSourceKey(shadowed._filePath) }];
+          commands[positions.get(identity)] = command;
+          continue;
         }
+
+        // Same identity within one layer is left for withoutCollisions to report
+        if (!shadowed) positions.set(identity, commands.length);
+        commands.push(command);
       }
     }
+    return this.withoutCollisions(commands);
   }
 
-  // Convert to Claude Code format (.md) - preserves subfolder structure
-  async convertToClaudeFormat(command) {
-    let content = '';
+  // Drop commands that would write a file an earlier command already generates;
+  // only the dropped commands passing `reported` are reported
+  withoutCollisions(commands, reported = () => true) {
+    const owners = new Map(); // resolved output path -> source
+    return commands.filter(command => {
+      const outputs = this.getOutputPaths(command);
+      const taken = outputs.find(filepath => owners.has(filepath));
+      if (taken) {
+        if (reported(command)) {
+          const message = `${path.relative(process.cwd(), taken)} is already generated from ${owners.get(taken)}`;
+          console.error(`Skipping ${command._filePath}: ${message}`);
+          this.recordError(command._filePath, message);
+        }
+        return false;
+      }
+      outputs.forEach(filepath => owners.set(filepath, command._filePath));
+      return true;
+    });
+  }
 
-    // Add frontmatter if metadata exists
-    const metadata = [];
-    if (command.tools && command.tools.length > 0) {
-      metadata.push(`allowed-tools: ${command.tools.join(', ')}`);
-    }
-    if (command.arguments) {
-      metadata.push(`argument-hint: ${command.arguments}`);
-    }
-    if (command.description) {
-      metadata.push(`description: ${command.description}`);
-    }
-    if (command.model) {
-      metadata.push(`model: ${command.model}`);
+  // Load and validate a single YAML command by its path relative to its layer (the last one by default)
+  loadCommandFile(relativePath, layer = this.layers[this.layers.length - 1]) {
+    const { command, dependencies, errors } = loadCommand(layer.dir, relativePath);
+    this.dependencies.set(toSourceKey(relativePath), dependencies);
+
+    // Skip files that would fail later during conversion
+    if (errors.length > 0) {
+      const where = this.layers.length > 1 ? ` (${layer.spec})` : '';
+      errors.forEach(error => {
+        console.error(`Error in ${relativePath}${error.line ? `:${error.line}` : ''}${where}: ${error.message}`);
+        this.recordError(relativePath, error.message, error.line);
+      });
+      console.error(`Skipping ${relativePath}${where} (run \`ait lint\` for details)`);
+      return null;
     }
 
-    if (metadata.length > 0) {
-      content += '---\n';
-      content += metadata.join('\n') + '\n';
-      content += '---\n\n';
-    }
+    command._layer = layer.spec;
+    command._shadows = [];
+    return command;
+  }
 
-    // Add prompt content
-    content += command.prompt;
+  // Record a source that could not be converted
+  recordError(source, message, line) {
+    this.stats.errors++;
+    this.report.record({ type: 'error', source: toSourceKey(source), action: 'error', ...(line ? { line } : {}), error: message });
+  }
 
-    // Preserve subfolder structure for Claude
-    const filename = `${command.name}.md`;
-    let targetDir = this.claudeDir;
+  // Record what happened to an output file
+  recordFile(plan, action, extra = {}) {
+    this.report.record({
+      type: 'file',
+      target: plan.target,
+      path: plan.path,
+      source: plan.entry.source,
+      layer: plan.layer,
+      action,
+      ...(plan.warnings.length > 0 ? { warnings: plan.warnings } : {}),
+      ...extra
+    });
+  }
 
-    if (command._subfolder) {
-      targetDir = path.join(this.claudeDir, command._subfolder);
-      // Ensure subfolder exists
-      if (!fs.existsSync(targetDir)) {
-        fs.mkdirSync(targetDir, { recursive: true });
-      }
+  // Where a command is written for a target (see resolveOutput in targets/index.js)
+  resolveOutput(command, target) {
+    return resolveOutput(target.adapter, command, target.dir, target.kindDirs);
+  }
+
+  // Plan the output of a command for one target without touching the disk
+  // Returns null when the target doesn't generate the command, otherwise
+  // { target, label, path, displayPath, content, status, reason, entry, warnings } where status is
+  //   new        the file doesn't exist yet
+  //   changed    the file was generated by us and is out of date
+  //   unchanged  the file already has the rendered content
+  //   conflict   the file was edited by hand, or not generated by us
+  planOutput(command, target) {
+    const output = this.resolveOutput(command, target);
+    if (!output) {
+      return null;
     }
 
-    const filepath = path.join(targetDir, filename);
-    const displayPath = command._subfolder ? `${command._subfolder}/${filename}` : filename;
+    const { command: targeted, displayPath, filepath } = output;
+    const content = renderCommand(target.adapter, targeted);
+    const label = target.adapter.label || target.adapter.name;
+    const warnings = target.adapter.toolMap
+      ? mapTools(targeted.tools, target.adapter.toolMap).unmapped
+        .map(tool => toolWarning(label, tool, target.adapter.toolMap, command._filePath))
+      : [];
+
+    const outputHash = hashContent(content);
+    const plan = {
+      target: target.adapter.name,
+      label,
+      path: filepath,
+      displayPath,
+      content,
+      layer: command._layer,
+      status: 'new',
+      reason: null,
+      entry: {
+        target: target.adapter.name,
+        source: toSourceKey(command._filePath),
+        sourceHash: command._sourceHash,
+        outputHash
+      },
+      warnings
+    };
 
     if (fs.existsSync(filepath)) {
-      const { action } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: `Command ${displayPath} already exists. What do you want to do?`,
-          choices: [
-            { name: 'Override', value: 'override' },
-            { name: 'Skip', value: 'skip' }
-          ]
-        }
-      ]);
-      if (action === 'skip') {
-        console.log(`⏭️  Skipped Claude command: ${displayPath}`);
-        return;
+      const currentHash = hashContent(fs.readFileSync(filepath));
+      const recorded = this.manifest.get(filepath);
+
+      if (currentHash === outputHash) {
+        plan.status = 'unchanged';
+      } else if (recorded && recorded.outputHash === currentHash) {
+        plan.status = 'changed';
+      } else {
+        plan.status = 'conflict';
+        plan.reason = recorded ? 'was modified since it was generated' : 'already exists and was not generated by ait';
       }
     }
-
-    fs.writeFileSync(filepath, content);
-    console.log(`✓ Created Claude command: ${displayPath}`);
+    return plan;
   }
 
-  // Convert to GitHub Copilot format (.prompt.md) - uses prefix naming for subfolders
-  async convertToCopilotFormat(command) {
-    let content = '';
-
-    // Add frontmatter
-    const metadata = [];
-    metadata.push(`mode: 'agent'`);
-
-    if (command.model) {
-      metadata.push(`model: '${command.model}'`);
-    }
-    if (command.tools && command.tools.length > 0) {
-      // Convert tool names to simpler format for Copilot
-      const copilotTools = command.tools.map(tool => {
-        if (tool.includes('Bash')) return 'terminal';
-        if (tool.includes('Edit')) return 'edit';
-        if (tool.includes('Read')) return 'read';
-        return tool.toLowerCase();
-      });
-      const toolsString = copilotTools.map(t => `'${t}'`).join(', ');
-      metadata.push(`tools: [${toolsString}]`);
-    }
-    if (command.description) {
-      metadata.push(`description: '${command.description}'`);
-    }
-
-    if (metadata.length > 0) {
-      content += '---\n';
-      content += metadata.join('\n') + '\n';
-      content += '---\n\n';
-    }
+  // Plan the outputs of a command for every selected target
+  planCommand(command) {
+    return this.targets.map(target => this.planOutput(command, target)).filter(Boolean);
+  }
 
-    // Convert prompt format: $ARGUMENTS -> ${args}
-    let prompt = command.prompt.replace(/\$ARGUMENTS/g, '${args}');
-    content += prompt;
+  // Write a planned output, resolving conflicts with the conflict policy
+  async applyPlan(plan) {
+    const { label, displayPath, path: filepath, content, entry } = plan;
 
-    // Use prefix naming for subfolders (e.g., kiro_commit.prompt.md)
-    let filename;
-    if (command._subfolder) {
-      const prefix = command._subfolder.replace(/\//g, '_');
-      filename = `${prefix}_${command.name}.prompt.md`;
-    } else {
-      filename = `${command.name}.prompt.md`;
+    if (plan.status === 'unchanged') {
+      this.manifest.set(filepath, entry);
+      this.stats.unchanged++;
+      this.recordFile(plan, 'unchanged');
+      return;
     }
 
-    const filepath = path.join(this.copilotDir, filename);
-
-    if (fs.existsSync(filepath)) {
-      const { action } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: `Copilot prompt ${filename} already exists. What do you want to do?`,
-          choices: [
-            { name: 'Override', value: 'override' },
-            { name: 'Skip', value: 'skip' }
-          ]
-        }
-      ]);
+    if (plan.status === 'conflict') {
+      this.stats.conflicts++;
+      let action;
+      try {
+        action = await this.conflicts.resolve({ label, displayPath, filepath, content, reason: plan.reason });
+      } catch (error) {
+        this.recordFile(plan, 'conflict', { reason: plan.reason, error: error.message });
+        throw error;
+      }
       if (action === 'skip') {
-        console.log(`⏭️  Skipped Copilot prompt: ${filename}`);
+        this.report.log(`⏭️  Skipped ${label}: ${displayPath}`);
+        this.stats.skipped++;
+        this.recordFile(plan, 'skipped', { reason: plan.reason });
         return;
       }
     }
 
+    // Ensure subfolder exists
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
     fs.writeFileSync(filepath, content);
-    console.log(`✓ Created Copilot prompt: ${filename}`);
+    this.manifest.set(filepath, entry);
+    const status = plan.status === 'new' ? 'created' : 'updated';
+    this.stats[status]++;
+    this.recordFile(plan, status);
+    this.report.log(`✓ ${status === 'created' ? 'Created' : 'Updated'} ${label}: ${displayPath}`);
   }
 
-  // Convert to Gemini CLI format (.toml) - preserves subfolder structure
-  async convertToGeminiFormat(command) {
-    let content = '';
-
-    // Add description
-    if (command.description) {
-      content += `description = "${command.description}"\n\n`;
+  // Convert a command for one target and write it
+  async convertCommand(command, target) {
+    const plan = this.planOutput(command, target);
+    if (!plan) {
+      return;
     }
+    plan.warnings.forEach(warning => console.warn(warning));
+    await this.applyPlan(plan);
+  }
+
+  // Manifest entries of the selected targets
+  getGeneratedOutputs() {
+    const targetNames = new Set(this.targets.map(target => target.adapter.name));
+    return this.manifest.entries().filter(([, entry]) => targetNames.has(entry.target));
+  }
 
-    // Convert prompt format: $ARGUMENTS -> {{args}}
-    let prompt = command.prompt.replace(/\$ARGUMENTS/g, '{{args}}');
+  // Resolved paths a command generates for the selected targets
+  getOutputPaths(command) {
+    return this.targets
+      .map(target => this.resolveOutput(command, target))
+      .filter(Boolean)
+      .map(output => path.resolve(output.filepath));
+  }
+
+  // Find generated outputs no source generates anymore (deleted, renamed or disabled for a target)
+  findStaleOutputs(commands) {
+    const current = new Set(commands.flatMap(command => this.getOutputPaths(command)));
+    return this.getGeneratedOutputs().filter(([filepath]) => !current.has(path.resolve(filepath)));
+  }
 
-    // Add prompt as multi-line string
-    content += 'prompt = """\n';
-    content += prompt;
-    content += '\n"""';
+  // Find outputs of one source that it no longer generates (e.g. after a rename or deletion)
+  findOrphanedOutputs(relativePath, command = null) {
+    const current = new Set(command ? this.getOutputPaths(command) : []);
+    return this.getGeneratedOutputs()
+      .filter(([filepath, entry]) => entry.source === toSourceKey(relativePath) && !current.has(path.resolve(filepath)));
+  }
 
-    // Preserve subfolder structure for Gemini
-    const filename = `${command.name}.toml`;
-    let targetDir = this.geminiDir;
+  // Delete generated outputs, keeping files that were edited by hand
+  removeOutputs(outputs) {
+    for (const [filepath, entry] of outputs) {
+      const displayPath = this.manifest.key(filepath);
+      if (!fs.existsSync(filepath)) {
+        this.manifest.delete(filepath);
+        continue;
+      }
 
-    if (command._subfolder) {
-      targetDir = path.join(this.geminiDir, command._subfolder);
-      // Ensure subfolder exists
-      if (!fs.existsSync(targetDir)) {
-        fs.mkdirSync(targetDir, { recursive: true });
+      const result = { type: 'file', target: entry.target, path: displayPath, source: entry.source };
+      if (hashContent(fs.readFileSync(filepath)) !== entry.outputHash) {
+        this.report.log(`⚠️  Kept ${displayPath}: source ${entry.source} no longer generates it but the file was modified`);
+        this.stats.conflicts++;
+        this.report.record({ ...result, action: 'conflict', reason: 'was modified since it was generated' });
+        continue;
       }
+
+      fs.unlinkSync(filepath);
+      this.manifest.delete(filepath);
+      this.stats.pruned++;
+      this.report.record({ ...result, action: 'removed' });
+      this.report.log(`🗑️  Removed ${displayPath} (from ${entry.source})`);
     }
+  }
 
-    const filepath = path.join(targetDir, filename);
-    const displayPath = command._subfolder ? `${command._subfolder}/${filename}` : filename;
+  // Record generated outputs no source generates anymore
+  recordStale(outputs, action) {
+    for (const [filepath, entry] of outputs) {
+      this.report.record({ type: 'file', target: entry.target, path: this.manifest.key(filepath), source: entry.source, action });
+    }
+  }
 
-    if (fs.existsSync(filepath)) {
-      const { action } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: `Gemini command ${displayPath} already exists. What do you want to do?`,
-          choices: [
-            { name: 'Override', value: 'override' },
-            { name: 'Skip', value: 'skip' }
-          ]
-        }
-      ]);
-      if (action === 'skip') {
-        console.log(`⏭️  Skipped Gemini command: ${displayPath}`);
-        return;
-      }
+  // Print the output directory of each selected target
+  logTargetDirs(indent = '') {
+    for (const target of this.targets) {
+      this.report.log(`${indent}${target.adapter.label || target.adapter.name}: ${target.dir}`);
     }
+  }
 
-    fs.writeFileSync(filepath, content);
-    console.log(`✓ Created Gemini command: ${displayPath}`);
+  // Print a planned output with its rendered content (new files) or a diff (changed files)
+  printPlan(plan) {
+    this.report.log(`  ${PLAN_ICONS[plan.status]} ${plan.status} ${plan.label}: ${plan.displayPath}${plan.reason ? ` (${plan.reason})` : ''}`);
+    plan.warnings.forEach(warning => console.warn(`  ${warning}`));
+
+    if (plan.status === 'unchanged') {
+      return;
+    }
+    const existing = plan.status === 'new' ? '' : fs.readFileSync(plan.path, 'utf8');
+    const diff = createUnifiedDiff(existing, plan.content, {
+      oldLabel: plan.status === 'new' ? '/dev/null' : `${plan.displayPath} (existing)`,
+      newLabel: `${plan.displayPath} (generated)`
+    });
+    this.report.log(colorizeDiff(diff.replace(/\n$/, '')).replace(/^/gm, '    '));
   }
 
-  // Dry run - show what would be done
+  // Dry run - render every output and show how it differs from the disk
   async dryRun() {
     await this.initialize();
-    console.log('🔍 Dry run mode - showing what would be converted...\n');
-    console.log(`Claude output: ${this.claudeDir}`);
-    console.log(`Copilot output: ${this.copilotDir}`);
-    console.log(`Gemini output: ${this.geminiDir}\n`);
+    this.report.log('🔍 Dry run mode - showing what would be converted...\n');
+    this.logTargetDirs();
+    this.report.log('');
 
     const commands = this.loadSourceCommands();
 
     if (commands.length === 0) {
-      console.log('No commands found to convert');
+      this.report.log('No commands found to convert');
       return;
     }
 
-    console.log(`Found ${commands.length} command(s) that would be converted:\n`);
+    this.report.log(`Found ${commands.length} command(s) that would be converted:\n`);
+
+    this.manifest.load();
 
     for (const command of commands) {
       const displayName = command._subfolder ? `${command._subfolder}/${command.name}` : command.name;
-      console.log(`📄 ${displayName}`);
+      const layer = this.layers.length > 1 ? ` from ${command._layer}` : '';
+      this.report.log(`📄 ${displayName}${command.kind && command.kind !== 'command' ? ` (${command.kind})` : ''}${layer}`);
 
-      // Claude Code output
-      const claudePath = command._subfolder ? `${command._subfolder}/${command.name}.md` : `${command.name}.md`;
-      console.log(`  → ${claudePath} (Claude Code)`);
-
-      // GitHub Copilot output (with prefix for subfolders)
-      let copilotName;
-      if (command._subfolder) {
-        const prefix = command._subfolder.replace(/[/\\]/g, '_');
-        copilotName = `${prefix}_${command.name}.prompt.md`;
-      } else {
-        copilotName = `${command.name}.prompt.md`;
+      try {
+        for (const plan of this.planCommand(command)) {
+          this.stats[PLAN_STATS[plan.status]]++;
+          this.recordFile(plan, PLAN_ACTIONS[plan.status], plan.reason ? { reason: plan.reason } : {});
+          this.printPlan(plan);
+        }
+      } catch (error) {
+        console.error(`Error converting ${command.name}:`, error.message);
+        this.recordError(command._filePath, error.message);
       }
-      console.log(`  → ${copilotName} (GitHub Copilot)`);
+      this.report.log('');
+    }
 
-      // Gemini CLI output
-      const geminiPath = command._subfolder ? `${command._subfolder}/${command.name}.toml` : `${command.name}.toml`;
-      console.log(`  → ${geminiPath} (Gemini CLI)\n`);
+    const stale = this.findStaleOutputs(commands);
+    if (stale.length > 0) {
+      this.report.log(this.options.prune ? 'Would remove:' : 'No longer generated by any source (use --prune to remove):');
+      stale.forEach(([filepath, entry]) => this.report.log(`  🗑️  ${this.manifest.key(filepath)} (from ${entry.source})`));
+      this.report.log('');
+    }
+    this.recordStale(stale, this.options.prune ? 'removed' : 'stale');
+    if (this.options.prune) {
+      this.stats.pruned = stale.length;
     }
 
-    console.log('💡 Run without --dry-run to perform the conversion');
+    const { created, updated, unchanged, conflicts } = this.stats;
+    this.report.log(`${created} new, ${updated} changed, ${unchanged} unchanged, ${conflicts} conflict(s)`);
+    this.report.log('💡 Run without --dry-run to perform the conversion');
+  }
+
+  // Explain where every output comes from: its source layer and what it shadows
+  async explain() {
+    await this.initialize();
+    this.report.log('🔎 Source layers (later layers override earlier ones):\n');
+    this.layers.forEach((layer, index) => {
+      this.report.log(`  ${index + 1}. ${layer.spec}${layer.dir !== layer.spec ? ` (${layer.dir})` : ''}`);
+    });
+    this.report.log('');
+
+    for (const command of this.loadSourceCommands()) {
+      this.report.log(`📄 ${command._filePath} from ${command._layer}`);
+      command._shadows.forEach(({ layer, source }) => this.report.log(`   shadows ${source} from ${layer}`));
+
+      for (const target of this.targets) {
+        const output = this.resolveOutput(command, target);
+        if (!output) continue;
+        this.report.log(`   → ${output.filepath} (${target.adapter.label || target.adapter.name})`);
+        this.report.record({
+          type: 'output',
+          target: target.adapter.name,
+          path: output.filepath,
+          source: toSourceKey(command._filePath),
+          layer: command._layer,
+          shadows: command._shadows
+        });
+      }
+    }
   }
 
   // Main conversion function
   async convertAll() {
     await this.initialize();
 
-    console.log('🔄 Starting command conversion...\n');
-    console.log(`Claude output: ${this.claudeDir}`);
-    console.log(`Copilot output: ${this.copilotDir}`);
-    console.log(`Gemini output: ${this.geminiDir}\n`);
+    this.report.log('🔄 Starting command conversion...\n');
+    this.logTargetDirs();
+    this.report.log('');
 
     this.ensureDirectories();
     const commands = this.loadSourceCommands();
 
-    if (commands.length === 0) {
-      console.log('No commands found to convert');
+    // With --prune, an empty source still removes previously generated files
+    if (commands.length === 0 && !this.options.prune) {
+      this.report.log('No commands found to convert');
       return;
     }
 
-    console.log(`Found ${commands.length} command(s) to convert\n`);
+    this.report.log(`Found ${commands.length} command(s) to convert\n`);
 
-    for (const command of commands) {
-      console.log(`Converting: ${command.name}`);
+    this.manifest.load();
 
+    for (const command of commands) {
       try {
-        await this.convertToClaudeFormat(command);
-        await this.convertToCopilotFormat(command);
-        await this.convertToGeminiFormat(command);
-        console.log('');
+        for (const plan of this.planCommand(command)) {
+          plan.warnings.forEach(warning => console.warn(warning));
+          await this.applyPlan(plan);
+        }
       } catch (error) {
+        if (error instanceof ConflictError) {
+          // Keep track of what was already written before stopping
+          this.manifest.save();
+          throw error;
+        }
         console.error(`Error converting ${command.name}:`, error.message);
+        this.recordError(command._filePath, error.message);
       }
     }
 
-    console.log('✅ Command conversion completed!');
-    console.log('\nTarget directories:');
-    console.log(`  Claude Code: ${this.claudeDir}`);
-    console.log(`  GitHub Copilot: ${this.copilotDir}`);
-    console.log(`  Gemini CLI: ${this.geminiDir}`);
+    const stale = this.findStaleOutputs(commands);
+    if (this.options.prune) {
+      this.removeOutputs(stale);
+    } else if (stale.length > 0) {
+      this.recordStale(stale, 'stale');
+      this.report.log(`\n💡 ${stale.length} generated file(s) are no longer generated by any source. Run with --prune to remove them.`);
+    }
+
+    this.manifest.save();
+
+    const { created, updated, unchanged, skipped, conflicts, pruned } = this.stats;
+    this.report.log(`\n✅ Command conversion completed! ${created} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped, ${conflicts} conflict(s)${this.options.prune ? `, ${pruned} removed` : ''}`);
+    this.report.log('\nTarget directories:');
+    this.logTargetDirs('  ');
   }
 
   async run() {
-    if (this.options.dryRun) {
+    await this.initialize();
+    if (this.options.watch && (this.layers.length > 1 || this.layers[0].remote)) {
+      throw new Error('--watch needs a single local source directory');
+    }
+
+    if (this.options.explain) {
+      await this.explain();
+    } else if (this.options.dryRun) {
       await this.dryRun();
     } else {
       await this.convertAll();
+
+      if (this.options.watch) {
+        this.report.log('');
+        await new CommandWatcher(this).start();
+      }
     }
   }
 }
@@ -470,36 +641,126 @@ export const convertCommandsCommand = {
     return yargs
       .option('source', {
         type: 'string',
-        description: 'Source directory containing commands to convert'
+        description: 'Source of the commands to convert: a directory, git+<url>#<ref>, npm:<package>@<version>, a .tar.gz file, an https archive URL or builtin. Repeat to layer sources, later ones overriding earlier ones'
+      })
+      .option('explain', {
+        type: 'boolean',
+        description: 'Show which source layer every output comes from, without converting',
+        default: false
+      })
+      .option('lockfile', {
+        type: 'string',
+        description: 'Path to the lockfile pinning remote sources',
+        default: DEFAULT_LOCKFILE_PATH
+      })
+      .option('update-lock', {
+        type: 'boolean',
+        description: 'Resolve remote sources again instead of using the lockfile pins',
+        default: false
       })
       .option('claude-dir', {
         type: 'string',
-        description: 'Claude commands output directory',
+        description: 'Claude commands output directory (agents and CLAUDE.md stay put, see --target-dir)',
         default: './.claude/commands'
       })
       .option('copilot-dir', {
         type: 'string',
-        description: 'GitHub Copilot prompts output directory',
+        description: 'GitHub Copilot prompts output directory (chat modes and instructions stay put, see --target-dir)',
         default: './.github/prompts'
       })
       .option('gemini-dir', {
         type: 'string',
-        description: 'Gemini commands output directory',
+        description: 'Gemini commands output directory (GEMINI.md stays put, see --target-dir)',
         default: './.gemini/commands'
       })
+      .option('targets', {
+        type: 'string',
+        description: `Comma-separated list of targets to convert to (default: ${getDefaultTargets().join(',')})`,
+        coerce: value => value.split(',').map(name => name.trim()).filter(Boolean)
+      })
+      .option('target-dir', {
+        type: 'array',
+        string: true,
+        description: 'Output directory for a target\'s commands as name=path, or for its agents or context file as name.agent=path / name.context=path (repeatable)'
+      })
+      .option('adapter', {
+        type: 'array',
+        string: true,
+        description: 'Path to a JS module exporting additional target adapters (repeatable)'
+      })
+      .option('on-conflict', {
+        type: 'string',
+        description: 'What to do when an output file was changed by hand',
+        choices: CONFLICT_POLICIES,
+        default: 'prompt'
+      })
+      .option('prune', {
+        type: 'boolean',
+        description: 'Remove generated files no source generates anymore',
+        default: false
+      })
+      .option('manifest', {
+        type: 'string',
+        description: 'Path to the manifest of generated files',
+        default: DEFAULT_MANIFEST_PATH
+      })
+      .option('watch', {
+        type: 'boolean',
+        description: 'Keep running and regenerate outputs when source YAML files change',
+        default: false
+      })
       .option('dry-run', {
         type: 'boolean',
         description: 'Preview changes without applying them',
         default: false
-      });
+      })
+      .options(OUTPUT_OPTIONS);
   },
   handler: async (argv) => {
+    if (argv.watch && argv.dryRun) {
+      console.error('--watch cannot be combined with --dry-run');
+      process.exit(1);
+    }
+    if (argv.watch && (argv.json || argv.ndjson)) {
+      console.error('--watch cannot be combined with --json or --ndjson');
+      process.exit(1);
+    }
+    if (argv.json && argv.ndjson) {
+      console.error('--json cannot be combined with --ndjson');
+      process.exit(1);
+    }
+    const reporter = new Reporter(outputFormat(argv));
+
+    const targetDirs = {};
+    for (const entry of argv.targetDir || []) {
+      const [name, ...dir] = entry.split('=');
+      // Agents and context files are moved with <target>.<kind>=path
+      const [, kind, ...rest] = name.split('.');
+      const validKind = kind === undefined || (OUTPUT_KINDS.includes(kind) && rest.length === 0);
+      if (!name || dir.length === 0 || !validKind) {
+        console.error(`Invalid --target-dir "${entry}", expected name=path, name.agent=path or name.context=path`);
+        process.exit(1);
+      }
+      targetDirs[name] = dir.join('=');
+    }
+
     const converter = new CommandConverter({
-      sourceDir: argv.source,
+      sources: argv.source === undefined ? undefined : [].concat(argv.source),
       claudeDir: argv.claudeDir,
       copilotDir: argv.copilotDir,
       geminiDir: argv.geminiDir,
-      dryRun: argv.dryRun
+      targetDirs,
+      targets: argv.targets,
+      adapters: argv.adapter,
+      manifestPath: argv.manifest,
+      lockfile: argv.lockfile,
+      updateLock: argv.updateLock,
+      prune: argv.prune,
+      onConflict: argv.onConflict,
+      watch: argv.watch,
+      explain: argv.explain,
+      dryRun: argv.dryRun,
+      reporter
     });
 
     try {
@@ -507,7 +768,12 @@ export const convertCommandsCommand = {
       await converter.run();
     } catch (error) {
       console.error('Conversion failed:', error.message);
-      process.exit(1);
+      reporter.finish({ dryRun: argv.dryRun, ...converter.stats, error: error.message });
+      process.exitCode = 1;
+      return;
     }
+
+    reporter.finish({ dryRun: argv.dryRun, ...converter.stats });
+    process.exitCode = reporter.exitCode();
   }
 };
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Line-based unified diff for previews and conflict resolution
+
+import chalk from 'chalk';
+
+// Above this many line pairs, skip the LCS table and show a full replacement
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Compute edit operations (' ', '-', '+') between two line arrays
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ op: '-', line })),
+      ...newLines.map(line => ({ op: '+', line }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ op: ' ', line: oldLines[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: '-', line: oldLines[i++] });
+    } else {
+      ops.push({ op: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: oldLines[i++] });
+  while (j < m) ops.push({ op: '+', line: newLines[j++] });
+
+  return ops;
+}
+
+// Create a unified diff; returns an empty string when both texts are equal
+export function createUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((entry, index) => (entry.op !== ' ' ? index : -1)).filter(index => index !== -1);
+
+  // Group changes whose context overlaps into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const { start, end } of ranges) {
+    const before = ops.slice(0, start);
+    const oldStart = before.filter(entry => entry.op !== '+').length + 1;
+    const newStart = before.filter(entry => entry.op !== '-').length + 1;
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(entry => entry.op !== '+').length;
+    const newCount = hunk.filter(entry => entry.op !== '-').length;
+
+    output.push(`@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`);
+    hunk.forEach(entry => output.push(`${entry.op}${entry.line}`));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+// Colorize a unified diff for terminal output
+export function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    })
+    .join('\n');
+}
@@ -0,0 +1,245 @@
+// HTTP(S) downloads for remote commands
+//
+// Redirects are followed (up to maxRedirects hops) and every final response must
+// be 200. Requests time out after `timeout` ms of inactivity, and network errors,
+// timeouts, 408/429 and 5xx responses are retried with exponential backoff.
+// HTTPS_PROXY / HTTP_PROXY are honored (CONNECT tunnels for HTTPS), except for
+// hosts listed in NO_PROXY.
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import crypto from 'crypto';
+
+export const FETCH_DEFAULTS = { timeout: 30_000, retries: 3, retryDelay: 500, maxRedirects: 10 };
+
+const REDIRECT_STATUS = [301, 302, 303, 307, 308];
+const RETRY_STATUS = [408, 429, 500, 502, 503, 504];
+// Network failures worth another attempt; local errors (ENOENT, EACCES, ...) are not
+const RETRY_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+export class FetchError extends Error {
+  constructor(message, { url, status, retryable = false } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Check if a host is listed in NO_PROXY (exact names, domain suffixes or *)
+function bypassesProxy(hostname, noProxy) {
+  return noProxy
+    .split(',')
+    .map(entry => entry.trim().replace(/:\d+$/, '').replace(/^\*?\./, ''))
+    .filter(Boolean)
+    .some(entry => entry === '*' || hostname === entry || hostname.endsWith(`.${entry}`));
+}
+
+// Proxy to use for a URL according to the environment, or null
+export function getProxy(url, env = process.env) {
+  const { protocol, hostname } = new URL(url);
+  if (bypassesProxy(hostname, env.NO_PROXY || env.no_proxy || '')) {
+    return null;
+  }
+
+  const proxy = protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+  return proxy ? new URL(proxy) : null;
+}
+
+function proxyHeaders(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+// Open an HTTPS connection to the target through a CONNECT tunnel
+function connectThroughProxy(target, proxy, timeout) {
+  return new Promise((resolve, reject) => {
+    const authority = `${target.hostname}:${target.port || 443}`;
+    const request = http.request({
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      method: 'CONNECT',
+      path: authority,
+      headers: { Host: authority, ...proxyHeaders(proxy) }
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy(new FetchError(`Proxy ${proxy.host} timed out after ${timeout}ms`, { url: target.href, retryable: true }));
+    });
+    request.on('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        reject(new FetchError(`Proxy ${proxy.host} refused the tunnel: HTTP ${response.statusCode}`, {
+          url: target.href,
+          status: response.statusCode,
+          retryable: RETRY_STATUS.includes(response.statusCode)
+        }));
+        return;
+      }
+      resolve(socket);
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+// Send one request without following redirects or retrying; resolves with the response
+// Options: timeout (ms without activity), proxy, method (GET), headers, body
+export async function sendRequest(url, { timeout = FETCH_DEFAULTS.timeout, proxy = getProxy(url), method = 'GET', headers = {}, body } = {}) {
+  const target = new URL(url);
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    throw new FetchError(`Unsupported protocol ${target.protocol} in ${url}`, { url });
+  }
+
+  let options = { method, headers: { 'User-Agent': 'ai-cli-toolkit', ...headers } };
+  let transport = target.protocol === 'https:' ? https : http;
+
+  if (proxy && target.protocol === 'https:') {
+    const socket = await connectThroughProxy(target, proxy, timeout);
+    options = { ...options, agent: false, createConnection: () => tls.connect({ socket, servername: target.hostname }) };
+  } else if (proxy) {
+    // Plain HTTP goes to the proxy with the absolute URL as path
+    transport = http;
+    options = {
+      ...options,
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      path: target.href,
+      headers: { ...options.headers, Host: target.host, ...proxyHeaders(proxy) }
+    };
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = proxy && target.protocol === 'http:'
+      ? transport.request(options, resolve)
+      : transport.request(target, options, resolve);
+    request.setTimeout(timeout, () => {
+      request.destroy(new FetchError(`Request to ${target.host} timed out after ${timeout}ms`, { url, retryable: true }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// GET a URL following redirects; resolves with the final 200 response, its URL
+// and the redirect chain (every URL requested, ending with the final one)
+async function get(url, options) {
+  let current = url;
+  const redirects = [url];
+
+  for (let hops = 0; ; hops++) {
+    const response = await sendRequest(current, options);
+    const { statusCode, headers } = response;
+
+    if (REDIRECT_STATUS.includes(statusCode)) {
+      response.resume();
+      if (!headers.location) {
+        throw new FetchError(`HTTP ${statusCode} without a Location header from ${current}`, { url: current, status: statusCode });
+      }
+      if (hops >= options.maxRedirects) {
+        throw new FetchError(`Too many redirects (more than ${options.maxRedirects}) from ${url}`, { url });
+      }
+      current = new URL(headers.location, current).href;
+      redirects.push(current);
+      continue;
+    }
+
+    if (statusCode !== 200) {
+      response.resume();
+      throw new FetchError(`HTTP ${statusCode} ${response.statusMessage || ''}`.trim() + ` from ${current}`, {
+        url: current,
+        status: statusCode,
+        retryable: RETRY_STATUS.includes(statusCode)
+      });
+    }
+    return { response, url: current, redirects };
+  }
+}
+
+// Run a request, retrying retryable failures with exponential backoff
+async function withRetries(task, { retries, retryDelay }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      const retryable = error instanceof FetchError ? error.retryable : RETRY_CODES.includes(error.code);
+      if (!retryable || attempt >= retries) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+    }
+  }
+}
+
+// Download a URL into a file, hashing it on the way
+// Options: timeout, retries, retryDelay, maxRedirects, proxy, sha256 (expected digest).
+// Resolves with { url, redirects, sha256, bytes } (url is the final URL, redirects the
+// chain from the requested one); the file is removed when the download fails
+export function fetchToFile(url, outputPath, options = {}) {
+  const settings = { ...FETCH_DEFAULTS, ...options };
+
+  return withRetries(async () => {
+    const { response, url: finalUrl, redirects } = await get(url, settings);
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+
+    try {
+      await new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(outputPath);
+        response.on('data', chunk => {
+          hash.update(chunk);
+          bytes += chunk.length;
+        });
+        response.on('error', reject);
+        response.on('aborted', () => reject(new FetchError(`Download from ${finalUrl} was interrupted`, { url: finalUrl, retryable: true })));
+        file.on('error', reject);
+        file.on('finish', resolve);
+        response.pipe(file);
+      });
+
+      const expectedBytes = Number(response.headers['content-length']);
+      if (expectedBytes && bytes !== expectedBytes) {
+        throw new FetchError(`Download from ${finalUrl} is incomplete (${bytes} of ${expectedBytes} bytes)`, { url: finalUrl, retryable: true });
+      }
+
+      const sha256 = hash.digest('hex');
+      if (settings.sha256 && sha256 !== settings.sha256.toLowerCase()) {
+        throw new FetchError(`Checksum mismatch for ${finalUrl}: expected sha256 ${settings.sha256}, got ${sha256}`, { url: finalUrl });
+      }
+      return { url: finalUrl, redirects, sha256, bytes };
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+  }, settings);
+}
+
+// Download a small text resource (e.g. a checksum file); resolves with { url, text }
+export function fetchText(url, options = {}) {
+  const settings = { ...FETCH_DEFAULTS, ...options };
+
+  return withRetries(async () => {
+    const { response, url: finalUrl } = await get(url, settings);
+    response.setEncoding('utf8');
+    let text = '';
+    for await (const chunk of response) {
+      text += chunk;
+    }
+    return { url: finalUrl, text };
+  }, settings);
+}
+
+// Read the digest out of a checksum file (`<sha256>  <file name>` or just the digest)
+export function parseChecksum(text) {
+  const match = text.match(/\b[0-9a-f]{64}\b/i);
+  if (!match) {
+    throw new Error('Checksum file does not contain a SHA-256 digest');
+  }
+  return match[0].toLowerCase();
+}
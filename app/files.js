@@ -0,0 +1,15 @@
+// Writing planned files ({ path, content }) to disk
+
+import fs from 'fs';
+import path from 'path';
+
+// Write files, creating parent directories; relative paths resolve against cwd
+// Returns the absolute paths written
+export function writeFiles(files, { cwd = process.cwd() } = {}) {
+  return files.map(file => {
+    const filepath = path.resolve(cwd, file.path);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, file.content);
+    return filepath;
+  });
+}
@@ -0,0 +1,400 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parseToml } from './toml.js';
+import { ConflictResolver, ConflictError, CONFLICT_POLICIES } from './conflicts.js';
+import { Manifest, DEFAULT_MANIFEST_PATH } from './manifest.js';
+import {
+  restoreClaudeArguments,
+  restoreCopilotArguments,
+  restoreGeminiArguments
+} from './command-arguments.js';
+import { getTarget } from './targets/index.js';
+import { unmapTools } from './tools.js';
+
+// Where each platform keeps its commands and which files belong to it
+const PLATFORMS = {
+  claude: { label: 'Claude', dir: './.claude/commands', extension: '.md' },
+  copilot: { label: 'Copilot', dir: './.github/prompts', extension: '.prompt.md' },
+  gemini: { label: 'Gemini', dir: './.gemini/commands', extension: '.toml' }
+};
+
+// Copilot tool names written by earlier versions of the toolkit
+const LEGACY_COPILOT_TOOLS = {
+  terminal: 'shell'
+};
+
+// Strip surrounding quotes from a frontmatter value
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  return value;
+}
+
+// Split "A(x, y), B" or "['a', 'b']" into items, respecting parentheses
+function parseList(value) {
+  const inner = value.trim().replace(/^\[(.*)\]$/s, '$1');
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of inner) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items.map(item => unquote(item.trim())).filter(Boolean);
+}
+
+// Parse frontmatter line by line for hand-written files that are not valid YAML
+// (e.g. Claude's "argument-hint: [name] [priority]")
+function parseLenientFrontmatter(text) {
+  const data = {};
+  for (const line of text.split('\n')) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) {
+      data[field[1]] = unquote(field[2].trim());
+    }
+  }
+  return data;
+}
+
+// Split a Markdown file into frontmatter values and body
+function parseFrontmatter(content) {
+  const match = content.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+  if (!match) {
+    return { data: {}, body: content };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1]) || {};
+  } catch {
+    data = parseLenientFrontmatter(match[1]);
+  }
+
+  // "argument-hint: [message]" is a YAML list, but means the literal hint
+  if (Array.isArray(data['argument-hint'])) {
+    data['argument-hint'] = `[${data['argument-hint'].join(', ')}]`;
+  }
+
+  return { data, body: match[2].replace(/^\n/, '') };
+}
+
+// Read a tool list that may be a YAML list or a comma-separated string
+function toToolList(value) {
+  if (value === undefined || value === null) return undefined;
+  return Array.isArray(value) ? value.map(String) : parseList(String(value));
+}
+
+class CommandImporter {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.platform = PLATFORMS[this.from];
+    this.sourceDir = options.sourceDir || this.platform.dir;
+    this.outputDir = options.outputDir || './commands';
+    this.dryRun = options.dryRun || false;
+    this.splitPrefixes = options.splitPrefixes || false;
+    this.manifest = new Manifest(options.manifestPath || DEFAULT_MANIFEST_PATH);
+    this.conflicts = new ConflictResolver({ policy: options.onConflict });
+  }
+
+  // Recursively list platform files in the source directory
+  listFiles(dirPath, relativePath, files) {
+    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const currentRelativePath = relativePath ? path.join(relativePath, entry.name) : entry.name;
+
+      if (entry.isDirectory()) {
+        this.listFiles(fullPath, currentRelativePath, files);
+      } else if (entry.isFile() && entry.name.endsWith(this.platform.extension)) {
+        files.push({
+          fullPath,
+          relativePath: currentRelativePath,
+          subfolder: relativePath,
+          baseName: entry.name.slice(0, -this.platform.extension.length)
+        });
+      }
+    }
+
+    return files;
+  }
+
+  // Read platform tool ids back into the canonical tool vocabulary
+  toCanonicalTools(tools, targetName) {
+    return tools && unmapTools(tools, getTarget(targetName).toolMap);
+  }
+
+  // Parse a Claude Code command (.md)
+  importClaude(content, file) {
+    const { data, body } = parseFrontmatter(content);
+    const { prompt, arguments: args } = restoreClaudeArguments(body, data['argument-hint']);
+
+    return {
+      ...this.locate(file),
+      description: data.description,
+      prompt,
+      arguments: args,
+      tools: this.toCanonicalTools(toToolList(data['allowed-tools']), 'claude'),
+      model: data.model
+    };
+  }
+
+  // Source file a generated file came from, as recorded in the convert manifest
+  recordedLocation(file) {
+    const entry = this.manifest.get(file.fullPath);
+    if (!entry || entry.target !== this.from || !/\.ya?ml$/.test(entry.source)) {
+      return undefined;
+    }
+    const subfolder = path.posix.dirname(entry.source);
+    return {
+      name: path.posix.basename(entry.source).replace(/\.ya?ml$/, ''),
+      subfolder: subfolder === '.' ? '' : subfolder.split('/').join(path.sep)
+    };
+  }
+
+  // Name and subfolder of the YAML command: where convert generated the file from,
+  // otherwise the platform file's own location
+  locate(file) {
+    const recorded = this.recordedLocation(file);
+    if (recorded) {
+      return recorded;
+    }
+    return this.from === 'copilot'
+      ? this.splitPrefixedName(file)
+      : { name: file.baseName, subfolder: file.subfolder };
+  }
+
+  // Undo the prefix_name naming of flat targets for files convert didn't generate; as
+  // `create_pr` is a valid name too, a prefix only becomes a subfolder with
+  // --split-prefixes or when the output already has it
+  splitPrefixedName(file) {
+    const parts = file.baseName.split('_');
+    const folders = [];
+    while (parts.length > 1 && parts[0]) {
+      const folder = path.join(this.outputDir, file.subfolder, ...folders, parts[0]);
+      if (!this.splitPrefixes && !fs.existsSync(folder)) break;
+      folders.push(parts.shift());
+    }
+    return { name: parts.join('_'), subfolder: [file.subfolder, ...folders].filter(Boolean).join(path.sep) };
+  }
+
+  // Parse a GitHub Copilot prompt (.prompt.md)
+  importCopilot(content, file) {
+    const { data, body } = parseFrontmatter(content);
+    const { prompt, arguments: args } = restoreCopilotArguments(body);
+
+    return {
+      ...this.locate(file),
+      description: data.description,
+      prompt: prompt.replace(/\$\{args\}/g, '$ARGUMENTS'),
+      arguments: args,
+      tools: this.toCanonicalTools(toToolList(data.tools)?.map(tool => LEGACY_COPILOT_TOOLS[tool] || tool), 'copilot'),
+      model: data.model
+    };
+  }
+
+  // Parse a Gemini CLI command (.toml)
+  importGemini(content, file) {
+    const data = parseToml(content);
+    if (typeof data.prompt !== 'string') {
+      throw new Error('Missing prompt');
+    }
+    const { prompt, arguments: args } = restoreGeminiArguments(data.prompt);
+
+    return {
+      ...this.locate(file),
+      description: data.description,
+      prompt: prompt.replace(/\{\{args\}\}/g, '$ARGUMENTS'),
+      arguments: args
+    };
+  }
+
+  // Parse a platform file into a command
+  parseFile(file) {
+    const content = fs.readFileSync(file.fullPath, 'utf8');
+
+    switch (this.from) {
+      case 'claude':
+        return this.importClaude(content, file);
+      case 'copilot':
+        return this.importCopilot(content, file);
+      default:
+        return this.importGemini(content, file);
+    }
+  }
+
+  // Serialize an imported command to the YAML command format
+  toYaml(command) {
+    const document = {
+      name: command.name,
+      description: command.description,
+      prompt: command.prompt.replace(/\n*$/, '\n'),
+      arguments: command.arguments,
+      tools: command.tools,
+      model: command.model
+    };
+    Object.keys(document).forEach(key => document[key] === undefined && delete document[key]);
+
+    return yaml.dump(document, { lineWidth: -1, noRefs: true });
+  }
+
+  // Write a YAML command, resolving conflicts with existing files;
+  // returns 'imported', 'unchanged' or 'skipped'
+  async writeCommand(command) {
+    const relativePath = path.join(command.subfolder, `${command.name}.yaml`);
+    const filepath = path.join(this.outputDir, relativePath);
+    const content = this.toYaml(command);
+
+    if (this.dryRun) {
+      console.log(`  → ${relativePath}`);
+      return 'imported';
+    }
+
+    if (fs.existsSync(filepath)) {
+      if (fs.readFileSync(filepath, 'utf8') === content) {
+        return 'unchanged';
+      }
+
+      const action = await this.conflicts.resolve({
+        label: 'YAML',
+        displayPath: relativePath,
+        filepath,
+        content,
+        reason: 'already exists'
+      });
+      if (action === 'skip') {
+        console.log(`⏭️  Skipped command: ${relativePath}`);
+        return 'skipped';
+      }
+    }
+
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    console.log(`✓ Imported command: ${relativePath}`);
+    return 'imported';
+  }
+
+  // Import every platform file; resolves with the number of files per outcome
+  async run() {
+    if (!fs.existsSync(this.sourceDir)) {
+      throw new Error(`${this.platform.label} commands directory not found: ${this.sourceDir}`);
+    }
+
+    console.log(`📥 Importing ${this.platform.label} commands from ${this.sourceDir} into ${this.outputDir}${this.dryRun ? ' (dry run)' : ''}\n`);
+
+    this.manifest.load();
+    const stats = { imported: 0, unchanged: 0, skipped: 0, failed: 0 };
+    const files = this.listFiles(this.sourceDir, '', []);
+    if (files.length === 0) {
+      console.log('No commands found to import');
+      return stats;
+    }
+
+    for (const file of files) {
+      try {
+        const command = this.parseFile(file);
+
+        if (this.dryRun) {
+          console.log(`📄 ${file.relativePath}`);
+        }
+        stats[await this.writeCommand(command)]++;
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          throw error;
+        }
+        stats.failed++;
+        console.error(`Error importing ${file.relativePath}:`, error.message);
+      }
+    }
+
+    console.log(`\n${stats.failed > 0 ? '⚠️ ' : '✅'} Processed ${files.length} command(s): ${stats.imported} imported, ${stats.unchanged} unchanged, ${stats.skipped} skipped, ${stats.failed} failed`);
+    if (this.dryRun) {
+      console.log('💡 Run without --dry-run to write the YAML files');
+    }
+    return stats;
+  }
+}
+
+export const importCommandsCommand = {
+  command: 'import [options]',
+  describe: 'Import existing platform commands into YAML command format',
+  builder: (yargs) => {
+    return yargs
+      .option('from', {
+        type: 'string',
+        description: 'Platform to import commands from',
+        choices: Object.keys(PLATFORMS),
+        demandOption: true
+      })
+      .option('source', {
+        type: 'string',
+        description: 'Directory containing the platform commands (defaults to the platform directory)'
+      })
+      .option('output', {
+        type: 'string',
+        description: 'Output directory for YAML commands',
+        default: './commands'
+      })
+      .option('on-conflict', {
+        type: 'string',
+        description: 'What to do when a YAML file already exists',
+        choices: CONFLICT_POLICIES,
+        default: 'prompt'
+      })
+      .option('split-prefixes', {
+        type: 'boolean',
+        description: 'Turn every prefix_ of a Copilot prompt name convert did not generate into a subfolder, even when the output has no such folder',
+        default: false
+      })
+      .option('manifest', {
+        type: 'string',
+        description: 'Manifest of generated files, used to put commands back where convert read them from',
+        default: DEFAULT_MANIFEST_PATH
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Preview changes without applying them',
+        default: false
+      });
+  },
+  handler: async (argv) => {
+    const importer = new CommandImporter({
+      from: argv.from,
+      sourceDir: argv.source,
+      outputDir: argv.output,
+      onConflict: argv.onConflict,
+      splitPrefixes: argv.splitPrefixes,
+      manifestPath: argv.manifest,
+      dryRun: argv.dryRun
+    });
+
+    try {
+      const { failed } = await importer.run();
+      // Like convert: 2 when the run completed but some files could not be imported
+      if (failed > 0) {
+        process.exitCode = 2;
+      }
+    } catch (error) {
+      console.error('Import failed:', error.message);
+      process.exit(1);
+    }
+  }
+};
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+import { validateCommand, findDuplicateNames, hasErrors, findLine } from './command-schema.js';
+import { CommandComposer } from './compose-commands.js';
+import { listCommandFiles } from './load-commands.js';
+
+class CommandLinter {
+  constructor(options = {}) {
+    this.sourceDir = options.sourceDir || './commands';
+    this.strict = options.strict || false;
+    this.diagnostics = [];
+  }
+
+  // Lint a single YAML file and return the parsed command, valid or not, so that
+  // duplicate names are checked across every file that parsed
+  lintFile(relativePath) {
+    const content = fs.readFileSync(path.join(this.sourceDir, relativePath), 'utf8');
+    let command;
+
+    try {
+      command = yaml.load(content);
+    } catch (error) {
+      this.diagnostics.push({
+        file: relativePath,
+        severity: 'error',
+        rule: 'yaml-syntax',
+        line: error.mark ? error.mark.line + 1 : 1,
+        message: error.reason || error.message
+      });
+      return null;
+    }
+
+    try {
+      command = new CommandComposer(this.sourceDir).compose(command, relativePath);
+    } catch (error) {
+      this.diagnostics.push({
+        file: relativePath,
+        severity: 'error',
+        rule: 'composition',
+        line: command && command.extends ? findLine(content, 'extends', { key: true }) : findLine(content, '{%'),
+        message: error.message
+      });
+      return this.withLocation(command, relativePath, content);
+    }
+
+    const diagnostics = validateCommand(command, content);
+    diagnostics.forEach(diagnostic => this.diagnostics.push({ file: relativePath, ...diagnostic }));
+
+    return this.withLocation(command, relativePath, content);
+  }
+
+  // Add the file metadata findDuplicateNames needs; null for documents that aren't mappings
+  withLocation(command, relativePath, content) {
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+      return null;
+    }
+
+    command._filePath = relativePath;
+    command._subfolder = path.dirname(relativePath) === '.' ? '' : path.dirname(relativePath);
+    command._content = content;
+    return command;
+  }
+
+  // Print diagnostics as file:line: severity message (rule)
+  report(fileCount) {
+    for (const diagnostic of this.diagnostics) {
+      const location = `${path.join(this.sourceDir, diagnostic.file)}:${diagnostic.line}`;
+      const severity = diagnostic.severity === 'error' ? chalk.red('error') : chalk.yellow('warning');
+      console.log(`${location}: ${severity} ${diagnostic.message} ${chalk.gray(`(${diagnostic.rule})`)}`);
+    }
+
+    const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    const warnings = this.diagnostics.length - errors;
+
+    if (this.diagnostics.length > 0) {
+      console.log('');
+    }
+    const summary = `${fileCount} file(s) checked: ${errors} error(s), ${warnings} warning(s)`;
+    console.log(errors > 0 ? chalk.red(`✗ ${summary}`) : chalk.green(`✓ ${summary}`));
+  }
+
+  // Lint all commands; resolves to true when the directory passes
+  async run() {
+    if (!fs.existsSync(this.sourceDir)) {
+      throw new Error(`Source commands directory not found: ${this.sourceDir}`);
+    }
+
+    // The same files convert reads, partials excluded
+    const files = listCommandFiles(this.sourceDir);
+    const commands = files.map(relativePath => this.lintFile(relativePath)).filter(Boolean);
+    this.diagnostics.push(...findDuplicateNames(commands));
+
+    this.diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    this.report(files.length);
+
+    if (this.strict) {
+      return this.diagnostics.length === 0;
+    }
+    return !hasErrors(this.diagnostics);
+  }
+}
+
+export const lintCommandsCommand = {
+  command: 'lint [dir]',
+  describe: 'Validate YAML command files',
+  builder: (yargs) => {
+    return yargs
+      .positional('dir', {
+        type: 'string',
+        description: 'Directory containing YAML commands',
+        default: './commands'
+      })
+      .option('strict', {
+        type: 'boolean',
+        description: 'Treat warnings as errors',
+        default: false
+      });
+  },
+  handler: async (argv) => {
+    const linter = new CommandLinter({
+      sourceDir: argv.dir,
+      strict: argv.strict
+    });
+
+    try {
+      const passed = await linter.run();
+      if (!passed) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Lint failed:'), error.message);
+      process.exit(1);
+    }
+  }
+};
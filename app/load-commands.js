@@ -0,0 +1,73 @@
+// Loading YAML command files: parse, compose and validate, without logging
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { validateCommand, isCommandFile } from './command-schema.js';
+import { CommandComposer, isPartialPath } from './compose-commands.js';
+import { hashContent } from './manifest.js';
+
+// List YAML command files below a source directory (or one of its subdirectories),
+// relative to the source directory; partials are skipped
+export function listCommandFiles(sourceDir, relativeDir = '') {
+  const files = [];
+
+  for (const entry of fs.readdirSync(path.join(sourceDir, relativeDir), { withFileTypes: true })) {
+    const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listCommandFiles(sourceDir, relativePath));
+    } else if (entry.isFile() && isCommandFile(entry.name) && !isPartialPath(relativePath)) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+// Load one YAML command by its path relative to the source directory
+// Returns { command, dependencies, errors }; command is null when the file can't be converted.
+// Errors are { file, line, message }; line is missing when it isn't known
+export function loadCommand(sourceDir, relativePath) {
+  let dependencies = [];
+
+  try {
+    const content = fs.readFileSync(path.join(sourceDir, relativePath), 'utf8');
+    const command = new CommandComposer(sourceDir).compose(yaml.load(content), relativePath);
+    dependencies = command?._dependencies || [];
+
+    const errors = validateCommand(command, content)
+      .filter(diagnostic => diagnostic.severity === 'error')
+      .map(diagnostic => ({ file: relativePath, line: diagnostic.line, message: diagnostic.message }));
+    if (errors.length > 0) {
+      return { command: null, dependencies, errors };
+    }
+
+    // Add metadata about file location
+    const subfolder = path.dirname(relativePath);
+    command._filePath = relativePath;
+    command._sourceHash = hashContent(content);
+    command._subfolder = subfolder === '.' ? '' : subfolder;
+    command._fileName = path.parse(relativePath).name;
+
+    return { command, dependencies, errors: [] };
+  } catch (error) {
+    const line = error.mark ? error.mark.line + 1 : undefined;
+    return { command: null, dependencies, errors: [{ file: relativePath, line, message: error.reason || error.message }] };
+  }
+}
+
+// Load every command of a source directory; returns { commands, errors }
+export function loadCommands(sourceDir) {
+  const commands = [];
+  const errors = [];
+
+  for (const relativePath of listCommandFiles(sourceDir)) {
+    const result = loadCommand(sourceDir, relativePath);
+    if (result.command) {
+      commands.push(result.command);
+    }
+    errors.push(...result.errors);
+  }
+
+  return { commands, errors };
+}
@@ -0,0 +1,81 @@
+import chalk from 'chalk';
+import { clearCache, getCachedCommands, updateBuiltinCommands } from './builtin-commands.js';
+
+// ait commands update
+const updateCommand = {
+  command: 'update',
+  describe: 'Download the latest built-in commands into the cache',
+  builder: (yargs) => {
+    return yargs
+      .option('url', {
+        type: 'string',
+        description: 'URL of the commands archive (default: latest GitHub release, or COMMANDS_DOWNLOAD_URL)'
+      })
+      .option('skip-checksum', {
+        type: 'boolean',
+        description: 'Do not verify the archive against its published .sha256 file',
+        default: false
+      })
+      .option('timeout', {
+        type: 'number',
+        description: 'Seconds without data before a request is abandoned',
+        default: 30
+      })
+      .option('retries', {
+        type: 'number',
+        description: 'How often a failed request is retried',
+        default: 3
+      });
+  },
+  handler: async (argv) => {
+    const previous = getCachedCommands();
+    console.log('📥 Downloading latest commands...');
+
+    try {
+      const { version, dir, changed } = await updateBuiltinCommands({
+        ...(argv.url ? { url: argv.url } : {}),
+        skipChecksum: argv.skipChecksum,
+        timeout: argv.timeout * 1000,
+        retries: argv.retries
+      });
+
+      if (changed) {
+        console.log(`✅ Updated built-in commands${previous ? ` from ${previous.version}` : ''} to ${version}: ${dir}`);
+      } else {
+        console.log(`✓ Built-in commands ${version} are up to date: ${dir}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Update failed:'), error.message);
+      process.exit(1);
+    }
+  }
+};
+
+// ait commands cache clear
+const cacheCommand = {
+  command: 'cache <action>',
+  describe: 'Manage the download cache',
+  builder: (yargs) => {
+    return yargs.positional('action', {
+      type: 'string',
+      description: 'What to do with the cache',
+      choices: ['clear']
+    });
+  },
+  handler: () => {
+    const removed = clearCache();
+    console.log(removed ? `🗑️  Removed ${removed}` : 'The cache is already empty');
+  }
+};
+
+export const manageCommandsCommand = {
+  command: 'commands <command>',
+  describe: 'Manage the built-in commands and the download cache',
+  builder: (yargs) => {
+    return yargs
+      .command(updateCommand)
+      .command(cacheCommand)
+      .demandCommand(1, 'You must specify a commands subcommand');
+  },
+  handler: () => {}
+};
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DEFAULT_MANIFEST_PATH = './.ait/manifest.json';
+const MANIFEST_VERSION = 1;
+
+// SHA-256 of file content
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Record of generated files: which source produced them and what was written
+//
+// {
+//   "version": 1,
+//   "files": {
+//     ".claude/commands/kiro/spec.md": {
+//       "target": "claude",
+//       "source": "kiro/spec.yaml",
+//       "sourceHash": "…",
+//       "outputHash": "…"
+//     }
+//   }
+// }
+export class Manifest {
+  constructor(manifestPath = DEFAULT_MANIFEST_PATH, baseDir = process.cwd()) {
+    this.path = manifestPath;
+    this.baseDir = baseDir;
+    this.files = {};
+  }
+
+  // Load the manifest from disk (missing file means nothing was generated yet)
+  load() {
+    if (!fs.existsSync(this.path)) {
+      this.files = {};
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.files = data.files || {};
+    } catch (error) {
+      throw new Error(`Invalid manifest ${this.path}: ${error.message}`);
+    }
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const sorted = Object.fromEntries(Object.entries(this.files).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(this.path, JSON.stringify({ version: MANIFEST_VERSION, files: sorted }, null, 2) + '\n');
+  }
+
+  // Manifest key for an output file: relative to the project, absolute when outside it
+  key(filepath) {
+    const relative = path.relative(this.baseDir, path.resolve(filepath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return path.resolve(filepath);
+    }
+    return relative.split(path.sep).join('/');
+  }
+
+  // Resolve a manifest key back to a path on disk
+  resolve(key) {
+    return path.isAbsolute(key) ? key : path.join(this.baseDir, key);
+  }
+
+  get(filepath) {
+    return this.files[this.key(filepath)];
+  }
+
+  set(filepath, entry) {
+    this.files[this.key(filepath)] = entry;
+  }
+
+  delete(filepath) {
+    delete this.files[this.key(filepath)];
+  }
+
+  // All entries as [filepath, entry] pairs
+  entries() {
+    return Object.entries(this.files).map(([key, entry]) => [this.resolve(key), entry]);
+  }
+}
@@ -0,0 +1,213 @@
+// User-defined MCP servers, merged over the built-in ones
+//
+//   ~/.config/ait/servers.yaml   user catalog ($XDG_CONFIG_HOME/ait/servers.yaml)
+//   .ait/servers.yaml            project catalog, wins over the user catalog
+//
+// servers:
+//   internalApi:
+//     name: Internal API
+//     description: Tools of our internal API
+//     requiredTokens: [INTERNAL_API_KEY]
+//     transport:                    # one of command (stdio), url (SSE) or httpUrl (streamable HTTP)
+//       httpUrl: https://mcp.internal.example.com/mcp
+//       headers: { Authorization: 'Bearer ${INTERNAL_API_KEY}' }
+//     clients:                      # per-client config replacing the generated one, or false
+//       vscode: false
+//
+// An entry with the name of a built-in server replaces it.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import { findLine, validateFields } from './command-schema.js';
+import { SERVER_TYPES, addServer, buildConfig } from './mcp-servers.config.js';
+import { getMcpClients } from './mcp-clients.js';
+
+export const PROJECT_CATALOG_PATH = './.ait/servers.yaml';
+
+export const serverEntrySchema = {
+  name: { type: 'string' },
+  description: { type: 'string' },
+  type: { type: 'string', pattern: new RegExp(`^(${Object.values(SERVER_TYPES).join('|')})$`) },
+  requiredTokens: { type: 'array', items: 'string' },
+  transport: { type: 'object' },
+  clients: { type: 'object' }
+};
+
+export const transportSchema = {
+  command: { type: 'string' },
+  args: { type: 'array', items: 'string' },
+  env: { type: 'object' },
+  url: { type: 'string' },
+  httpUrl: { type: 'string' },
+  headers: { type: 'object' }
+};
+
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+const TOKEN_PATTERN = /\$\{([A-Za-z_]\w*)\}/g;
+
+// Path of the user catalog
+export function getUserCatalogPath(homedir = os.homedir(), env = process.env) {
+  const configHome = env.XDG_CONFIG_HOME || path.join(homedir, '.config');
+  return path.join(configHome, 'ait', 'servers.yaml');
+}
+
+// Server type of a transport in the built-in vocabulary (docker, npm, binary, sse, http, mixed)
+function transportType(transport) {
+  if (transport.command === 'docker') return SERVER_TYPES.DOCKER;
+  if (transport.command === 'npx') return SERVER_TYPES.NPM;
+  if (transport.command) return SERVER_TYPES.BINARY;
+  if (transport.url) return SERVER_TYPES.SSE;
+  if (transport.httpUrl) return SERVER_TYPES.HTTP;
+  return SERVER_TYPES.MIXED;
+}
+
+// Check that a mapping only holds strings (env variables, headers)
+function validateStringMap(map, label, line) {
+  return Object.entries(map)
+    .filter(([, value]) => typeof value !== 'string')
+    .map(([key]) => ({ severity: 'error', rule: 'field-type', line, message: `Field "${label}.${key}" must be string` }));
+}
+
+// Validate one catalog entry; returns diagnostics like `ait lint`
+export function validateServerEntry(name, entry, content = '') {
+  const line = findLine(content, `${name}:`);
+  const prefix = `servers.${name}.`;
+
+  if (!SERVER_NAME_PATTERN.test(name)) {
+    return [{ severity: 'error', rule: 'field-format', line, message: `Invalid server name "${name}"` }];
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [{ severity: 'error', rule: 'field-type', line, message: `Server "${name}" must be a mapping` }];
+  }
+
+  const diagnostics = validateFields(entry, serverEntrySchema, { content, prefix, line });
+  if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+    return diagnostics;
+  }
+
+  const { transport = {}, clients = {} } = entry;
+  diagnostics.push(...validateFields(transport, transportSchema, { content, prefix: `${prefix}transport.`, line }));
+  if (transport.env && typeof transport.env === 'object') {
+    diagnostics.push(...validateStringMap(transport.env, `${prefix}transport.env`, line));
+  }
+  if (transport.headers && typeof transport.headers === 'object') {
+    diagnostics.push(...validateStringMap(transport.headers, `${prefix}transport.headers`, line));
+  }
+
+  const kinds = ['command', 'url', 'httpUrl'].filter(key => transport[key] !== undefined);
+  if (kinds.length > 1) {
+    diagnostics.push({ severity: 'error', rule: 'transport', line, message: `Server "${name}" must have only one of transport.command, transport.url or transport.httpUrl, got ${kinds.join(', ')}` });
+  }
+  for (const key of ['url', 'httpUrl']) {
+    if (typeof transport[key] === 'string' && !/^https?:\/\/[^/]/.test(transport[key])) {
+      diagnostics.push({ severity: 'error', rule: 'field-format', line, message: `Field "${prefix}transport.${key}" must be an http(s) URL` });
+    }
+  }
+
+  const knownClients = getMcpClients();
+  for (const [client, config] of Object.entries(clients)) {
+    if (!knownClients.includes(client)) {
+      diagnostics.push({ severity: 'error', rule: 'unknown-client', line, message: `Unknown client "${prefix}clients.${client}". Available clients: ${knownClients.join(', ')}` });
+    } else if (config !== false && (!config || typeof config !== 'object' || Array.isArray(config))) {
+      diagnostics.push({ severity: 'error', rule: 'field-type', line, message: `Field "${prefix}clients.${client}" must be a config object or false` });
+    }
+  }
+
+  if (kinds.length === 0 && !Object.values(clients).some(config => config && typeof config === 'object')) {
+    diagnostics.push({ severity: 'error', rule: 'transport', line, message: `Server "${name}" needs transport.command, transport.url or transport.httpUrl, or a config under clients` });
+  }
+
+  // ${TOKEN} placeholders are only filled in for declared tokens
+  const declared = entry.requiredTokens || [];
+  const used = [...JSON.stringify({ transport, clients }).matchAll(TOKEN_PATTERN)].map(match => match[1]);
+  for (const token of new Set(used)) {
+    if (!declared.includes(token)) {
+      diagnostics.push({ severity: 'warning', rule: 'undeclared-token', line, message: `Server "${name}" uses \${${token}} but does not list it in requiredTokens` });
+    }
+  }
+
+  return diagnostics;
+}
+
+// Build a server of the shape of the built-in ones from a validated entry
+function toServer(name, entry, source) {
+  const transport = entry.transport || {};
+  const generators = Object.fromEntries(
+    Object.entries(entry.clients || {}).map(([client, config]) => [client, () => (config === false ? null : config)])
+  );
+
+  return {
+    name: entry.name || name,
+    description: entry.description || '',
+    type: entry.type || transportType(transport),
+    requiredTokens: entry.requiredTokens || [],
+    config: buildConfig(transport, generators),
+    source
+  };
+}
+
+// Read and validate a catalog file
+// Returns { servers: { name: server }, diagnostics: [{ file, severity, rule, line, message }] }
+export function readServerCatalog(filepath) {
+  if (!fs.existsSync(filepath)) {
+    return { servers: {}, diagnostics: [] };
+  }
+
+  const content = fs.readFileSync(filepath, 'utf8');
+  const fail = (message, line = 1) => ({
+    servers: {},
+    diagnostics: [{ file: filepath, severity: 'error', rule: 'catalog', line, message }]
+  });
+
+  let catalog;
+  try {
+    catalog = yaml.load(content);
+  } catch (error) {
+    return fail(error.reason || error.message, error.mark ? error.mark.line + 1 : 1);
+  }
+  if (catalog === undefined || catalog === null) {
+    return { servers: {}, diagnostics: [] };
+  }
+  if (typeof catalog !== 'object' || Array.isArray(catalog) || !catalog.servers || typeof catalog.servers !== 'object' || Array.isArray(catalog.servers)) {
+    return fail('Expected a "servers" mapping of server names to entries');
+  }
+
+  const servers = {};
+  const diagnostics = [];
+  for (const [name, entry] of Object.entries(catalog.servers)) {
+    const entryDiagnostics = validateServerEntry(name, entry, content);
+    diagnostics.push(...entryDiagnostics.map(diagnostic => ({ file: filepath, ...diagnostic })));
+    if (!entryDiagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+      servers[name] = toServer(name, entry, filepath);
+    }
+  }
+  return { servers, diagnostics };
+}
+
+// Load the user and project catalogs and register their servers
+// Returns [{ name, source }] of the registered servers. Throws when a catalog has
+// errors; warnings are printed
+export function loadServerCatalog({ cwd = process.cwd(), homedir = os.homedir() } = {}) {
+  const files = [getUserCatalogPath(homedir), path.resolve(cwd, PROJECT_CATALOG_PATH)];
+  const catalogs = files.map(readServerCatalog);
+  const diagnostics = catalogs.flatMap(catalog => catalog.diagnostics);
+  const format = diagnostic => `${diagnostic.file}:${diagnostic.line} ${diagnostic.message}`;
+
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Invalid server catalog:\n${errors.map(error => `  ${format(error)}`).join('\n')}`);
+  }
+  diagnostics.forEach(warning => console.warn(`⚠️  ${format(warning)}`));
+
+  // The project catalog is registered last, so it wins
+  const registered = new Map();
+  for (const catalog of catalogs) {
+    for (const [name, server] of Object.entries(catalog.servers)) {
+      addServer(name, server, { override: true });
+      registered.set(name, server.source);
+    }
+  }
+  return [...registered].map(([name, source]) => ({ name, source }));
+}
@@ -0,0 +1,263 @@
+// MCP clients and how their config files are built, without prompts or writes
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getServerConfig, substituteTokens, validateServerTokens } from './mcp-servers.config.js';
+
+// Where a config is written: the project (cwd) or the user's home directory
+export const MCP_SCOPES = ['project', 'user'];
+
+// Each client has a label, the scopes it supports, the path of its config file
+// for a scope (null when the platform is unsupported), and an optional transform
+// applied to every server entry. Existing config files are always merged into
+export const MCP_CLIENTS = {
+  claudeCode: {
+    label: 'Claude Code',
+    scopes: ['project', 'user'],
+    configPath: ({ cwd, homedir, scope }) => (scope === 'user'
+      ? path.join(homedir, '.claude.json')
+      : path.join(cwd, '.mcp.json'))
+  },
+
+  claudeDesktop: {
+    label: 'Claude Desktop',
+    scopes: ['user'],
+    configPath: ({ homedir, platform }) => {
+      if (platform === 'darwin') {
+        return path.join(homedir, 'Library/Application Support/Claude/claude_desktop_config.json');
+      }
+      if (platform === 'linux') {
+        return path.join(homedir, '.config/Claude/claude_desktop_config.json');
+      }
+      return null;
+    }
+  },
+
+  vscode: {
+    label: 'VS Code GitHub Copilot',
+    scopes: ['project'],
+    configPath: ({ cwd }) => path.join(cwd, '.vscode', 'mcp.json'),
+    // Convert {{token}} placeholders to ${input:token} format for VS Code
+    transform: (config) => JSON.parse(JSON.stringify(config).replace(/\{\{([^}]+)\}\}/g, '${input:$1}'))
+  },
+
+  gemini: {
+    label: 'Gemini CLI',
+    scopes: ['project', 'user'],
+    // Without a scope, a project .gemini directory wins over the user settings
+    configPath: ({ cwd, homedir, scope }) => {
+      const project = scope ? scope === 'project' : fs.existsSync(path.join(cwd, '.gemini'));
+      return path.join(project ? cwd : homedir, '.gemini', 'settings.json');
+    }
+  }
+};
+
+// Get the ids of all MCP clients
+export function getMcpClients() {
+  return Object.keys(MCP_CLIENTS);
+}
+
+// Config entry of a server for one client with tokens substituted
+// Returns null when the server has no configuration for the client
+export function buildServerEntry(serverName, clientName, tokens = {}) {
+  const server = getServerConfig(serverName);
+  if (!server) {
+    throw new Error(`Unknown MCP server "${serverName}"`);
+  }
+
+  const config = server.config[clientName];
+  if (!config) {
+    return null;
+  }
+
+  const entry = substituteTokens(config, tokens);
+  const { transform } = MCP_CLIENTS[clientName];
+  return transform ? transform(entry) : entry;
+}
+
+// Read a JSON config file, or return null when it doesn't exist
+function readJson(filepath) {
+  if (!fs.existsSync(filepath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${filepath}: ${error.message}`);
+  }
+}
+
+// Path of a client's config file for a scope (without one, the client's default)
+// Throws when the client is unknown, has no config in the scope or doesn't support the platform
+export function resolveConfigPath(clientName, { scope, cwd = process.cwd(), homedir = os.homedir(), platform = os.platform() } = {}) {
+  const client = MCP_CLIENTS[clientName];
+  if (!client) {
+    throw new Error(`Unknown MCP client "${clientName}". Available clients: ${getMcpClients().join(', ')}`);
+  }
+  if (scope && !client.scopes.includes(scope)) {
+    throw new Error(`${client.label} has no ${scope} config (supported scopes: ${client.scopes.join(', ')})`);
+  }
+
+  const configPath = client.configPath({ cwd, homedir, platform, scope });
+  if (!configPath) {
+    throw new Error(`${client.label} is not supported on ${platform}`);
+  }
+  return configPath;
+}
+
+// Transport of a configured server entry: stdio, sse or http
+export function transportOf(entry) {
+  if (!entry || typeof entry !== 'object') return 'unknown';
+  if (entry.command) return 'stdio';
+  if (entry.type === 'sse' || entry.type === 'http') return entry.type;
+  if (entry.type === 'streamable-http' || entry.httpUrl) return 'http';
+  if (entry.url) return 'sse';
+  return 'unknown';
+}
+
+// Read the servers configured for each client, from the files setup writes
+// Returns [{ client, label, path, exists, servers: { name: entry }, error? }];
+// clients without a config for the scope or platform get only an error
+export function readMcpConfigs(options = {}) {
+  const { clients = getMcpClients(), ...location } = options;
+
+  return clients.map(clientName => {
+    const summary = { client: clientName, label: MCP_CLIENTS[clientName]?.label || clientName };
+    try {
+      summary.path = resolveConfigPath(clientName, location);
+      const config = readJson(summary.path);
+      summary.exists = config !== null;
+      summary.servers = (config && config.mcpServers) || {};
+    } catch (error) {
+      summary.servers = {};
+      summary.error = error.message;
+    }
+    return summary;
+  });
+}
+
+// Plan the removal of servers from the config file of each client
+// Returns [{ client, label, path, config, removed, missing }] for clients whose
+// config exists; other keys and servers are kept and nothing is written
+export function planMcpRemoval(options = {}) {
+  const { servers = [], clients = getMcpClients(), ...location } = options;
+
+  return clients.flatMap(clientName => {
+    const configPath = resolveConfigPath(clientName, location);
+    const existing = readJson(configPath);
+    if (!existing) {
+      return [];
+    }
+
+    const current = existing.mcpServers || {};
+    const removed = servers.filter(name => Object.hasOwn(current, name));
+    const missing = servers.filter(name => !Object.hasOwn(current, name));
+    const remaining = Object.fromEntries(Object.entries(current).filter(([name]) => !removed.includes(name)));
+    return [{
+      client: clientName,
+      label: MCP_CLIENTS[clientName].label,
+      path: configPath,
+      config: { ...existing, mcpServers: remaining },
+      removed,
+      missing
+    }];
+  });
+}
+
+// Compare JSON values regardless of key order
+function sameEntry(a, b) {
+  const normalize = value => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+    }
+    return value;
+  };
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+// Merge server entries into an existing config, keeping every other key and server
+// Changes marked `keep` (conflicts resolved in favour of the existing entry) are left out
+export function mergeMcpConfig(existing, changes) {
+  const servers = { ...(existing && existing.mcpServers) };
+  for (const change of changes) {
+    if (change.status !== 'unchanged' && !change.keep) {
+      servers[change.server] = change.after;
+    }
+  }
+  return { ...existing, mcpServers: servers };
+}
+
+// Plan the config file of each client for a set of servers
+// Returns [{ client, label, path, existing, config, added, skipped, changes }]
+// where changes are [{ server, status: new|changed|unchanged, before, after }];
+// nothing is written. The config merges into the existing file; servers that
+// would change are replaced, or kept with onConflict: 'skip'.
+// Throws when a server misses required tokens, a client is unknown, an existing
+// config isn't valid JSON or a client has no config in the requested scope
+// (without a scope, each client's default)
+export function planMcpConfigs(options = {}) {
+  const {
+    servers = [],
+    clients = [],
+    tokens = {},
+    scope,
+    onConflict = 'overwrite',
+    cwd = process.cwd(),
+    homedir = os.homedir(),
+    platform = os.platform()
+  } = options;
+
+  if (scope && !MCP_SCOPES.includes(scope)) {
+    throw new Error(`Unknown scope "${scope}". Use one of: ${MCP_SCOPES.join(', ')}`);
+  }
+  if (onConflict !== 'overwrite' && onConflict !== 'skip') {
+    throw new Error(`Unknown onConflict "${onConflict}". Use overwrite or skip`);
+  }
+
+  for (const serverName of servers) {
+    if (!getServerConfig(serverName)) {
+      throw new Error(`Unknown MCP server "${serverName}"`);
+    }
+    const validation = validateServerTokens(serverName, tokens);
+    if (!validation.valid) {
+      throw new Error(`Missing tokens for ${serverName}: ${validation.missing.join(', ')}`);
+    }
+  }
+
+  return clients.map(clientName => {
+    const client = MCP_CLIENTS[clientName];
+    const configPath = resolveConfigPath(clientName, { scope, cwd, homedir, platform });
+    const existing = readJson(configPath);
+    const current = (existing && existing.mcpServers) || {};
+    const added = [];
+    const skipped = [];
+    const changes = [];
+
+    for (const serverName of servers) {
+      const entry = buildServerEntry(serverName, clientName, tokens);
+      if (!entry) {
+        skipped.push(serverName);
+        continue;
+      }
+
+      added.push(serverName);
+      const before = current[serverName];
+      const status = before === undefined ? 'new' : sameEntry(before, entry) ? 'unchanged' : 'changed';
+      changes.push({ server: serverName, status, before, after: entry, keep: status === 'changed' && onConflict === 'skip' });
+    }
+
+    const config = mergeMcpConfig(existing || {}, changes);
+    return { client: clientName, label: client.label, path: configPath, existing, config, added, skipped, changes };
+  });
+}
+
+// Files to write for planned client configs: [{ path, content, client }]
+export function mcpConfigFiles(plans) {
+  return plans.map(plan => ({
+    path: plan.path,
+    content: `${JSON.stringify(plan.config, null, 2)}\n`,
+    client: plan.client
+  }));
+}
@@ -0,0 +1,370 @@
+import chalk from 'chalk';
+import {
+  MCP_SCOPES,
+  getMcpClients,
+  mcpConfigFiles,
+  planMcpRemoval,
+  readMcpConfigs,
+  resolveConfigPath,
+  transportOf
+} from './mcp-clients.js';
+import { getServerConfig } from './mcp-servers.config.js';
+import { loadServerCatalog } from './mcp-catalog.js';
+import { DOCTOR_TIMEOUT, checkServer } from './mcp-doctor.js';
+import { replaceBackup } from './conflicts.js';
+import { writeFiles } from './files.js';
+import { Reporter, OUTPUT_OPTIONS, outputFormat } from './reporter.js';
+
+// Options shared by the mcp subcommands: which config files to look at
+const LOCATION_OPTIONS = {
+  clients: {
+    type: 'string',
+    description: `Comma-separated clients (${getMcpClients().join(', ')}; default: all)`,
+    coerce: value => value.split(',').map(name => name.trim()).filter(Boolean)
+  },
+  scope: {
+    type: 'string',
+    description: 'Look at project or user configs (default: the files setup writes by default)',
+    choices: MCP_SCOPES
+  }
+};
+
+// ${TOKEN} and {{token}} placeholders left in a server entry by a missing token
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_]\w*)\}|\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Create the reporter of a subcommand, or exit when --json and --ndjson are combined
+function createReporter(argv) {
+  if (argv.json && argv.ndjson) {
+    console.error('--json cannot be combined with --ndjson');
+    process.exit(1);
+  }
+  return new Reporter(outputFormat(argv));
+}
+
+// Clients to look at: the ones given with --clients, or every client that has
+// a config file in the scope on this platform
+function selectClients(argv) {
+  if (!argv.clients) {
+    return getMcpClients().filter(name => {
+      try {
+        return Boolean(resolveConfigPath(name, { scope: argv.scope }));
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  const unknown = argv.clients.filter(name => !getMcpClients().includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown MCP client ${unknown.join(', ')}. Available clients: ${getMcpClients().join(', ')}`);
+  }
+  return argv.clients;
+}
+
+function readConfigs(argv) {
+  return readMcpConfigs({ clients: selectClients(argv), scope: argv.scope });
+}
+
+// Print rows as left-aligned columns with a bold header
+function printTable(report, header, rows) {
+  const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+  const format = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  report.log(chalk.bold(format(header)));
+  rows.forEach(row => report.log(format(row)));
+}
+
+// ait mcp list
+const listCommand = {
+  command: 'list',
+  describe: 'Show which MCP servers are configured for which client',
+  builder: (yargs) => yargs.options(LOCATION_OPTIONS).options(OUTPUT_OPTIONS),
+  handler: (argv) => {
+    const reporter = createReporter(argv);
+    let configs;
+    try {
+      configs = readConfigs(argv);
+    } catch (error) {
+      console.error(chalk.red('List failed:'), error.message);
+      reporter.finish({ servers: 0, clients: 0, error: error.message });
+      process.exitCode = 1;
+      return;
+    }
+
+    const present = configs.filter(config => config.exists);
+    const servers = [...new Set(present.flatMap(config => Object.keys(config.servers)))].sort();
+
+    configs.forEach(({ client, path, exists, error }) => {
+      reporter.record({ type: 'client', client, path, exists: Boolean(exists), ...(error ? { error } : {}) });
+    });
+    for (const server of servers) {
+      for (const { client, path, servers: entries } of present) {
+        if (entries[server]) {
+          reporter.record({ type: 'server', server, client, path, transport: transportOf(entries[server]) });
+        }
+      }
+    }
+
+    if (servers.length === 0) {
+      reporter.log('No MCP servers configured');
+    } else {
+      reporter.log(chalk.cyan.bold('📋 MCP servers\n'));
+      printTable(
+        reporter,
+        ['Server', ...present.map(config => config.client)],
+        servers.map(server => [server, ...present.map(config => (config.servers[server] ? transportOf(config.servers[server]) : '-'))])
+      );
+    }
+
+    reporter.log(chalk.cyan.bold('\n📁 Config files\n'));
+    configs.forEach(({ label, path, exists, error }) => {
+      if (error) {
+        reporter.log(`  ${chalk.red('✗')} ${label}: ${error}`);
+      } else {
+        reporter.log(`  ${exists ? chalk.green('✓') : chalk.dim('○')} ${label}: ${path}${exists ? '' : chalk.dim(' (not configured)')}`);
+      }
+    });
+
+    reporter.finish({ servers: servers.length, clients: present.length });
+    process.exitCode = reporter.exitCode();
+  }
+};
+
+// ait mcp status
+const statusCommand = {
+  command: 'status',
+  describe: 'Check the MCP config file of each client',
+  builder: (yargs) => yargs.options(LOCATION_OPTIONS).options(OUTPUT_OPTIONS),
+  handler: (argv) => {
+    const reporter = createReporter(argv);
+
+    // Servers of the catalogs count as known; a broken catalog is reported but doesn't stop the check
+    try {
+      loadServerCatalog();
+    } catch (error) {
+      reporter.log(`${chalk.red('✗')} ${error.message}`);
+      reporter.record({ type: 'catalog', action: 'error', error: error.message });
+    }
+
+    let configs;
+    try {
+      configs = readConfigs(argv);
+    } catch (error) {
+      console.error(chalk.red('Status failed:'), error.message);
+      reporter.finish({ configured: 0, error: error.message });
+      process.exitCode = 1;
+      return;
+    }
+
+    for (const { client, label, path, exists, servers, error } of configs) {
+      if (error) {
+        reporter.log(`${chalk.red('✗')} ${label}: ${error}`);
+        reporter.record({ type: 'client', client, path, action: 'error', error });
+        continue;
+      }
+      if (!exists) {
+        reporter.log(`${chalk.dim('○')} ${label}: not configured ${chalk.dim(`(${path})`)}`);
+        reporter.record({ type: 'client', client, path, action: 'missing' });
+        continue;
+      }
+
+      const names = Object.keys(servers);
+      const warnings = [];
+      for (const name of names) {
+        const placeholders = [...JSON.stringify(servers[name]).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1] || match[2]);
+        if (placeholders.length > 0) {
+          warnings.push(`${name} has unresolved placeholders: ${[...new Set(placeholders)].join(', ')}`);
+        }
+        if (!getServerConfig(name)) {
+          warnings.push(`${name} is not in the server catalog (added by hand?)`);
+        }
+      }
+
+      reporter.log(`${chalk.green('✓')} ${label}: ${names.length} server${names.length === 1 ? '' : 's'} in ${path}`);
+      warnings.forEach(warning => reporter.log(`    ${chalk.yellow('⚠')} ${warning}`));
+      reporter.record({ type: 'client', client, path, action: 'configured', servers: names, ...(warnings.length > 0 ? { warnings } : {}) });
+    }
+
+    reporter.finish({ configured: configs.filter(config => config.exists).length });
+    process.exitCode = reporter.exitCode();
+  }
+};
+
+// ait mcp remove <servers..>
+const removeCommand = {
+  command: 'remove <servers..>',
+  describe: 'Remove MCP servers from client config files',
+  builder: (yargs) => {
+    return yargs
+      .positional('servers', {
+        type: 'string',
+        description: 'Names of the servers to remove'
+      })
+      .options(LOCATION_OPTIONS)
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Show what would be removed without changing files',
+        default: false
+      })
+      .options(OUTPUT_OPTIONS);
+  },
+  handler: (argv) => {
+    const reporter = createReporter(argv);
+    const servers = argv.servers.map(String);
+
+    let clients;
+    try {
+      clients = selectClients(argv);
+    } catch (error) {
+      console.error(chalk.red('Remove failed:'), error.message);
+      reporter.finish({ dryRun: argv.dryRun, removed: 0, error: error.message });
+      process.exitCode = 1;
+      return;
+    }
+
+    // Plan each client on its own so one unreadable file doesn't stop the others
+    const plans = [];
+    for (const client of clients) {
+      try {
+        plans.push(...planMcpRemoval({ servers, clients: [client], scope: argv.scope }));
+      } catch (error) {
+        console.error(`${chalk.red('✗')} ${error.message}`);
+        reporter.record({ type: 'file', client, action: 'error', error: error.message });
+      }
+    }
+
+    let removed = 0;
+    for (const plan of plans.filter(plan => plan.removed.length > 0)) {
+      const result = { client: plan.client, path: plan.path };
+      try {
+        // Like setup, back up every file before it is rewritten, keeping only the latest backup
+        let backup;
+        if (!argv.dryRun) {
+          backup = replaceBackup(plan.path);
+          writeFiles(mcpConfigFiles([plan]));
+        }
+        plan.removed.forEach(server => {
+          reporter.log(`${chalk.green('✓')} ${argv.dryRun ? 'Would remove' : 'Removed'} ${server} from ${plan.label} (${plan.path})`);
+          reporter.record({ type: 'server', ...result, server, action: 'removed' });
+        });
+        if (backup) {
+          reporter.log(`  ${chalk.blue('ℹ')} Backed up ${plan.path} to ${backup}`);
+        }
+        reporter.record({ type: 'file', ...result, action: argv.dryRun ? 'unchanged' : 'updated', ...(backup ? { backup } : {}) });
+        removed += plan.removed.length;
+      } catch (error) {
+        console.error(`${chalk.red('✗')} Failed to update ${plan.path}: ${error.message}`);
+        reporter.record({ type: 'file', ...result, action: 'error', error: error.message });
+      }
+    }
+
+    // Removing a server that isn't configured anywhere is not an error, so scripts can repeat it
+    for (const server of servers) {
+      if (!plans.some(plan => plan.removed.includes(server))) {
+        reporter.log(`${chalk.yellow('⚠')} ${server} is not configured for ${argv.clients ? argv.clients.join(', ') : 'any client'}`);
+        reporter.record({ type: 'server', server, action: 'missing' });
+      }
+    }
+
+    reporter.finish({ dryRun: argv.dryRun, removed });
+    process.exitCode = reporter.exitCode();
+  }
+};
+
+// ait mcp doctor [servers..]
+const doctorCommand = {
+  command: 'doctor [servers..]',
+  describe: 'Connect to configured MCP servers and check that they answer',
+  builder: (yargs) => {
+    return yargs
+      .positional('servers', {
+        type: 'string',
+        description: 'Names of the servers to check (default: all configured)'
+      })
+      .options(LOCATION_OPTIONS)
+      .option('timeout', {
+        type: 'number',
+        description: 'Seconds to wait for each server',
+        default: DOCTOR_TIMEOUT / 1000
+      })
+      .options(OUTPUT_OPTIONS);
+  },
+  handler: async (argv) => {
+    const reporter = createReporter(argv);
+    let configs;
+    try {
+      configs = readConfigs(argv);
+    } catch (error) {
+      console.error(chalk.red('Doctor failed:'), error.message);
+      reporter.finish({ checked: 0, ok: 0, error: error.message });
+      process.exitCode = 1;
+      return;
+    }
+
+    configs.filter(config => config.error).forEach(({ client, path, error }) => {
+      reporter.log(`${chalk.red('✗')} ${error}`);
+      reporter.record({ type: 'client', client, path, action: 'error', error });
+    });
+
+    // Identical entries of a server (usually the same in several clients) are checked once
+    const checks = new Map();
+    const only = argv.servers && argv.servers.length > 0 ? argv.servers.map(String) : null;
+    for (const { client, servers } of configs.filter(config => config.exists)) {
+      for (const [server, entry] of Object.entries(servers)) {
+        if (only && !only.includes(server)) continue;
+        const key = `${server}\n${JSON.stringify(entry)}`;
+        if (!checks.has(key)) {
+          checks.set(key, { server, entry, clients: [] });
+        }
+        checks.get(key).clients.push(client);
+      }
+    }
+
+    for (const server of only || []) {
+      if (![...checks.values()].some(check => check.server === server)) {
+        reporter.log(`${chalk.yellow('⚠')} ${server} is not configured for ${argv.clients ? argv.clients.join(', ') : 'any client'}`);
+        reporter.record({ type: 'server', server, action: 'missing', error: 'not configured' });
+      }
+    }
+
+    if (checks.size === 0) {
+      reporter.log('No MCP servers to check');
+    } else {
+      reporter.log(chalk.cyan.bold(`🩺 Checking ${checks.size} server entr${checks.size === 1 ? 'y' : 'ies'}...\n`));
+    }
+
+    let ok = 0;
+    for (const { server, entry, clients } of checks.values()) {
+      const result = await checkServer(entry, { timeout: argv.timeout * 1000 });
+      const where = `${server} (${clients.join(', ')}, ${result.transport})`;
+
+      if (result.status === 'ok') {
+        ok++;
+        const info = result.serverInfo ? ` - ${result.serverInfo.name}${result.serverInfo.version ? ` ${result.serverInfo.version}` : ''}` : '';
+        reporter.log(`${chalk.green('✓')} ${where}: protocol ${result.protocolVersion}, ${result.tools} tool${result.tools === 1 ? '' : 's'}${info}`);
+      } else {
+        reporter.log(`${chalk.red('✗')} ${where}: ${result.status} - ${result.error}`);
+      }
+      if (result.missingEnv.length > 0) {
+        reporter.log(`    ${chalk.yellow('⚠')} Missing environment variables: ${result.missingEnv.join(', ')}`);
+      }
+      reporter.record({ type: 'server', server, clients, action: result.status, ...result });
+    }
+
+    reporter.finish({ checked: checks.size, ok });
+    process.exitCode = reporter.exitCode();
+  }
+};
+
+export const mcpCommand = {
+  command: 'mcp <command>',
+  describe: 'List, check, diagnose and remove configured MCP servers',
+  builder: (yargs) => {
+    return yargs
+      .command(listCommand)
+      .command(statusCommand)
+      .command(removeCommand)
+      .command(doctorCommand)
+      .demandCommand(1, 'You must specify an mcp subcommand');
+  },
+  handler: () => {}
+};
@@ -0,0 +1,406 @@
+// Health checks of configured MCP servers: speak MCP to each entry
+//
+//   stdio  spawn the command and exchange newline-delimited JSON-RPC on stdin/stdout
+//   http   streamable HTTP: POST every message; replies come as JSON or an SSE stream
+//   sse    HTTP+SSE: GET an event stream, POST messages to the URL of its `endpoint` event
+//
+// Every check runs initialize, notifications/initialized and tools/list, like a client does
+// on startup. ${VAR} placeholders are expanded from the environment first, as clients do.
+
+import { spawn } from 'child_process';
+import { sendRequest } from './fetch.js';
+import { transportOf } from './mcp-clients.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+export const DOCTOR_TIMEOUT = 30_000;
+
+const CLIENT_INFO = { name: 'ai-cli-toolkit', version: '1.0.0' };
+
+// ${VAR}, ${VAR:-default} and VS Code's ${env:VAR}
+const ENV_PATTERN = /\$\{(?:env:)?([A-Za-z_]\w*)(?::-([^}]*))?\}/g;
+
+// Environment variables an entry needs but the environment doesn't have:
+// unresolved ${VAR} placeholders without a default, and empty `env` values
+export function findMissingEnv(entry, env = process.env) {
+  const missing = new Set();
+  for (const match of JSON.stringify(entry).matchAll(ENV_PATTERN)) {
+    if (match[2] === undefined && !env[match[1]]) {
+      missing.add(match[1]);
+    }
+  }
+  for (const [name, value] of Object.entries(entry.env || {})) {
+    if (value === '') {
+      missing.add(name);
+    }
+  }
+  return [...missing];
+}
+
+// Expand ${VAR} placeholders in every string of an entry
+function expandEnv(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_PATTERN, (match, name, fallback) => env[name] ?? fallback ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => expandEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+  }
+  return value;
+}
+
+// Error of a server that could not be reached at all (as opposed to one that answered wrongly)
+class UnreachableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnreachableError';
+  }
+}
+
+// JSON-RPC bookkeeping shared by the transports: ids, pending requests, incoming messages
+class Session {
+  constructor() {
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  // Send a request and wait for its result
+  request(method, params = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, method });
+      this.send({ jsonrpc: '2.0', id, method, params }).catch(error => {
+        this.pending.delete(id);
+        reject(error);
+      });
+    });
+  }
+
+  notify(method, params = {}) {
+    return this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  // Handle a message from the server: settle a pending request, or answer a server request
+  receive(message) {
+    if (message.id !== undefined && message.method) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+      this.send(reply).catch(() => {});
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      return;
+    }
+    this.pending.delete(message.id);
+    if (message.error) {
+      pending.reject(new Error(`${pending.method} failed: ${message.error.message} (code ${message.error.code})`));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  // Fail every pending request
+  abort(error) {
+    for (const pending of this.pending.values()) {
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+// stdio: a child process speaking newline-delimited JSON
+class StdioSession extends Session {
+  constructor(entry, env) {
+    super();
+    this.stderr = '';
+    this.child = spawn(entry.command, entry.args || [], {
+      env: { ...env, ...entry.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      shell: process.platform === 'win32'
+    });
+
+    let buffer = '';
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line) continue;
+        try {
+          this.receive(JSON.parse(line));
+        } catch {
+          // Servers must only write JSON-RPC to stdout; anything else is ignored
+        }
+      }
+    });
+    this.child.stderr.setEncoding('utf8');
+    this.child.stderr.on('data', chunk => {
+      this.stderr = (this.stderr + chunk).slice(-2000);
+    });
+    this.child.stdin.on('error', () => {});
+
+    this.child.on('error', error => {
+      this.abort(new UnreachableError(error.code === 'ENOENT' ? `Command not found: ${entry.command}` : error.message));
+    });
+    this.child.on('exit', (code, signal) => {
+      const lastLine = this.stderr.trim().split('\n').pop();
+      this.abort(new UnreachableError(`${entry.command} exited with ${signal || `code ${code}`}${lastLine ? `: ${lastLine}` : ''}`));
+    });
+  }
+
+  async send(message) {
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  close() {
+    this.child.removeAllListeners('exit');
+    this.child.stdin.end();
+    this.child.kill();
+    // Servers that ignore SIGTERM must not outlive the check
+    setTimeout(() => {
+      if (this.child.exitCode === null && this.child.signalCode === null) {
+        this.child.kill('SIGKILL');
+      }
+    }, 1000).unref();
+  }
+}
+
+// Parse a text/event-stream response, calling onEvent({ event, data }) per event
+function readEvents(response, onEvent) {
+  let buffer = '';
+  response.setEncoding('utf8');
+  response.on('data', chunk => {
+    buffer += chunk.replace(/\r\n?/g, '\n');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = { event: 'message', data: [] };
+      for (const line of block.split('\n')) {
+        if (line.startsWith(':')) continue;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+        if (field === 'event') event.event = value;
+        if (field === 'data') event.data.push(value);
+      }
+      if (event.data.length > 0) {
+        try {
+          onEvent({ event: event.event, data: event.data.join('\n') });
+        } catch {
+          // Events that aren't JSON-RPC are ignored; the request then times out
+        }
+      }
+    }
+  });
+  // A broken stream shows up as 'close'; pending requests time out
+  response.on('error', () => {});
+}
+
+// Read a whole response body as text
+async function readBody(response) {
+  response.setEncoding('utf8');
+  let text = '';
+  for await (const chunk of response) {
+    text += chunk;
+  }
+  return text;
+}
+
+// Error for a non-2xx HTTP response
+async function httpError(response, url) {
+  const body = (await readBody(response).catch(() => '')).trim().split('\n')[0].slice(0, 200);
+  const hint = response.statusCode === 401 || response.statusCode === 403 ? ' (the server needs authorization)' : '';
+  return new Error(`HTTP ${response.statusCode} from ${url}${hint}${body ? `: ${body}` : ''}`);
+}
+
+// Connect to an HTTP endpoint, turning network failures into UnreachableErrors
+async function connect(url, options) {
+  try {
+    return await sendRequest(url, options);
+  } catch (error) {
+    throw new UnreachableError(error.message);
+  }
+}
+
+// Streamable HTTP: every message is a POST; the reply to a request is JSON or an SSE stream
+class HttpSession extends Session {
+  constructor(url, headers, timeout) {
+    super();
+    this.url = url;
+    this.headers = headers;
+    this.timeout = timeout;
+    this.responses = new Set();
+  }
+
+  async send(message) {
+    const response = await connect(this.url, {
+      method: 'POST',
+      timeout: this.timeout,
+      headers: {
+        ...this.headers,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+        ...(this.protocolVersion ? { 'MCP-Protocol-Version': this.protocolVersion } : {})
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw await httpError(response, this.url);
+    }
+    this.sessionId = response.headers['mcp-session-id'] || this.sessionId;
+
+    const type = response.headers['content-type'] || '';
+    if (type.includes('text/event-stream')) {
+      this.responses.add(response);
+      readEvents(response, ({ data }) => this.receive(JSON.parse(data)));
+    } else if (type.includes('application/json')) {
+      const body = JSON.parse(await readBody(response));
+      [].concat(body).forEach(reply => this.receive(reply));
+    } else {
+      response.resume();
+    }
+  }
+
+  receive(message) {
+    if (message.result && message.result.protocolVersion) {
+      this.protocolVersion = message.result.protocolVersion;
+    }
+    super.receive(message);
+  }
+
+  close() {
+    this.responses.forEach(response => response.destroy());
+    // End the session on the server; failures don't matter
+    if (this.sessionId) {
+      sendRequest(this.url, { method: 'DELETE', timeout: this.timeout, headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId } })
+        .then(response => response.resume(), () => {});
+    }
+  }
+}
+
+// HTTP+SSE: replies arrive on a long-lived event stream; messages are POSTed to its endpoint
+class SseSession extends Session {
+  constructor(url, headers, timeout) {
+    super();
+    this.url = url;
+    this.headers = headers;
+    this.timeout = timeout;
+  }
+
+  // Open the event stream and wait for the endpoint to POST messages to
+  async open() {
+    this.stream = await connect(this.url, { timeout: this.timeout, headers: { ...this.headers, Accept: 'text/event-stream' } });
+    if (this.stream.statusCode !== 200) {
+      throw await httpError(this.stream, this.url);
+    }
+
+    this.endpoint = await new Promise((resolve, reject) => {
+      readEvents(this.stream, ({ event, data }) => {
+        if (event === 'endpoint') {
+          resolve(new URL(data, this.url).href);
+        } else if (event === 'message') {
+          this.receive(JSON.parse(data));
+        }
+      });
+      this.stream.on('close', () => {
+        const error = new UnreachableError(`Event stream of ${this.url} closed`);
+        reject(error);
+        this.abort(error);
+      });
+    });
+  }
+
+  async send(message) {
+    const response = await connect(this.endpoint, {
+      method: 'POST',
+      timeout: this.timeout,
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw await httpError(response, this.endpoint);
+    }
+    response.resume();
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.destroy();
+    }
+  }
+}
+
+// initialize, notifications/initialized and every page of tools/list
+async function handshake(session) {
+  const init = await session.request('initialize', {
+    protocolVersion: MCP_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO
+  });
+  await session.notify('notifications/initialized');
+
+  const tools = [];
+  if (init.capabilities && init.capabilities.tools) {
+    let cursor;
+    do {
+      const page = await session.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(page.tools || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+  return { protocolVersion: init.protocolVersion, serverInfo: init.serverInfo, tools };
+}
+
+// Reject when a promise takes longer than the timeout
+function withTimeout(promise, timeout, message) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new UnreachableError(message)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Check one configured server entry
+// Resolves with { transport, status: ok|unreachable|error, protocolVersion?, serverInfo?,
+// tools?, missingEnv, error? }; never rejects
+export async function checkServer(entry, { timeout = DOCTOR_TIMEOUT, env = process.env } = {}) {
+  const transport = transportOf(entry);
+  const missingEnv = findMissingEnv(entry, env);
+  const result = { transport, missingEnv };
+  const expanded = expandEnv(entry, env);
+
+  let session;
+  try {
+    const check = async () => {
+      if (transport === 'stdio') {
+        session = new StdioSession(expanded, env);
+      } else if (transport === 'http') {
+        session = new HttpSession(expanded.httpUrl || expanded.url, expanded.headers || {}, timeout);
+      } else if (transport === 'sse') {
+        session = new SseSession(expanded.url, expanded.headers || {}, timeout);
+        await session.open();
+      } else {
+        throw new Error('Entry has no command, url or httpUrl');
+      }
+      return handshake(session);
+    };
+
+    const { protocolVersion, serverInfo, tools } = await withTimeout(check(), timeout, `No answer within ${timeout / 1000}s`);
+    return { ...result, status: 'ok', protocolVersion, serverInfo, tools: tools.length };
+  } catch (error) {
+    return { ...result, status: error instanceof UnreachableError ? 'unreachable' : 'error', error: error.message };
+  } finally {
+    if (session) {
+      session.close();
+    }
+  }
+}
@@ -0,0 +1,139 @@
+// Declarative `ait setup` manifest, loaded with --config
+//
+//   servers: [github, filesystem]
+//   clients: [claudeCode, gemini]
+//   scope: project                                    # optional: project or user
+//   workspace: .                                      # WORKSPACE_FOLDER, relative to the manifest
+//   tokens:
+//     GITHUB_PERSONAL_ACCESS_TOKEN: env               # same-named environment variable
+//     SLACK_BOT_TOKEN: env:CI_SLACK_TOKEN             # another environment variable
+//     POSTGRES_CONNECTION_STRING: file:/run/secrets/pg  # contents of a file
+//     CONTEXT7_API_KEY: prompt                        # ask (needs a TTY)
+//
+// Secrets never live in the manifest itself, so it can be committed.
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { getAvailableServers, getServerConfig } from './mcp-servers.config.js';
+import { MCP_SCOPES, getMcpClients } from './mcp-clients.js';
+
+const MANIFEST_KEYS = ['servers', 'clients', 'scope', 'workspace', 'tokens'];
+
+// Parse a token source: env, env:NAME, file:PATH or prompt
+// Returns { type: 'env', name } | { type: 'file', path } | { type: 'prompt' }
+export function parseTokenSource(token, spec, baseDir = process.cwd()) {
+  if (spec === 'env') {
+    return { type: 'env', name: token };
+  }
+  if (spec === 'prompt') {
+    return { type: 'prompt' };
+  }
+  if (typeof spec === 'string' && spec.startsWith('env:') && spec.length > 4) {
+    return { type: 'env', name: spec.slice(4) };
+  }
+  if (typeof spec === 'string' && spec.startsWith('file:') && spec.length > 5) {
+    return { type: 'file', path: path.resolve(baseDir, spec.slice(5)) };
+  }
+  throw new Error(`Invalid source for ${token}: "${spec}". Use env, env:NAME, file:PATH or prompt`);
+}
+
+// Read a token from its source; undefined when it isn't set (prompt sources are never read)
+export function readTokenSource(source, env = process.env) {
+  if (source.type === 'env') {
+    return env[source.name] || undefined;
+  }
+  if (source.type === 'file') {
+    if (!fs.existsSync(source.path)) {
+      throw new Error(`Token file ${source.path} does not exist`);
+    }
+    return fs.readFileSync(source.path, 'utf8').trim() || undefined;
+  }
+  return undefined;
+}
+
+// Human-readable origin of a token source, e.g. for "Using X from ..."
+export function describeTokenSource(source) {
+  if (source.type === 'env') return `environment variable ${source.name}`;
+  if (source.type === 'file') return source.path;
+  return 'prompt';
+}
+
+// Check a list of names from the manifest against the known ones
+function checkNames(manifestPath, key, names, known) {
+  if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) {
+    throw new Error(`Invalid manifest ${manifestPath}: "${key}" must be a list of names`);
+  }
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid manifest ${manifestPath}: unknown ${key} ${unknown.join(', ')}. Available: ${known.join(', ')}`);
+  }
+}
+
+// Load and validate a setup manifest
+// Returns { servers, clients, scope, workspace, tokens: { NAME: source } } with
+// paths resolved against the manifest's directory; missing keys are left out
+export function loadMcpManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Manifest ${manifestPath} does not exist`);
+  }
+
+  let manifest;
+  try {
+    manifest = yaml.load(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid manifest ${manifestPath}: ${error.reason || error.message}`);
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`Invalid manifest ${manifestPath}: expected a mapping with ${MANIFEST_KEYS.join(', ')}`);
+  }
+
+  const unknownKeys = Object.keys(manifest).filter(key => !MANIFEST_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Invalid manifest ${manifestPath}: unknown key ${unknownKeys.join(', ')}`);
+  }
+
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const result = {};
+
+  if (manifest.servers !== undefined) {
+    checkNames(manifestPath, 'servers', manifest.servers, getAvailableServers());
+    result.servers = manifest.servers;
+  }
+  if (manifest.clients !== undefined) {
+    checkNames(manifestPath, 'clients', manifest.clients, getMcpClients());
+    result.clients = manifest.clients;
+  }
+  if (manifest.scope !== undefined) {
+    if (!MCP_SCOPES.includes(manifest.scope)) {
+      throw new Error(`Invalid manifest ${manifestPath}: "scope" must be one of ${MCP_SCOPES.join(', ')}`);
+    }
+    result.scope = manifest.scope;
+  }
+  if (manifest.workspace !== undefined) {
+    if (typeof manifest.workspace !== 'string' || manifest.workspace === '') {
+      throw new Error(`Invalid manifest ${manifestPath}: "workspace" must be a path`);
+    }
+    result.workspace = path.resolve(baseDir, manifest.workspace);
+  }
+  if (manifest.tokens !== undefined) {
+    if (!manifest.tokens || typeof manifest.tokens !== 'object' || Array.isArray(manifest.tokens)) {
+      throw new Error(`Invalid manifest ${manifestPath}: "tokens" must map token names to sources`);
+    }
+    result.tokens = {};
+    for (const [token, spec] of Object.entries(manifest.tokens)) {
+      try {
+        result.tokens[token] = parseTokenSource(token, spec, baseDir);
+      } catch (error) {
+        throw new Error(`Invalid manifest ${manifestPath}: ${error.message}`);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Tokens the selected servers need
+export function requiredTokens(servers) {
+  return [...new Set(servers.flatMap(name => getServerConfig(name).requiredTokens || []))];
+}
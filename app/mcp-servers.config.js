@@ -1,5 +1,6 @@
 // MCP Server Configurations
-// Add new MCP servers here to make them available in the setup script
+// Built-in MCP servers available in the setup script; users add their own in
+// servers.yaml catalogs (see mcp-catalog.js)
 
 // Default configuration generators for each client type
 const defaultConfigGenerators = {
@@ -285,9 +286,9 @@ export function substituteTokens(config, tokens) {
   return JSON.parse(substituted);
 }
 
-// Helper function to add a new server dynamically
-export function addServer(name, serverConfig) {
-  if (mcpServers[name]) {
+// Helper function to add a new server dynamically (override replaces an existing one)
+export function addServer(name, serverConfig, { override = false } = {}) {
+  if (mcpServers[name] && !override) {
     throw new Error(`Server ${name} already exists`);
   }
 
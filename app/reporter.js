@@ -0,0 +1,78 @@
+// Human or machine-readable output of command results
+//
+//   text    emoji console lines (default)
+//   json    a single JSON document { summary, results } printed at the end
+//   ndjson  one JSON object per line, written as results happen, then a summary line
+//
+// In machine-readable formats, human lines are dropped so stdout only carries JSON;
+// warnings and errors still go to stderr.
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+// yargs options of commands that support machine-readable output
+export const OUTPUT_OPTIONS = {
+  json: {
+    type: 'boolean',
+    description: 'Print results as a single JSON document',
+    default: false
+  },
+  ndjson: {
+    type: 'boolean',
+    description: 'Stream results as newline-delimited JSON',
+    default: false
+  }
+};
+
+// Output format selected by --json / --ndjson (check that they aren't combined first)
+export function outputFormat(argv) {
+  return argv.ndjson ? 'ndjson' : argv.json ? 'json' : 'text';
+}
+
+export class Reporter {
+  constructor(format = 'text', stream = process.stdout) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    this.format = format;
+    this.stream = stream;
+    this.results = [];
+  }
+
+  get machine() {
+    return this.format !== 'text';
+  }
+
+  // Print a human-readable line
+  log(...args) {
+    if (!this.machine) {
+      console.log(...args);
+    }
+  }
+
+  // Record a result ({ type, action, ... }); NDJSON writes it right away
+  record(result) {
+    this.results.push(result);
+    if (this.format === 'ndjson') {
+      this.stream.write(`${JSON.stringify(result)}\n`);
+    }
+  }
+
+  // Check if any recorded result carries an error
+  hasErrors() {
+    return this.results.some(result => result.error);
+  }
+
+  // Write the summary (and the collected results for JSON)
+  finish(summary) {
+    if (this.format === 'json') {
+      this.stream.write(`${JSON.stringify({ summary, results: this.results }, null, 2)}\n`);
+    } else if (this.format === 'ndjson') {
+      this.stream.write(`${JSON.stringify({ type: 'summary', ...summary })}\n`);
+    }
+  }
+
+  // Exit code of a run that completed: 2 when some results failed, otherwise 0
+  exitCode() {
+    return this.hasErrors() ? 2 : 0;
+  }
+}
@@ -2,47 +2,184 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
-import os from 'os';
+import { isDeepStrictEqual } from 'util';
 import {
   mcpServers,
   getAvailableServers,
   getServerConfig,
-  validateServerTokens,
-  substituteTokens
+  validateServerTokens
 } from './mcp-servers.config.js';
+import { MCP_CLIENTS, MCP_SCOPES, getMcpClients, planMcpConfigs, mcpConfigFiles, mergeMcpConfig } from './mcp-clients.js';
+import { ConflictResolver, CONFLICT_POLICIES, replaceBackup } from './conflicts.js';
+import { createUnifiedDiff, colorizeDiff } from './diff.js';
+import { loadServerCatalog } from './mcp-catalog.js';
+import { loadMcpManifest, readTokenSource, describeTokenSource, requiredTokens } from './mcp-manifest.js';
+import { writeFiles } from './files.js';
+import { Reporter, OUTPUT_OPTIONS, outputFormat } from './reporter.js';
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a string around the secrets it contains: [text, secret, text, ...]
+function splitSecrets(text, secrets) {
+  if (secrets.length === 0) {
+    return [text];
+  }
+  const sorted = [...secrets].sort((a, b) => b.length - a.length);
+  return text.split(new RegExp(`(${sorted.map(escapeRegExp).join('|')})`));
+}
+
+// Replace every secret in a string with ***
+function maskSecrets(text, secrets) {
+  return splitSecrets(text, secrets).map((part, index) => (index % 2 ? '***' : part)).join('');
+}
+
+// Mask the secrets in a new server entry, and whatever the existing entry has in their
+// place, e.g. "Bearer old-token" next to "Bearer ${TOKEN}"; returns [before, after].
+// A value that is replaced shows as "*** (old)", so the diff still tells it changes
+function maskEntries(before, after, secrets) {
+  if (typeof after === 'string') {
+    const parts = splitSecrets(after, secrets);
+    if (parts.length === 1) {
+      return [before, after];
+    }
+    const masked = maskSecrets(after, secrets);
+    if (typeof before !== 'string') {
+      return [before, masked];
+    }
+    const pattern = parts.map((part, index) => (index % 2 ? '(.*?)' : escapeRegExp(part))).join('');
+    const match = before.match(new RegExp(`^${pattern}$`, 's'));
+    if (!match) {
+      return ['*** (old)', masked];
+    }
+    const groups = match.slice(1);
+    const maskedBefore = parts
+      .map((part, index) => (index % 2 ? (groups[(index - 1) / 2] === part ? '***' : '*** (old)') : part))
+      .join('');
+    return [maskedBefore, masked];
+  }
+  if (after && typeof after === 'object') {
+    const sameShape = before && typeof before === 'object' && Array.isArray(before) === Array.isArray(after);
+    const maskedBefore = sameShape ? (Array.isArray(before) ? [...before] : { ...before }) : before;
+    const maskedAfter = Array.isArray(after) ? [] : {};
+    for (const key of Object.keys(after)) {
+      const [beforeValue, afterValue] = maskEntries(sameShape ? before[key] : undefined, after[key], secrets);
+      if (sameShape && key in before) {
+        maskedBefore[key] = beforeValue;
+      }
+      maskedAfter[key] = afterValue;
+    }
+    return [maskedBefore, maskedAfter];
+  }
+  return [before, after];
+}
 
 class MCPSetup {
   constructor(options = {}) {
     this.tokens = {};
     this.selectedServers = [];
     this.selectedClients = [];
+    this.results = {}; // client -> configured successfully
     this.dryRun = options.dryRun || false;
+    this.report = options.reporter || new Reporter();
+    // Choices made up front (flags or manifest) are not asked for
+    this.servers = options.servers;
+    this.clients = options.clients;
+    this.scope = options.scope;
+    this.workspace = options.workspace;
+    this.tokenSources = options.tokenSources || {};
+    this.tokenFromEnv = options.tokenFromEnv || false;
+    this.interactive = options.interactive ?? Boolean(process.stdin.isTTY);
+    // Keep stdout for JSON when the output is machine-readable
+    this.prompt = this.report.machine ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+    // Setup always backs up and always shows diffs, so backup and diff reduce to overwrite and skip
+    const policy = { backup: 'overwrite', diff: 'skip' }[options.onConflict] || options.onConflict;
+    this.conflicts = new ConflictResolver({
+      policy,
+      interactive: this.interactive,
+      log: this.report.machine ? console.error : console.log,
+      prompt: this.prompt
+    });
   }
 
   log = {
-    success: (msg) => console.log(chalk.green('✓') + ' ' + msg),
-    error: (msg) => console.log(chalk.red('✗') + ' ' + msg),
-    warning: (msg) => console.log(chalk.yellow('⚠') + ' ' + msg),
-    info: (msg) => console.log(chalk.blue('ℹ') + ' ' + msg),
-    title: (msg) => console.log(chalk.cyan.bold('\n' + msg + '\n'))
+    success: (msg) => this.report.log(chalk.green('✓') + ' ' + msg),
+    error: (msg) => (this.report.machine ? console.error : console.log)(chalk.red('✗') + ' ' + msg),
+    warning: (msg) => this.report.log(chalk.yellow('⚠') + ' ' + msg),
+    info: (msg) => this.report.log(chalk.blue('ℹ') + ' ' + msg),
+    title: (msg) => this.report.log(chalk.cyan.bold('\n' + msg + '\n'))
   };
 
+  // Ask a question, or fail when there is nobody to answer it
+  async ask(question, hint) {
+    if (!this.interactive) {
+      throw new Error(`stdin is not a TTY: ${hint}`);
+    }
+    return this.prompt([question]);
+  }
+
+  // Take a token from its configured source (manifest or --token-from-env)
+  // Returns true when the token was resolved without prompting
+  resolveTokenSource(token) {
+    // --token-from-env only takes the workspace folder when it is set, as it defaults to the cwd
+    const fromEnv = this.tokenFromEnv && (token !== 'WORKSPACE_FOLDER' || process.env[token]);
+    const source = this.tokenSources[token] || (fromEnv ? { type: 'env', name: token } : null);
+    if (!source || source.type === 'prompt') {
+      return false;
+    }
+
+    const value = readTokenSource(source);
+    if (value) {
+      this.tokens[token] = value;
+      this.log.success(`Using ${token} from ${describeTokenSource(source)}`);
+    } else {
+      this.log.warning(`${token} is not set in ${describeTokenSource(source)}`);
+    }
+    return true;
+  }
+
   async collectTokens() {
     this.log.title('🔑 Collecting API Tokens');
 
-    const allRequiredTokens = new Set();
-    this.selectedServers.forEach(serverName => {
-      const server = getServerConfig(serverName);
-      if (server.requiredTokens && server.requiredTokens.length > 0) {
-        server.requiredTokens.forEach(token => allRequiredTokens.add(token));
+    for (const token of requiredTokens(this.selectedServers)) {
+      // The workspace folder is a path, not a secret
+      if (token === 'WORKSPACE_FOLDER' && this.workspace) {
+        if (!fs.pathExistsSync(this.workspace)) {
+          throw new Error(`Workspace folder ${this.workspace} does not exist`);
+        }
+        this.tokens[token] = this.workspace;
+        continue;
+      }
+
+      if (this.resolveTokenSource(token)) {
+        continue;
+      }
+
+      // Tokens without a source are asked for; non-interactive runs leave them
+      // missing so the validation below reports every one of them
+      if (!this.interactive) {
+        if (token === 'WORKSPACE_FOLDER') {
+          this.tokens[token] = process.cwd();
+          this.log.info(`Using ${process.cwd()} as the workspace folder`);
+        }
+        continue;
+      }
+
+      if (token === 'WORKSPACE_FOLDER') {
+        const { workspaceFolder } = await this.prompt([{
+          type: 'input',
+          name: 'workspaceFolder',
+          message: 'Enter the workspace folder path for filesystem access:',
+          default: process.cwd(),
+          validate: input => fs.pathExistsSync(input) || 'Path does not exist'
+        }]);
+        this.tokens[token] = workspaceFolder;
+        continue;
       }
-    });
 
-    for (const token of allRequiredTokens) {
       // Check if token exists in environment
       const envValue = process.env[token];
       if (envValue) {
-        const { value } = await inquirer.prompt([{
+        const { value } = await this.prompt([{
           type: 'password',
           name: 'value',
           message: `Enter your ${token} (press Enter to use existing value):`,
@@ -54,7 +191,7 @@ class MCPSetup {
           this.log.success(`Using ${token} from environment`);
         }
       } else {
-        const { value } = await inquirer.prompt([{
+        const { value } = await this.prompt([{
           type: 'password',
           name: 'value',
           message: `Enter your ${token}:`,
@@ -65,268 +202,157 @@ class MCPSetup {
     }
   }
 
-  async setupClaudeCode() {
-    this.log.info('Setting up Claude Code with local scope...');
-
-    try {
-      const config = { mcpServers: {} };
-
-      // Add selected servers to config
-      for (const serverName of this.selectedServers) {
-        const server = getServerConfig(serverName);
-        let serverConfig;
-
-        // Handle workspace folder substitution for filesystem server
-        if (serverName === 'filesystem') {
-          const { workspaceFolder } = await inquirer.prompt([{
-            type: 'input',
-            name: 'workspaceFolder',
-            message: 'Enter the workspace folder path for filesystem access:',
-            default: process.cwd(),
-            validate: input => fs.pathExistsSync(input) || 'Path does not exist'
-          }]);
-
-          const tokensWithWorkspace = { ...this.tokens, WORKSPACE_FOLDER: workspaceFolder };
-          serverConfig = substituteTokens(server.config.claudeCode, tokensWithWorkspace);
-        } else {
-          serverConfig = substituteTokens(server.config.claudeCode, this.tokens);
-        }
+  // Values of the collected tokens (the workspace folder is a path, not a secret)
+  secrets() {
+    return Object.entries(this.tokens)
+      .filter(([token, value]) => token !== 'WORKSPACE_FOLDER' && value)
+      .map(([, value]) => value);
+  }
 
-        config.mcpServers[serverName] = serverConfig;
-        this.log.success(`${server.name} added to local Claude Code config`);
-      }
+  // Hide the collected tokens in config text before it is printed
+  mask(text) {
+    return maskSecrets(text, this.secrets().map(secret => JSON.stringify(secret).slice(1, -1)));
+  }
 
-      // Write .mcp.json file in current directory
-      const configPath = path.join(process.cwd(), '.mcp.json');
-      if (this.dryRun) {
-        this.log.info(`[DRY RUN] Would write config to: ${configPath}`);
-        this.log.info(`[DRY RUN] Config content:`);
-        console.log(JSON.stringify(config, null, 2));
-      } else {
-        await fs.writeJson(configPath, config, { spaces: 2 });
-      }
-      this.log.success(`Claude Code local config ${this.dryRun ? 'would be' : ''} saved to: ${configPath}`);
-      return true;
-    } catch (error) {
-      this.log.error(`Failed to setup Claude Code: ${error.message}`);
-      return false;
+  // Show how each existing server entry would change and decide whether to replace it
+  // Throws a ConflictError when the policy is fail or nobody can be asked
+  async resolveChanges(plan) {
+    for (const change of plan.changes.filter(change => change.status === 'changed')) {
+      // The existing entry usually holds an older token where the new one has a secret
+      const [before, after] = maskEntries(change.before, change.after, this.secrets());
+      const existing = `${JSON.stringify(before, null, 2)}\n`;
+      const content = `${JSON.stringify(after, null, 2)}\n`;
+      const diff = createUnifiedDiff(existing, content, {
+        oldLabel: `${plan.path} › ${change.server} (existing)`,
+        newLabel: `${plan.path} › ${change.server} (new)`
+      });
+      this.report.log(colorizeDiff(diff.replace(/\n$/, '')).replace(/^/gm, '    '));
+      change.diff = diff;
+
+      const decision = await this.conflicts.resolve({
+        label: plan.label,
+        displayPath: plan.path,
+        filepath: plan.path,
+        content,
+        existing,
+        reason: `already has a different "${change.server}" server`
+      });
+      change.keep = decision === 'skip';
     }
+    plan.config = mergeMcpConfig(plan.existing || {}, plan.changes);
   }
 
-  async setupClaudeDesktop() {
-    this.log.info('Setting up Claude Desktop...');
-
-    // Determine config path based on OS
-    let configPath;
-    if (os.platform() === 'darwin') {
-      configPath = path.join(os.homedir(), 'Library/Application Support/Claude/claude_desktop_config.json');
-    } else if (os.platform() === 'linux') {
-      configPath = path.join(os.homedir(), '.config/Claude/claude_desktop_config.json');
-    } else {
-      this.log.error('Unsupported operating system for Claude Desktop');
-      return false;
-    }
+  // Merge the planned servers into the config file of one client (or preview it)
+  async setupClient(plan) {
+    this.log.info(`Setting up ${plan.label}...`);
 
+    const result = { client: plan.client, path: plan.path };
     try {
-      // Ensure directory exists
-      await fs.ensureDir(path.dirname(configPath));
-
-      // Read existing config or create new one
-      let config = { mcpServers: {} };
-      if (await fs.pathExists(configPath)) {
-        const existingConfig = await fs.readJson(configPath);
-        config = { ...existingConfig, mcpServers: existingConfig.mcpServers || {} };
-      }
-
-      // Add selected servers
-      for (const serverName of this.selectedServers) {
-        const server = getServerConfig(serverName);
-        let serverConfig;
-
-        // Handle workspace folder substitution for filesystem server
-        if (serverName === 'filesystem') {
-          const { workspaceFolder } = await inquirer.prompt([{
-            type: 'input',
-            name: 'workspaceFolder',
-            message: 'Enter the workspace folder path for filesystem access:',
-            default: process.cwd(),
-            validate: input => fs.pathExistsSync(input) || 'Path does not exist'
-          }]);
-
-          const tokensWithWorkspace = { ...this.tokens, WORKSPACE_FOLDER: workspaceFolder };
-          serverConfig = substituteTokens(server.config.claudeDesktop, tokensWithWorkspace);
+      await this.resolveChanges(plan);
+
+      for (const change of plan.changes) {
+        const { name } = getServerConfig(change.server);
+        if (change.status === 'new') {
+          this.log.success(`${name} added to ${plan.label} config`);
+          this.report.record({ type: 'server', ...result, server: change.server, action: 'added' });
+        } else if (change.status === 'unchanged') {
+          this.log.info(`${name} is already up to date in ${plan.label} config`);
+          this.report.record({ type: 'server', ...result, server: change.server, action: 'unchanged' });
+        } else if (change.keep) {
+          this.log.warning(`Kept the existing ${name} entry in ${plan.label} config`);
+          this.report.record({ type: 'server', ...result, server: change.server, action: 'kept', reason: 'conflict', diff: change.diff });
         } else {
-          serverConfig = substituteTokens(server.config.claudeDesktop, this.tokens);
+          this.log.success(`${name} updated in ${plan.label} config`);
+          this.report.record({ type: 'server', ...result, server: change.server, action: 'updated', diff: change.diff });
         }
-
-        config.mcpServers[serverName] = serverConfig;
-        this.log.success(`${server.name} added to Claude Desktop config`);
       }
+      plan.skipped.forEach(name => {
+        this.log.warning(`${getServerConfig(name).name} does not have ${plan.label} configuration`);
+        this.report.record({ type: 'server', ...result, server: name, action: 'skipped', reason: `no ${plan.label} configuration` });
+      });
 
-      // Write config file
-      if (this.dryRun) {
-        this.log.info(`[DRY RUN] Would write config to: ${configPath}`);
-        this.log.info(`[DRY RUN] Config content:`);
-        console.log(JSON.stringify(config, null, 2));
-      } else {
-        await fs.writeJson(configPath, config, { spaces: 2 });
-      }
-      this.log.success(`Claude Desktop config ${this.dryRun ? 'would be' : ''} saved to: ${configPath}`);
-      return true;
-    } catch (error) {
-      this.log.error(`Failed to setup Claude Desktop: ${error.message}`);
-      return false;
-    }
-  }
-
-  async setupVSCode() {
-    this.log.info('Setting up VS Code GitHub Copilot...');
-
-    try {
-      const config = { mcpServers: {} };
-
-      for (const serverName of this.selectedServers) {
-        const server = getServerConfig(serverName);
-        if (server.config.vscode) {
-          // First substitute tokens, then convert to VS Code input format
-          let serverConfig = substituteTokens(server.config.vscode, this.tokens);
-
-          // Convert {{token}} placeholders to ${input:token} format for VS Code
-          const configStr = JSON.stringify(serverConfig);
-          const convertedStr = configStr.replace(/\{\{([^}]+)\}\}/g, '${input:$1}');
-          serverConfig = JSON.parse(convertedStr);
-
-          config.mcpServers[serverName] = serverConfig;
-          this.log.success(`${server.name} added to VS Code config`);
-        }
+      const files = mcpConfigFiles([plan]);
+      const exists = fs.existsSync(plan.path);
+      // Nothing to write or back up when the merged config is what the file already holds
+      if (exists && (fs.readFileSync(plan.path, 'utf8') === files[0].content || isDeepStrictEqual(plan.config, plan.existing))) {
+        this.log.info(`${plan.label} config is up to date: ${plan.path}`);
+        this.report.record({ type: 'file', ...result, action: 'unchanged' });
+        return true;
       }
 
-      const configPath = path.join(process.cwd(), '.vscode', 'mcp.json');
+      // An existing file is backed up before it is rewritten; only the latest backup is kept
+      let backup;
       if (this.dryRun) {
-        this.log.info(`[DRY RUN] Would write config to: ${configPath}`);
+        this.log.info(`[DRY RUN] Would ${exists ? 'back up and update' : 'write'} config: ${plan.path}`);
         this.log.info(`[DRY RUN] Config content:`);
-        console.log(JSON.stringify(config, null, 2));
+        this.report.log(this.mask(files[0].content).replace(/\n$/, ''));
       } else {
-        await fs.ensureDir(path.dirname(configPath));
-        await fs.writeJson(configPath, config, { spaces: 2 });
-      }
-      this.log.success(`VS Code MCP config ${this.dryRun ? 'would be' : ''} saved to: ${configPath}`);
-      this.log.warning('Make sure to configure VS Code to use this mcp.json file');
-      return true;
-    } catch (error) {
-      this.log.error(`Failed to setup VS Code: ${error.message}`);
-      return false;
-    }
-  }
-
-  async setupGeminiCLI() {
-    this.log.info('Setting up Gemini CLI...');
-
-    try {
-      // Determine config path - check current directory first, then user home
-      let configPath = path.join(process.cwd(), '.gemini', 'settings.json');
-      const homeConfigPath = path.join(os.homedir(), '.gemini', 'settings.json');
-
-      // Check if local .gemini exists, otherwise use home directory
-      const useLocalConfig = await fs.pathExists(path.join(process.cwd(), '.gemini'));
-      if (!useLocalConfig) {
-        configPath = homeConfigPath;
-      }
-
-      // Ensure directory exists
-      await fs.ensureDir(path.dirname(configPath));
-
-      // Read existing config or create new one
-      let config = {};
-      if (await fs.pathExists(configPath)) {
-        config = await fs.readJson(configPath);
-      }
-
-      // Initialize mcpServers if not exists
-      if (!config.mcpServers) {
-        config.mcpServers = {};
-      }
-
-      // Add selected servers to config
-      for (const serverName of this.selectedServers) {
-        const server = getServerConfig(serverName);
-        if (!server.config.gemini) {
-          this.log.warning(`${server.name} does not have Gemini CLI configuration`);
-          continue;
+        if (exists) {
+          backup = replaceBackup(plan.path);
+          this.log.info(`Backed up ${plan.path} to ${backup}`);
         }
-
-        let serverConfig;
-
-        // Handle workspace folder substitution for filesystem server
-        if (serverName === 'filesystem') {
-          const { workspaceFolder } = await inquirer.prompt([{
-            type: 'input',
-            name: 'workspaceFolder',
-            message: 'Enter the workspace folder path for filesystem access:',
-            default: process.cwd(),
-            validate: input => fs.pathExistsSync(input) || 'Path does not exist'
-          }]);
-
-          const tokensWithWorkspace = { ...this.tokens, WORKSPACE_FOLDER: workspaceFolder };
-          serverConfig = substituteTokens(server.config.gemini, tokensWithWorkspace);
-        } else {
-          serverConfig = substituteTokens(server.config.gemini, this.tokens);
-        }
-
-        config.mcpServers[serverName] = serverConfig;
-        this.log.success(`${server.name} added to Gemini CLI config`);
+        writeFiles(files);
       }
-
-      // Write config file
-      if (this.dryRun) {
-        this.log.info(`[DRY RUN] Would write config to: ${configPath}`);
-        this.log.info(`[DRY RUN] Config content:`);
-        console.log(JSON.stringify(config, null, 2));
-      } else {
-        await fs.writeJson(configPath, config, { spaces: 2 });
+      this.report.record({ type: 'file', ...result, action: exists ? 'updated' : 'created', ...(backup ? { backup } : {}) });
+      this.log.success(`${plan.label} config ${this.dryRun ? 'would be' : ''} saved to: ${plan.path}`);
+      if (plan.client === 'vscode') {
+        this.log.warning('Make sure to configure VS Code to use this mcp.json file');
       }
-      this.log.success(`Gemini CLI config ${this.dryRun ? 'would be' : ''} saved to: ${configPath}`);
       return true;
     } catch (error) {
-      this.log.error(`Failed to setup Gemini CLI: ${error.message}`);
+      this.log.error(`Failed to setup ${plan.label}: ${error.message}`);
+      this.report.record({ type: 'file', ...result, action: 'error', error: error.message });
       return false;
     }
   }
 
   async run() {
-    console.log(chalk.cyan.bold('🚀 MCP Server Setup Tool\n'));
+    this.report.log(chalk.cyan.bold('🚀 MCP Server Setup Tool\n'));
 
     // Select MCP servers
-    const serverChoices = getAvailableServers().map(name => ({
-      name: `${mcpServers[name].name} - ${mcpServers[name].description}`,
-      value: name
-    }));
-
-    const { selectedServers } = await inquirer.prompt([{
-      type: 'checkbox',
-      name: 'selectedServers',
-      message: 'Select MCP servers to configure:',
-      choices: serverChoices,
-      validate: input => input.length > 0 || 'Please select at least one server'
-    }]);
-
-    this.selectedServers = selectedServers;
+    if (this.servers) {
+      const unknown = this.servers.filter(name => !getServerConfig(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown MCP server ${unknown.join(', ')}. Available servers: ${getAvailableServers().join(', ')}`);
+      }
+      this.selectedServers = this.servers;
+    } else {
+      // Servers from a catalog file show where they come from
+      const serverChoices = getAvailableServers().map(name => ({
+        name: `${mcpServers[name].name} - ${mcpServers[name].description}`
+          + (mcpServers[name].source ? chalk.dim(` (${path.relative(process.cwd(), mcpServers[name].source)})`) : ''),
+        value: name
+      }));
+
+      const { selectedServers } = await this.ask({
+        type: 'checkbox',
+        name: 'selectedServers',
+        message: 'Select MCP servers to configure:',
+        choices: serverChoices,
+        validate: input => input.length > 0 || 'Please select at least one server'
+      }, 'pass --servers or list them in a manifest with --config');
+
+      this.selectedServers = selectedServers;
+    }
 
     // Select clients
-    const { selectedClients } = await inquirer.prompt([{
-      type: 'checkbox',
-      name: 'selectedClients',
-      message: 'Select clients to configure:',
-      choices: [
-        { name: 'Claude Code', value: 'claudeCode' },
-        { name: 'Claude Desktop', value: 'claudeDesktop' },
-        { name: 'VS Code GitHub Copilot', value: 'vscode' },
-        { name: 'Gemini CLI', value: 'gemini' }
-      ],
-      validate: input => input.length > 0 || 'Please select at least one client'
-    }]);
-
-    this.selectedClients = selectedClients;
+    if (this.clients) {
+      const unknown = this.clients.filter(name => !MCP_CLIENTS[name]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown MCP client ${unknown.join(', ')}. Available clients: ${getMcpClients().join(', ')}`);
+      }
+      this.selectedClients = this.clients;
+    } else {
+      const { selectedClients } = await this.ask({
+        type: 'checkbox',
+        name: 'selectedClients',
+        message: 'Select clients to configure:',
+        choices: getMcpClients().map(name => ({ name: MCP_CLIENTS[name].label, value: name })),
+        validate: input => input.length > 0 || 'Please select at least one client'
+      }, 'pass --clients or list them in a manifest with --config');
+
+      this.selectedClients = selectedClients;
+    }
 
     // Collect tokens
     await this.collectTokens();
@@ -337,32 +363,32 @@ class MCPSetup {
       const validation = validateServerTokens(serverName, this.tokens);
       if (!validation.valid) {
         this.log.error(`Missing tokens for ${serverName}: ${validation.missing.join(', ')}`);
+        this.report.record({ type: 'server', server: serverName, action: 'error', error: `Missing tokens: ${validation.missing.join(', ')}` });
         allValid = false;
       }
     }
 
     if (!allValid) {
-      this.log.error('Please provide all required tokens');
+      this.log.error(this.interactive
+        ? 'Please provide all required tokens'
+        : 'Please provide all required tokens: set them in the environment and pass --token-from-env, or list their sources under tokens in the manifest');
       return;
     }
 
     // Setup selected clients
-    const results = {};
-
-    if (this.selectedClients.includes('claudeCode')) {
-      results.claudeCode = await this.setupClaudeCode();
-    }
-
-    if (this.selectedClients.includes('claudeDesktop')) {
-      results.claudeDesktop = await this.setupClaudeDesktop();
-    }
-
-    if (this.selectedClients.includes('vscode')) {
-      results.vscode = await this.setupVSCode();
-    }
-
-    if (this.selectedClients.includes('gemini')) {
-      results.gemini = await this.setupGeminiCLI();
+    const results = this.results;
+
+    for (const client of this.selectedClients) {
+      let plan;
+      try {
+        [plan] = planMcpConfigs({ servers: this.selectedServers, clients: [client], tokens: this.tokens, scope: this.scope });
+      } catch (error) {
+        this.log.error(`Failed to setup ${MCP_CLIENTS[client].label}: ${error.message}`);
+        this.report.record({ type: 'file', client, action: 'error', error: error.message });
+        results[client] = false;
+        continue;
+      }
+      results[client] = await this.setupClient(plan);
     }
 
     // Summary
@@ -377,9 +403,9 @@ class MCPSetup {
 
     this.log.title('🎉 Setup Complete!');
     this.log.info('Next steps:');
-    console.log('  • Restart your Claude applications to use the new MCP servers');
-    console.log('  • Keep your API tokens secure and never commit them to version control');
-    console.log('  • Add more MCP servers by editing mcp-servers.config.js');
+    this.report.log('  • Restart your Claude applications to use the new MCP servers');
+    this.report.log('  • Keep your API tokens secure and never commit them to version control');
+    this.report.log('  • Add more MCP servers in ~/.config/ait/servers.yaml or .ait/servers.yaml');
   }
 }
 
@@ -395,20 +421,91 @@ export const setupMcpCommand = {
       })
       .option('config', {
         type: 'string',
-        description: 'Path to custom configuration file'
-      });
+        description: 'Path to a setup manifest (e.g. ait-mcp.yaml) listing servers, clients, scope and token sources'
+      })
+      .option('servers', {
+        type: 'string',
+        description: 'Comma-separated MCP servers to configure',
+        coerce: value => value.split(',').map(name => name.trim()).filter(Boolean)
+      })
+      .option('clients', {
+        type: 'string',
+        description: `Comma-separated clients to configure (${getMcpClients().join(', ')})`,
+        coerce: value => value.split(',').map(name => name.trim()).filter(Boolean)
+      })
+      .option('scope', {
+        type: 'string',
+        description: 'Write project or user configs (default: each client\'s usual location)',
+        choices: MCP_SCOPES
+      })
+      .option('workspace', {
+        type: 'string',
+        description: 'Workspace folder for the filesystem server'
+      })
+      .option('on-conflict', {
+        type: 'string',
+        description: 'What to do when a config already has a different entry for a server',
+        choices: CONFLICT_POLICIES,
+        default: 'prompt'
+      })
+      .option('token-from-env', {
+        type: 'boolean',
+        description: 'Read every required token from the same-named environment variable',
+        default: false
+      })
+      .options(OUTPUT_OPTIONS);
   },
   handler: async (argv) => {
+    if (argv.json && argv.ndjson) {
+      console.error('--json cannot be combined with --ndjson');
+      process.exit(1);
+    }
+    const reporter = new Reporter(outputFormat(argv));
+
+    // Flags win over the manifest, which may name servers from the catalogs
+    let manifest = {};
+    try {
+      loadServerCatalog();
+      if (argv.config) {
+        manifest = loadMcpManifest(argv.config);
+      }
+    } catch (error) {
+      console.error(chalk.red('Setup failed:'), error.message);
+      reporter.finish({ dryRun: argv.dryRun, configured: 0, failed: 0, error: error.message });
+      process.exitCode = 1;
+      return;
+    }
+
     const setup = new MCPSetup({
       dryRun: argv.dryRun,
-      config: argv.config
+      servers: argv.servers || manifest.servers,
+      clients: argv.clients || manifest.clients,
+      scope: argv.scope || manifest.scope,
+      workspace: argv.workspace ? path.resolve(argv.workspace) : manifest.workspace,
+      tokenSources: manifest.tokens,
+      tokenFromEnv: argv.tokenFromEnv,
+      onConflict: argv.onConflict,
+      reporter
     });
+    const summary = () => {
+      const outcomes = Object.values(setup.results);
+      return {
+        dryRun: argv.dryRun,
+        configured: outcomes.filter(Boolean).length,
+        failed: outcomes.filter(success => !success).length
+      };
+    };
 
     try {
       await setup.run();
     } catch (error) {
       console.error(chalk.red('Setup failed:'), error.message);
-      process.exit(1);
+      reporter.finish({ ...summary(), error: error.message });
+      process.exitCode = 1;
+      return;
     }
+
+    reporter.finish(summary());
+    process.exitCode = reporter.exitCode();
   }
 };
\ No newline at end of file
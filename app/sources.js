@@ -0,0 +1,358 @@
+// Command sources: local directories and remote command libraries
+//
+//   ./my-commands                                     local directory
+//   git+https://github.com/org/prompts.git#v1.2.0     git repository at a tag, branch or full commit SHA
+//   npm:@scope/prompts@1.2.0                          npm package (any version range npm understands)
+//   ./prompts.tar.gz                                  local tarball
+//   https://example.com/prompts.tar.gz                archive over HTTPS
+//   http://example.com/prompts.tar.gz#sha256=<hex>    archive over HTTP, only with its checksum
+//
+// Remote sources are resolved to an exact version (commit, package version or
+// archive checksum), extracted once into ~/.command-converter/sources/ and pinned
+// in the lockfile so every checkout generates the same commands. Inside a source,
+// a `commands` directory is used when there is one, otherwise its root (below the
+// single top-level directory archives often have).
+//
+// Several sources can be layered, later ones overriding earlier ones, with repeated
+// --source options or a `sources:` list in .ait/config.yaml. `builtin` stands for
+// the toolkit's own commands.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import yaml from 'js-yaml';
+import { fetchToFile } from './fetch.js';
+
+export const BUILTIN_SOURCE = 'builtin';
+export const DEFAULT_CONFIG_PATH = './.ait/config.yaml';
+export const DEFAULT_LOCKFILE_PATH = './ait-lock.json';
+const LOCKFILE_VERSION = 1;
+
+const ARCHIVE_PATTERN = /\.(tar\.gz|tgz)$/;
+const COMMIT_PATTERN = /^[0-9a-f]{40}$/;
+const SHORT_COMMIT_PATTERN = /^[0-9a-f]{4,39}$/;
+const CHECKSUM_FRAGMENT = /^sha256=([0-9a-fA-F]{64})$/;
+
+// Root of the toolkit's download cache
+export function getCacheDir() {
+  return path.join(process.env.HOME || process.env.USERPROFILE || os.homedir(), '.command-converter');
+}
+
+// Root of the cache for remote sources
+export function getSourcesCacheDir() {
+  return path.join(getCacheDir(), 'sources');
+}
+
+// Parse a --source value into { type, ... }
+//   { type: 'local', dir } | { type: 'git', url, ref } | { type: 'npm', spec, name, range }
+//   { type: 'tarball', file } | { type: 'url', url, sha256 }
+export function parseSource(spec) {
+  if (spec.startsWith('git+')) {
+    const [url, ref] = spec.slice(4).split('#');
+    return { type: 'git', url, ref: ref || 'HEAD' };
+  }
+  if (spec.startsWith('npm:')) {
+    const packageSpec = spec.slice(4);
+    const at = packageSpec.indexOf('@', 1);
+    return at === -1
+      ? { type: 'npm', spec: packageSpec, name: packageSpec, range: 'latest' }
+      : { type: 'npm', spec: packageSpec, name: packageSpec.slice(0, at), range: packageSpec.slice(at + 1) };
+  }
+  if (/^https?:\/\//.test(spec)) {
+    const [url, fragment] = spec.split('#');
+    const checksum = fragment && fragment.match(CHECKSUM_FRAGMENT);
+    return checksum ? { type: 'url', url, sha256: checksum[1].toLowerCase() } : { type: 'url', url: spec };
+  }
+  if (ARCHIVE_PATTERN.test(spec)) {
+    return { type: 'tarball', file: spec };
+  }
+  return { type: 'local', dir: spec };
+}
+
+// Read the `sources:` list of the project config; null when there is none
+export function readSourcesConfig(configPath = DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config ${configPath}: ${error.reason || error.message}`);
+  }
+  if (!config || config.sources === undefined) {
+    return null;
+  }
+
+  const { sources } = config;
+  if (!Array.isArray(sources) || sources.length === 0 || sources.some(source => typeof source !== 'string')) {
+    throw new Error(`Invalid config ${configPath}: "sources" must be a list of sources`);
+  }
+  return sources;
+}
+
+// Check if a --source value needs to be fetched
+export function isRemoteSource(spec) {
+  return parseSource(spec).type !== 'local';
+}
+
+// Pinned resolutions of remote sources, keyed by the source as written
+//
+// {
+//   "version": 1,
+//   "sources": {
+//     "git+https://github.com/org/prompts.git#v1.2.0": { "resolved": "<commit>" },
+//     "npm:@scope/prompts@^1.2.0": { "resolved": "1.2.3", "integrity": "sha512-…" },
+//     "https://example.com/prompts.tar.gz": { "resolved": "<sha256>" }
+//   }
+// }
+export class SourceLock {
+  constructor(lockPath = DEFAULT_LOCKFILE_PATH) {
+    this.path = lockPath;
+    this.sources = {};
+    this.changed = false;
+  }
+
+  // Load the lockfile (a missing file means nothing is pinned yet)
+  load() {
+    if (!fs.existsSync(this.path)) {
+      this.sources = {};
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.sources = data.sources || {};
+    } catch (error) {
+      throw new Error(`Invalid lockfile ${this.path}: ${error.message}`);
+    }
+    return this;
+  }
+
+  // Write the lockfile when a pin was added or changed
+  save() {
+    if (!this.changed) return;
+    const sorted = Object.fromEntries(Object.entries(this.sources).sort(([a], [b]) => a.localeCompare(b)));
+    fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({ version: LOCKFILE_VERSION, sources: sorted }, null, 2) + '\n');
+    this.changed = false;
+  }
+
+  get(spec) {
+    return this.sources[spec];
+  }
+
+  set(spec, entry) {
+    if (JSON.stringify(this.sources[spec]) !== JSON.stringify(entry)) {
+      this.sources[spec] = entry;
+      this.changed = true;
+    }
+  }
+}
+
+// Run a program and resolve with its stdout
+function run(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { ...options, shell: process.platform === 'win32' });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${command} ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+// SHA-256 of a file
+function hashFile(filepath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex');
+}
+
+// Extract tar.gz archive
+export async function extractArchive(archivePath, extractDir) {
+  try {
+    await run('tar', ['-xzf', archivePath, '-C', extractDir]);
+  } catch (error) {
+    throw new Error(`Could not extract ${archivePath}: ${error.message}`);
+  }
+}
+
+// Fill a cache entry once; populate() writes into a temporary directory that
+// is moved into place when complete, so an interrupted fetch leaves no entry
+async function cacheEntry(key, populate) {
+  const dir = path.join(getSourcesCacheDir(), key);
+  if (fs.existsSync(dir)) {
+    return dir;
+  }
+
+  const tmpDir = `${dir}.tmp-${process.pid}`;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.mkdirSync(tmpDir, { recursive: true });
+  try {
+    await populate(tmpDir);
+    fs.renameSync(tmpDir, dir);
+  } catch (error) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (!fs.existsSync(dir)) throw error; // Otherwise another run filled it first
+  }
+  return dir;
+}
+
+// Directory holding the commands of a fetched source: `commands/` when there is
+// one; archives may wrap everything in a single directory (as npm and GitHub do)
+function commandsRoot(dir, unwrap) {
+  const commandsDir = path.join(dir, 'commands');
+  if (fs.existsSync(commandsDir)) {
+    return commandsDir;
+  }
+
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  if (unwrap && entries.length === 1 && entries[0].isDirectory()) {
+    return commandsRoot(path.join(dir, entries[0].name), false);
+  }
+  return dir;
+}
+
+// Short stable id of a URL for cache paths
+function urlKey(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+// Resolve a git ref to a commit with ls-remote (peeled tags win). `v1` means
+// refs/tags/v1 or refs/heads/v1, never refs/tags/foo/v1, and fails when both exist
+async function resolveGitRef(url, ref) {
+  if (COMMIT_PATTERN.test(ref)) {
+    return ref;
+  }
+
+  const names = ref === 'HEAD' || ref.startsWith('refs/') ? [ref] : [`refs/tags/${ref}`, `refs/heads/${ref}`];
+  // A ref pattern would leave out the peeled `^{}` line of annotated tags, so match names here
+  const lines = (await run('git', ['ls-remote', url])).trim().split('\n').filter(Boolean);
+  const refs = lines.map(line => line.split('\t'))
+    .filter(([, name]) => names.some(wanted => name === wanted || name === `${wanted}^{}`));
+
+  if (refs.length === 0) {
+    // ls-remote only lists ref names, so an abbreviated commit can't be found
+    const hint = SHORT_COMMIT_PATTERN.test(ref) ? '; short commit SHAs are not supported, use the full 40-character SHA' : '';
+    throw new Error(`git ref "${ref}" not found in ${url}${hint}`);
+  }
+  const matched = [...new Set(refs.map(([, name]) => name.replace(/\^\{\}$/, '')))];
+  if (matched.length > 1) {
+    throw new Error(`git ref "${ref}" is ambiguous in ${url}: use one of ${matched.join(', ')}`);
+  }
+  const peeled = refs.find(([, name]) => name.endsWith('^{}'));
+  return (peeled || refs[0])[0];
+}
+
+async function fetchGit(source, pinned) {
+  const commit = pinned ? pinned.resolved : await resolveGitRef(source.url, source.ref);
+  const dir = await cacheEntry(path.join('git', urlKey(source.url), commit), async (tmpDir) => {
+    await run('git', ['clone', '--quiet', '--no-checkout', source.url, tmpDir]);
+    await run('git', ['-C', tmpDir, 'checkout', '--quiet', commit]);
+    fs.rmSync(path.join(tmpDir, '.git'), { recursive: true, force: true });
+  });
+  return { dir, lock: { resolved: commit }, version: commit.slice(0, 7) };
+}
+
+async function fetchNpm(source, pinned) {
+  let version = pinned && pinned.resolved;
+  if (!version) {
+    const versions = JSON.parse(await run('npm', ['view', source.spec, 'version', '--json']) || 'null');
+    version = Array.isArray(versions) ? versions[versions.length - 1] : versions;
+    if (!version) {
+      throw new Error(`No version of ${source.name} matches "${source.range}"`);
+    }
+  }
+
+  let integrity = pinned && pinned.integrity;
+  const dir = await cacheEntry(path.join('npm', source.name, version), async (tmpDir) => {
+    const [packed] = JSON.parse(await run('npm', ['pack', `${source.name}@${version}`, '--json', '--pack-destination', tmpDir]));
+    if (integrity && packed.integrity !== integrity) {
+      throw new Error(`${source.name}@${version} does not match the integrity in the lockfile`);
+    }
+    integrity = packed.integrity;
+
+    const archivePath = path.join(tmpDir, packed.filename);
+    await extractArchive(archivePath, tmpDir);
+    fs.unlinkSync(archivePath);
+  });
+  return { dir, lock: { resolved: version, ...(integrity ? { integrity } : {}) }, version };
+}
+
+// Check an archive against its pinned checksum
+function verifyArchive(spec, sha256, pinned) {
+  if (pinned && pinned.resolved !== sha256) {
+    throw new Error(`${spec} changed since it was locked (sha256 ${sha256}). Run with --update-lock to accept it`);
+  }
+}
+
+async function fetchArchive(archivePath, spec, pinned) {
+  const sha256 = hashFile(archivePath);
+  verifyArchive(spec, sha256, pinned);
+  const dir = await cacheEntry(path.join('archive', sha256), tmpDir => extractArchive(archivePath, tmpDir));
+  return { dir, lock: { resolved: sha256 }, version: sha256.slice(0, 12) };
+}
+
+async function fetchUrl(source, spec, pinned) {
+  // A pinned archive that is already cached needs no download
+  if (pinned && fs.existsSync(path.join(getSourcesCacheDir(), 'archive', pinned.resolved))) {
+    return { dir: path.join(getSourcesCacheDir(), 'archive', pinned.resolved), lock: pinned, version: pinned.resolved.slice(0, 12) };
+  }
+
+  // Anyone on the way could swap a plain HTTP download, so it needs a checksum to check it against
+  if (source.url.startsWith('http://') && !source.sha256) {
+    throw new Error(`${spec} is plain HTTP: use https:// or add the archive checksum as #sha256=<digest>`);
+  }
+
+  const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-source-'));
+  try {
+    const archivePath = path.join(downloadDir, 'source.tar.gz');
+    await fetchToFile(source.url, archivePath, { sha256: source.sha256 });
+    return await fetchArchive(archivePath, spec, pinned);
+  } finally {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+  }
+}
+
+// Resolve a --source value to a local directory of commands
+// Remote sources use their lockfile pin unless update is set, and record the
+// resolved version in the lock. Returns { dir, type, version }
+export async function resolveSource(spec, { lock, update = false } = {}) {
+  const source = parseSource(spec);
+  if (source.type === 'local') {
+    return { dir: spec, type: 'local' };
+  }
+
+  const pinned = !update && lock ? lock.get(spec) : undefined;
+  let fetched;
+  switch (source.type) {
+    case 'git':
+      fetched = await fetchGit(source, pinned);
+      break;
+    case 'npm':
+      fetched = await fetchNpm(source, pinned);
+      break;
+    case 'tarball':
+      if (!fs.existsSync(source.file)) {
+        throw new Error(`Source archive not found: ${source.file}`);
+      }
+      fetched = await fetchArchive(source.file, spec, pinned);
+      break;
+    default:
+      fetched = await fetchUrl(source, spec, pinned);
+  }
+
+  if (lock) {
+    lock.set(spec, fetched.lock);
+  }
+  return { dir: commandsRoot(fetched.dir, source.type !== 'git'), type: source.type, version: fetched.version };
+}
@@ -0,0 +1,64 @@
+import { buildArgumentHint, renderClaudeArguments } from '../command-arguments.js';
+import { contextFile, markdownWithFrontmatter, nestedFileName } from './format.js';
+import { mapTools } from '../tools.js';
+
+// Canonical tools -> allowed-tools names; patterns are kept, e.g. Bash(git add:*)
+const CLAUDE_TOOLS = {
+  tools: {
+    read: 'Read',
+    edit: 'Edit',
+    write: 'Write',
+    search: 'Grep',
+    glob: 'Glob',
+    list: 'LS',
+    shell: 'Bash',
+    'web-fetch': 'WebFetch',
+    'web-search': 'WebSearch',
+    todo: 'TodoWrite',
+    task: 'Task',
+    'notebook-edit': 'NotebookEdit'
+  },
+  patterns: true,
+  mcp: (server, tool) => (tool ? `mcp__${server}__${tool}` : `mcp__${server}`)
+};
+
+// Claude Code slash commands (.md) - preserves subfolder structure
+export const claudeTarget = {
+  name: 'claude',
+  label: 'Claude Code',
+  outputDir: './.claude/commands',
+  toolMap: CLAUDE_TOOLS,
+
+  fileName: (command) => nestedFileName(command, '.md'),
+
+  frontmatter: (command) => ({
+    'allowed-tools': mapTools(command.tools, CLAUDE_TOOLS).mapped.join(', ') || undefined,
+    'argument-hint': buildArgumentHint(command) || undefined,
+    description: command.description,
+    model: command.model
+  }),
+
+  serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt),
+
+  // Named arguments become positional $1, $2, ...; $ARGUMENTS is native
+  placeholders: {
+    arguments: '$ARGUMENTS',
+    named: renderClaudeArguments
+  },
+
+  kinds: {
+    // Subagents (.claude/agents/<name>.md); the prompt is the agent's system prompt
+    agent: {
+      outputDir: './.claude/agents',
+      fileName: (agent) => `${agent.name}.md`,
+      frontmatter: (agent) => ({
+        name: agent.name,
+        description: agent.description,
+        tools: mapTools(agent.tools, CLAUDE_TOOLS).mapped.join(', ') || undefined,
+        model: agent.model
+      }),
+      serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt)
+    },
+    context: contextFile('.', 'CLAUDE.md')
+  }
+};
@@ -0,0 +1,32 @@
+import os from 'os';
+import path from 'path';
+import { buildCodexArgumentHint, renderCodexArguments } from '../command-arguments.js';
+import { contextFile, markdownWithFrontmatter, prefixedFileName } from './format.js';
+
+// OpenAI Codex CLI custom prompts ($CODEX_HOME/prompts/*.md) - flat directory
+export const codexTarget = {
+  name: 'codex',
+  label: 'Codex CLI',
+  outputDir: path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'prompts'),
+  defaultEnabled: false,
+
+  fileName: (command) => prefixedFileName(command, '.md'),
+
+  frontmatter: (command) => ({
+    description: command.description,
+    'argument-hint': buildCodexArgumentHint(command) || undefined
+  }),
+
+  serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt),
+
+  // Named arguments become $FEATURE_NAME; $ARGUMENTS is native
+  placeholders: {
+    arguments: '$ARGUMENTS',
+    named: renderCodexArguments
+  },
+
+  // AGENTS.md lives in the project, unlike the prompts
+  kinds: {
+    context: contextFile('.', 'AGENTS.md')
+  }
+};
@@ -0,0 +1,26 @@
+import { renderParsedArguments } from '../command-arguments.js';
+import { markdownWithFrontmatter, prefixedFileName } from './format.js';
+
+// Continue prompt files (.continue/prompts/*.md) - flat directory, invoked as slash commands
+export const continueTarget = {
+  name: 'continue',
+  label: 'Continue',
+  outputDir: './.continue/prompts',
+  defaultEnabled: false,
+
+  fileName: (command) => prefixedFileName(command, '.md'),
+
+  frontmatter: (command) => ({
+    name: prefixedFileName(command, ''),
+    description: command.description,
+    invokable: true
+  }),
+
+  serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt),
+
+  // User input is available as {{{ input }}}
+  placeholders: {
+    arguments: '{{{ input }}}',
+    named: (text, command) => renderParsedArguments(text, command, '{{{ input }}}')
+  }
+};
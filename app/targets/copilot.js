@@ -0,0 +1,65 @@
+import { renderCopilotArguments } from '../command-arguments.js';
+import { contextFile, markdownWithFrontmatter, prefixedFileName } from './format.js';
+import { mapTools } from '../tools.js';
+
+// Canonical tools -> VS Code chat tool ids; patterns can't be expressed, so patterned tools are left out
+const COPILOT_TOOLS = {
+  tools: {
+    read: 'codebase',
+    edit: 'editFiles',
+    write: 'editFiles',
+    search: 'search',
+    glob: 'search',
+    list: 'search',
+    shell: 'runCommands',
+    'web-fetch': 'fetch',
+    todo: 'todos'
+  },
+  mcp: (server, tool) => `${server}/${tool || '*'}`
+};
+
+// GitHub Copilot prompt files (.prompt.md) - uses prefix naming for subfolders
+export const copilotTarget = {
+  name: 'copilot',
+  label: 'GitHub Copilot',
+  outputDir: './.github/prompts',
+  toolMap: COPILOT_TOOLS,
+
+  fileName: (command) => prefixedFileName(command, '.prompt.md'),
+
+  frontmatter: (command) => {
+    const tools = mapTools(command.tools, COPILOT_TOOLS).mapped;
+    return {
+      mode: 'agent',
+      model: command.model,
+      tools: tools.length > 0 ? tools : undefined,
+      description: command.description
+    };
+  },
+
+  serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt),
+
+  // Named arguments become ${input:name}; $ARGUMENTS -> ${args}
+  placeholders: {
+    arguments: '${args}',
+    named: renderCopilotArguments
+  },
+
+  kinds: {
+    // Custom chat modes (.github/chatmodes/<name>.chatmode.md)
+    agent: {
+      outputDir: './.github/chatmodes',
+      fileName: (agent) => `${agent.name}.chatmode.md`,
+      frontmatter: (agent) => {
+        const tools = mapTools(agent.tools, COPILOT_TOOLS).mapped;
+        return {
+          description: agent.description,
+          tools: tools.length > 0 ? tools : undefined,
+          model: agent.model
+        };
+      },
+      serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt)
+    },
+    context: contextFile('./.github', 'copilot-instructions.md')
+  }
+};
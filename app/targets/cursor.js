@@ -0,0 +1,23 @@
+import { renderParsedArguments } from '../command-arguments.js';
+import { prefixedFileName } from './format.js';
+
+// Cursor custom commands (.cursor/commands/*.md) - plain Markdown, flat directory
+export const cursorTarget = {
+  name: 'cursor',
+  label: 'Cursor',
+  outputDir: './.cursor/commands',
+  defaultEnabled: false,
+
+  fileName: (command) => prefixedFileName(command, '.md'),
+
+  // Cursor commands have no metadata
+  frontmatter: () => ({}),
+
+  serialize: (frontmatter, prompt) => prompt,
+
+  // Text typed after the command is appended to the prompt
+  placeholders: {
+    arguments: 'the text provided after the command',
+    named: (text, command) => renderParsedArguments(text, command, 'the text provided after the command')
+  }
+};
@@ -0,0 +1,41 @@
+// Shared helpers for target adapters
+
+import yaml from 'js-yaml';
+
+// Serialize metadata as YAML frontmatter; values are quoted and escaped only when needed
+export function serializeFrontmatter(frontmatter) {
+  return yaml.dump(frontmatter, { lineWidth: -1, flowLevel: 1, noRefs: true });
+}
+
+// Join metadata and a prompt into a Markdown file with frontmatter
+export function markdownWithFrontmatter(frontmatter, prompt) {
+  if (Object.keys(frontmatter).length === 0) {
+    return prompt;
+  }
+  return `---\n${serializeFrontmatter(frontmatter)}---\n\n${prompt}`;
+}
+
+// Output path for targets that mirror the source subfolders
+export function nestedFileName(command, extension) {
+  const filename = `${command.name}${extension}`;
+  return command._subfolder ? `${command._subfolder}/${filename}` : filename;
+}
+
+// Output path for targets with a flat directory (e.g. kiro/commit -> kiro_commit)
+export function prefixedFileName(command, extension) {
+  if (command._subfolder) {
+    const prefix = command._subfolder.replace(/[/\\]/g, '_');
+    return `${prefix}_${command.name}${extension}`;
+  }
+  return `${command.name}${extension}`;
+}
+
+// Format of a project instructions file written from a `kind: context` document
+export function contextFile(outputDir, fileName) {
+  return {
+    outputDir,
+    fileName: () => fileName,
+    frontmatter: () => ({}),
+    serialize: (frontmatter, prompt) => prompt
+  };
+}
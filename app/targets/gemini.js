@@ -0,0 +1,32 @@
+import { renderGeminiArguments } from '../command-arguments.js';
+import { stringifyToml } from '../toml.js';
+import { contextFile, nestedFileName } from './format.js';
+
+// Gemini CLI commands have no tool list: every tool is reported as left out
+const GEMINI_TOOLS = { tools: {} };
+
+// Gemini CLI commands (.toml) - preserves subfolder structure
+export const geminiTarget = {
+  name: 'gemini',
+  label: 'Gemini CLI',
+  outputDir: './.gemini/commands',
+  toolMap: GEMINI_TOOLS,
+
+  fileName: (command) => nestedFileName(command, '.toml'),
+
+  frontmatter: (command) => ({
+    description: command.description
+  }),
+
+  serialize: (frontmatter, prompt) => stringifyToml({ ...frontmatter, prompt }),
+
+  // Named arguments are parsed from {{args}}; $ARGUMENTS -> {{args}}
+  placeholders: {
+    arguments: '{{args}}',
+    named: renderGeminiArguments
+  },
+
+  kinds: {
+    context: contextFile('.', 'GEMINI.md')
+  }
+};
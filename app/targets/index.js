@@ -0,0 +1,207 @@
+// Target adapter registry
+//
+// A target adapter describes one output platform:
+//
+//   name          id used by `--targets` (e.g. 'claude')
+//   label         human readable name (optional)
+//   outputDir     default output directory
+//   defaultEnabled  false to only convert when selected with --targets (optional)
+//   fileName      (command) => output path relative to outputDir
+//   frontmatter   (command) => metadata object (undefined values are dropped)
+//   serialize     (frontmatter, prompt, command) => file content
+//   placeholders  { arguments: replacement for $ARGUMENTS, named: (prompt, command) => prompt } (optional)
+//   toolMap       canonical tool -> target tool table, for platforms with a tool list (optional, see tools.js)
+//   kinds         { agent, context }: formats for other document kinds (optional); each has
+//                 outputDir, fileName, frontmatter, serialize and optionally placeholders
+//
+// Third-party adapters are plain ES modules exporting an adapter (or an array
+// of adapters) as default export or as a named `targets` export.
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { claudeTarget } from './claude.js';
+import { copilotTarget } from './copilot.js';
+import { geminiTarget } from './gemini.js';
+import { cursorTarget } from './cursor.js';
+import { windsurfTarget } from './windsurf.js';
+import { codexTarget } from './codex.js';
+import { continueTarget } from './continue.js';
+import { renderConditionals } from '../conditionals.js';
+
+const REQUIRED_FIELDS = ['name', 'outputDir', 'fileName', 'frontmatter', 'serialize'];
+
+const targets = new Map();
+
+// Check that an object implements the adapter interface
+export function validateTarget(target, source = 'target adapter') {
+  if (!target || typeof target !== 'object') {
+    throw new Error(`Invalid ${source}: expected an object`);
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => target[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Invalid ${source}${target.name ? ` "${target.name}"` : ''}: missing ${missing.join(', ')}`);
+  }
+
+  for (const field of ['fileName', 'frontmatter', 'serialize']) {
+    if (typeof target[field] !== 'function') {
+      throw new Error(`Invalid ${source} "${target.name}": ${field} must be a function`);
+    }
+  }
+
+  for (const [kind, format] of Object.entries(target.kinds || {})) {
+    const invalid = REQUIRED_FIELDS.filter(field => field !== 'name')
+      .filter(field => !format || (field === 'outputDir' ? format[field] === undefined : typeof format[field] !== 'function'));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid ${source} "${target.name}": kinds.${kind} needs ${invalid.join(', ')}`);
+    }
+  }
+}
+
+// Add a target adapter to the registry
+export function registerTarget(target, { override = false } = {}) {
+  validateTarget(target);
+
+  if (targets.has(target.name) && !override && targets.get(target.name) !== target) {
+    throw new Error(`Target ${target.name} already exists`);
+  }
+
+  targets.set(target.name, target);
+}
+
+// Get a registered target adapter
+export function getTarget(name) {
+  return targets.get(name);
+}
+
+// Get the names of all registered targets
+export function getAvailableTargets() {
+  return [...targets.keys()];
+}
+
+// Get the names of targets converted when --targets is not given
+export function getDefaultTargets() {
+  return [...targets.values()].filter(target => target.defaultEnabled !== false).map(target => target.name);
+}
+
+// Load and register target adapters from a local JS module
+export async function loadTargetModule(modulePath) {
+  const url = pathToFileURL(path.resolve(modulePath)).href;
+  const module = await import(/* @vite-ignore */ url);
+  const exported = module.targets || module.default;
+
+  if (!exported) {
+    throw new Error(`Target module ${modulePath} has no default or "targets" export`);
+  }
+
+  const loaded = Array.isArray(exported) ? exported : [exported];
+  loaded.forEach(target => {
+    validateTarget(target, `target adapter in ${modulePath}`);
+    registerTarget(target);
+  });
+
+  return loaded.map(target => target.name);
+}
+
+// Format a target writes a document kind with; undefined when it doesn't support the kind
+export function getKindFormat(target, kind = 'command') {
+  return kind === 'command' ? target : target.kinds && target.kinds[kind];
+}
+
+// Merge a command's `targets.<name>` block over its base fields
+// Null values remove a field; prompt_prepend/prompt_append wrap the prompt.
+// Returns null when the command is disabled for the target
+export function applyTargetOverrides(command, targetName) {
+  const overrides = command.targets && command.targets[targetName];
+  if (!overrides) {
+    return command;
+  }
+  if (overrides.enabled === false) {
+    return null;
+  }
+
+  const { enabled, prompt_prepend: prepend, prompt_append: append, ...fields } = overrides;
+  const result = { ...command };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = value;
+    }
+  }
+
+  if (prepend) {
+    result.prompt = `${prepend.replace(/\n*$/, '\n\n')}${result.prompt}`;
+  }
+  if (append) {
+    const ending = result.prompt.match(/\n*$/)[0];
+    result.prompt = `${result.prompt.replace(/\n*$/, '\n\n')}${append.replace(/\n*$/, '')}${ending}`;
+  }
+  return result;
+}
+
+// Directories of other kinds set as `<target>.<kind>` in a name -> dir map (--target-dir)
+export function getKindDirs(targetDirs, targetName) {
+  const prefix = `${targetName}.`;
+  return Object.fromEntries(
+    Object.entries(targetDirs)
+      .filter(([name, dir]) => name.startsWith(prefix) && dir)
+      .map(([name, dir]) => [name.slice(prefix.length), dir])
+  );
+}
+
+// Where a command is written for a target, after its per-target overrides
+// dir is the target's command directory; agents and context files go to their
+// format's outputDir unless kindDirs ({ agent, context }) moves them.
+// Returns null when the target doesn't generate the command (disabled with
+// `enabled: false`, or no format for its kind)
+export function resolveOutput(target, command, dir = target.outputDir, kindDirs = {}) {
+  const targeted = applyTargetOverrides(command, target.name);
+  const format = targeted && getKindFormat(target, targeted.kind);
+  if (!format) {
+    return null;
+  }
+
+  if (format === target) {
+    const displayPath = format.fileName(targeted);
+    return { command: targeted, displayPath, filepath: path.join(dir, displayPath) };
+  }
+
+  const filepath = path.join(kindDirs[targeted.kind] || format.outputDir, format.fileName(targeted));
+  return { command: targeted, displayPath: filepath, filepath };
+}
+
+// Render a document for a target in the format of its kind: conditional sections,
+// placeholders, frontmatter and serialization
+export function renderCommand(target, command) {
+  const format = getKindFormat(target, command.kind);
+  if (!format) {
+    throw new Error(`Target ${target.name} does not support kind "${command.kind}"`);
+  }
+  const { named, arguments: argumentsPlaceholder } = format.placeholders || {};
+
+  let prompt = renderConditionals(command.prompt, target.name, getAvailableTargets());
+  prompt = named ? named(prompt, command) : prompt;
+  if (argumentsPlaceholder) {
+    prompt = prompt.replace(/\$ARGUMENTS/g, () => argumentsPlaceholder);
+  }
+
+  const frontmatter = {};
+  for (const [key, value] of Object.entries(format.frontmatter(command) || {})) {
+    if (value !== undefined && value !== null) {
+      frontmatter[key] = value;
+    }
+  }
+
+  return format.serialize(frontmatter, prompt, command);
+}
+
+[
+  claudeTarget,
+  copilotTarget,
+  geminiTarget,
+  cursorTarget,
+  windsurfTarget,
+  codexTarget,
+  continueTarget
+].forEach(target => registerTarget(target));
@@ -0,0 +1,24 @@
+import { renderParsedArguments } from '../command-arguments.js';
+import { markdownWithFrontmatter, prefixedFileName } from './format.js';
+
+// Windsurf workflows (.windsurf/workflows/*.md) - flat directory
+export const windsurfTarget = {
+  name: 'windsurf',
+  label: 'Windsurf',
+  outputDir: './.windsurf/workflows',
+  defaultEnabled: false,
+
+  fileName: (command) => prefixedFileName(command, '.md'),
+
+  frontmatter: (command) => ({
+    description: command.description
+  }),
+
+  serialize: (frontmatter, prompt) => markdownWithFrontmatter(frontmatter, prompt),
+
+  // Workflows take no arguments, so refer to the user's message instead
+  placeholders: {
+    arguments: 'the text provided with the workflow',
+    named: (text, command) => renderParsedArguments(text, command, 'the text provided with the workflow')
+  }
+};
@@ -0,0 +1,266 @@
+// Minimal TOML support for Gemini CLI command files
+// Handles top-level key/value pairs with strings, numbers, booleans and arrays,
+// which is all the Gemini command format uses, in both directions.
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+class TomlParser {
+  constructor(source) {
+    this.source = source.replace(/\r\n/g, '\n');
+    this.pos = 0;
+  }
+
+  error(message) {
+    const line = this.source.slice(0, this.pos).split('\n').length;
+    const error = new Error(`${message} (line ${line})`);
+    error.line = line;
+    return error;
+  }
+
+  peek(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  // Skip spaces, tabs and (optionally) newlines and comments
+  skipWhitespace(newlines = true) {
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (char === ' ' || char === '\t' || (newlines && char === '\n')) {
+        this.pos++;
+      } else if (char === '#') {
+        while (this.pos < this.source.length && this.source[this.pos] !== '\n') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parse() {
+    const result = {};
+
+    this.skipWhitespace();
+    while (this.pos < this.source.length) {
+      if (this.peek('[')) {
+        throw this.error('Tables are not supported');
+      }
+
+      const key = this.parseKey();
+      this.skipWhitespace(false);
+      if (!this.peek('=')) {
+        throw this.error(`Expected "=" after key "${key}"`);
+      }
+      this.pos++;
+      this.skipWhitespace(false);
+
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw this.error(`Duplicate key "${key}"`);
+      }
+      result[key] = this.parseValue();
+
+      this.skipWhitespace(false);
+      if (this.pos < this.source.length && this.source[this.pos] !== '\n') {
+        throw this.error('Expected newline after value');
+      }
+      this.skipWhitespace();
+    }
+
+    return result;
+  }
+
+  parseKey() {
+    if (this.peek('"')) return this.parseBasicString();
+    if (this.peek("'")) return this.parseLiteralString();
+
+    const match = /^[A-Za-z0-9_-]+/.exec(this.source.slice(this.pos));
+    if (!match) {
+      throw this.error('Expected a key');
+    }
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  parseValue() {
+    if (this.peek('"""')) return this.parseMultilineBasicString();
+    if (this.peek("'''")) return this.parseMultilineLiteralString();
+    if (this.peek('"')) return this.parseBasicString();
+    if (this.peek("'")) return this.parseLiteralString();
+    if (this.peek('[')) return this.parseArray();
+
+    const match = /^(true|false|[+-]?\d[\d_]*(\.\d+)?)/.exec(this.source.slice(this.pos));
+    if (!match) {
+      throw this.error('Unsupported value');
+    }
+    this.pos += match[0].length;
+    if (match[0] === 'true') return true;
+    if (match[0] === 'false') return false;
+    return Number(match[0].replace(/_/g, ''));
+  }
+
+  parseEscape() {
+    const char = this.source[this.pos++];
+    if (ESCAPES[char] !== undefined) {
+      return ESCAPES[char];
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = this.source.slice(this.pos, this.pos + length);
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length) {
+        throw this.error('Invalid unicode escape');
+      }
+      this.pos += length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    throw this.error(`Invalid escape "\\${char}"`);
+  }
+
+  parseBasicString() {
+    this.pos++;
+    let value = '';
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos++];
+      if (char === '"') return value;
+      if (char === '\n') break;
+      value += char === '\\' ? this.parseEscape() : char;
+    }
+    throw this.error('Unterminated string');
+  }
+
+  parseLiteralString() {
+    this.pos++;
+    const end = this.source.indexOf("'", this.pos);
+    const newline = this.source.indexOf('\n', this.pos);
+    if (end === -1 || (newline !== -1 && newline < end)) {
+      throw this.error('Unterminated string');
+    }
+    const value = this.source.slice(this.pos, end);
+    this.pos = end + 1;
+    return value;
+  }
+
+  // Up to two quotes right after the closing delimiter belong to the content
+  closeMultiline(quote, value) {
+    this.pos += 3;
+    let extra = '';
+    while (extra.length < 2 && this.peek(quote)) {
+      extra += quote;
+      this.pos++;
+    }
+    return value + extra;
+  }
+
+  parseMultilineBasicString() {
+    this.pos += 3;
+    if (this.peek('\n')) this.pos++;
+
+    let value = '';
+    while (this.pos < this.source.length) {
+      if (this.peek('"""')) {
+        return this.closeMultiline('"', value);
+      }
+      const char = this.source[this.pos++];
+      if (char === '\\') {
+        // Line-ending backslash trims the newline and leading whitespace
+        const rest = /^[ \t]*\n\s*/.exec(this.source.slice(this.pos));
+        if (rest) {
+          this.pos += rest[0].length;
+        } else {
+          value += this.parseEscape();
+        }
+      } else {
+        value += char;
+      }
+    }
+    throw this.error('Unterminated multi-line string');
+  }
+
+  parseMultilineLiteralString() {
+    this.pos += 3;
+    if (this.peek('\n')) this.pos++;
+
+    const end = this.source.indexOf("'''", this.pos);
+    if (end === -1) {
+      throw this.error('Unterminated multi-line string');
+    }
+    const value = this.source.slice(this.pos, end);
+    this.pos = end;
+    return this.closeMultiline("'", value);
+  }
+
+  parseArray() {
+    this.pos++;
+    const values = [];
+    this.skipWhitespace();
+    while (!this.peek(']')) {
+      values.push(this.parseValue());
+      this.skipWhitespace();
+      if (this.peek(',')) {
+        this.pos++;
+        this.skipWhitespace();
+      } else if (!this.peek(']')) {
+        throw this.error('Expected "," or "]" in array');
+      }
+    }
+    this.pos++;
+    return values;
+  }
+}
+
+// Parse a TOML document into a plain object
+export function parseToml(source) {
+  return new TomlParser(source).parse();
+}
+
+// Escape a string for a TOML basic string
+function escapeBasic(value, multiline) {
+  const chars = Array.from(value);
+
+  return chars.map((char, index) => {
+    const code = char.codePointAt(0);
+    if (char === '\\') {
+      return '\\\\';
+    }
+    if (char === '"') {
+      // Multi-line strings only need to break up runs of three quotes and a quote before the closing delimiter
+      const closesEarly = chars[index + 1] === '"' && chars[index + 2] === '"';
+      return !multiline || closesEarly || index === chars.length - 1 ? '\\"' : char;
+    }
+    if ((char === '\n' && multiline) || char === '\t') {
+      return char;
+    }
+    if (code < 0x20 || code === 0x7f) {
+      const named = Object.keys(ESCAPES).find(key => ESCAPES[key] === char);
+      return named ? `\\${named}` : `\\u${code.toString(16).padStart(4, '0')}`;
+    }
+    return char;
+  }).join('');
+}
+
+// Serialize a single TOML value
+function stringifyValue(value) {
+  if (typeof value === 'string') {
+    if (value.includes('\n')) {
+      // Newline after the opening delimiter is trimmed by parsers
+      return `"""\n${escapeBasic(value, true)}"""`;
+    }
+    return `"${escapeBasic(value, false)}"`;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stringifyValue).join(', ')}]`;
+  }
+  throw new Error(`Unsupported TOML value of type ${typeof value}`);
+}
+
+// Serialize a flat object as TOML; undefined values are skipped
+export function stringifyToml(object) {
+  const entries = Object.entries(object)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      const tomlKey = /^[A-Za-z0-9_-]+$/.test(key) ? key : stringifyValue(key);
+      return `${tomlKey} = ${stringifyValue(value)}`;
+    });
+
+  return entries.join('\n\n') + '\n';
+}
@@ -0,0 +1,117 @@
+// Canonical tool vocabulary for the `tools:` list of YAML commands
+//
+//   read, edit, write, search, glob, list, shell, web-fetch, web-search,
+//   todo, task, notebook-edit
+//
+// Any tool can carry a pattern, e.g. `shell(git add:*)` or `read(./docs/**)`.
+// MCP tools are written `mcp:<server>/<tool>`, or `mcp:<server>` for all of a
+// server's tools. Claude Code names (`Bash(git add:*)`, `Read`, `mcp__github__get_issue`)
+// are still accepted and read as their canonical equivalent.
+//
+// Targets that support a tool list declare a toolMap:
+//
+//   tools     canonical name -> target tool id (missing: no equivalent)
+//   patterns  true to keep (pattern) suffixes; otherwise a tool with a pattern is left
+//             out, as the plain tool would allow more than the command asked for
+//   mcp       (server, tool) => target tool id (optional; tool is undefined for a whole server)
+
+export const CANONICAL_TOOLS = [
+  'read',
+  'edit',
+  'write',
+  'search',
+  'glob',
+  'list',
+  'shell',
+  'web-fetch',
+  'web-search',
+  'todo',
+  'task',
+  'notebook-edit'
+];
+
+const CLAUDE_NAMES = {
+  Read: 'read',
+  NotebookRead: 'read',
+  Edit: 'edit',
+  MultiEdit: 'edit',
+  Write: 'write',
+  Grep: 'search',
+  Glob: 'glob',
+  LS: 'list',
+  Bash: 'shell',
+  WebFetch: 'web-fetch',
+  WebSearch: 'web-search',
+  TodoWrite: 'todo',
+  Task: 'task',
+  NotebookEdit: 'notebook-edit'
+};
+
+const TOOL_PATTERN = /^([\w-]+)(?:\((.*)\))?$/;
+
+// Parse a tool entry into { name, pattern } or { mcp: { server, tool } }
+// Returns null for tools outside the vocabulary
+export function parseTool(tool) {
+  if (typeof tool !== 'string') return null;
+
+  const mcp = tool.match(/^mcp:([\w.-]+)(?:\/([\w.-]+))?$/) || tool.match(/^mcp__([\w.-]+?)(?:__([\w.-]+))?$/);
+  if (mcp) {
+    return { mcp: { server: mcp[1], tool: mcp[2] } };
+  }
+
+  const [, baseName, pattern] = tool.match(TOOL_PATTERN) || [];
+  const name = CANONICAL_TOOLS.includes(baseName) ? baseName : CLAUDE_NAMES[baseName];
+  return name ? { name, pattern } : null;
+}
+
+// Write a parsed tool back in canonical form
+export function formatTool(parsed) {
+  if (parsed.mcp) {
+    return `mcp:${parsed.mcp.server}${parsed.mcp.tool ? `/${parsed.mcp.tool}` : ''}`;
+  }
+  return parsed.pattern ? `${parsed.name}(${parsed.pattern})` : parsed.name;
+}
+
+// Map a tools list with a target's toolMap
+// Returns the (deduplicated) target tool ids and the entries it can't express,
+// including patterned tools of targets without patterns
+export function mapTools(tools, toolMap) {
+  const mapped = [];
+  const unmapped = [];
+
+  for (const tool of tools || []) {
+    const parsed = parseTool(tool);
+    let id;
+
+    if (parsed && parsed.mcp) {
+      id = toolMap.mcp ? toolMap.mcp(parsed.mcp.server, parsed.mcp.tool) : undefined;
+    } else if (parsed) {
+      id = toolMap.tools[parsed.name];
+      if (id && parsed.pattern) {
+        id = toolMap.patterns ? `${id}(${parsed.pattern})` : undefined;
+      }
+    }
+
+    if (!id) {
+      unmapped.push(tool);
+    } else if (!mapped.includes(id)) {
+      mapped.push(id);
+    }
+  }
+
+  return { mapped, unmapped };
+}
+
+// Read a target's tool ids back into canonical tools (used by import)
+export function unmapTools(ids, toolMap) {
+  const reverse = new Map();
+  for (const [name, id] of Object.entries(toolMap.tools)) {
+    if (!reverse.has(id)) reverse.set(id, name);
+  }
+
+  return ids.map(id => {
+    if (reverse.has(id)) return reverse.get(id);
+    const parsed = parseTool(id);
+    return parsed ? formatTool(parsed) : id;
+  });
+}
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { isCommandFile } from './command-schema.js';
+import { isPartialPath } from './compose-commands.js';
+import { listCommandFiles, loadCommand } from './load-commands.js';
+
+const DEBOUNCE_MS = 150;
+
+// Regenerates outputs of YAML commands as they are added, changed or removed
+export class CommandWatcher {
+  constructor(converter, options = {}) {
+    this.converter = converter;
+    this.debounceMs = options.debounceMs ?? DEBOUNCE_MS;
+    this.watchers = new Map(); // directory -> fs.FSWatcher
+    this.pending = new Set(); // source-relative paths waiting to be processed
+    this.timer = null;
+    this.processing = Promise.resolve();
+  }
+
+  // Timestamped status line
+  status(message) {
+    const time = new Date().toTimeString().slice(0, 8);
+    console.log(`[${time}] ${message}`);
+  }
+
+  // Watch a directory and its subdirectories (fs.watch is not recursive everywhere)
+  watchDirectory(dirPath) {
+    if (this.watchers.has(dirPath)) return;
+
+    const watcher = fs.watch(dirPath, (eventType, filename) => this.onEvent(dirPath, filename));
+    watcher.on('error', () => this.unwatchDirectory(dirPath));
+    this.watchers.set(dirPath, watcher);
+
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        this.watchDirectory(path.join(dirPath, entry.name));
+      }
+    }
+  }
+
+  // Stop watching a removed directory and everything below it
+  unwatchDirectory(dirPath) {
+    for (const [watchedPath, watcher] of this.watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    }
+  }
+
+  // List YAML commands below a directory, relative to the source directory
+  listCommandFiles(dirPath) {
+    return listCommandFiles(this.converter.sourceDir, path.relative(this.converter.sourceDir, dirPath));
+  }
+
+  // Commands composed from a partial or base file
+  findDependents(relativePath) {
+    const key = relativePath.split(path.sep).join('/');
+    return [...this.converter.dependencies]
+      .filter(([, dependencies]) => dependencies.includes(key))
+      .map(([source]) => source.split('/').join(path.sep));
+  }
+
+  onEvent(dirPath, filename) {
+    if (!filename) {
+      // Some platforms don't report the file name; recheck the whole directory
+      this.listCommandFiles(dirPath).forEach(file => this.pending.add(file));
+      this.schedule();
+      return;
+    }
+
+    const fullPath = path.join(dirPath, filename);
+    const relativePath = path.relative(this.converter.sourceDir, fullPath);
+
+    if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+      this.watchDirectory(fullPath);
+      this.listCommandFiles(fullPath).forEach(file => this.pending.add(file));
+    } else if (isPartialPath(relativePath)) {
+      this.findDependents(relativePath).forEach(file => this.pending.add(file));
+    } else if (isCommandFile(filename)) {
+      this.pending.add(relativePath);
+    } else if (this.watchers.has(fullPath)) {
+      // A watched subdirectory was removed
+      this.unwatchDirectory(fullPath);
+      this.converter.getGeneratedOutputs()
+        .filter(([, entry]) => entry.source.startsWith(relativePath.split(path.sep).join('/') + '/'))
+        .forEach(([, entry]) => this.pending.add(entry.source.split('/').join(path.sep)));
+    } else {
+      return;
+    }
+
+    this.schedule();
+  }
+
+  // Debounce bursts of events (editors often write a file several times)
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = [...this.pending];
+      this.pending.clear();
+      this.processing = this.processing.then(() => this.process(files));
+    }, this.debounceMs);
+  }
+
+  // Changed commands that pass the collision check of a full convert, which sees every
+  // command in source order, so a changed command can't take over another one's files
+  withoutCollisions(changed) {
+    const converter = this.converter;
+    const commands = listCommandFiles(converter.sourceDir)
+      .map(relativePath => {
+        if (changed.has(relativePath)) return changed.get(relativePath);
+        const { command } = loadCommand(converter.sourceDir, relativePath);
+        return command;
+      })
+      .filter(Boolean);
+
+    const isChanged = command => changed.get(command._filePath) === command;
+    return new Set(converter.withoutCollisions(commands, isChanged).filter(isChanged));
+  }
+
+  // Regenerate (or remove) the outputs of each changed source
+  async process(files) {
+    const converter = this.converter;
+
+    const changed = new Map(); // source-relative path -> valid command
+    for (const relativePath of files) {
+      if (fs.existsSync(path.join(converter.sourceDir, relativePath))) {
+        const command = converter.loadCommandFile(relativePath);
+        if (command) changed.set(relativePath, command);
+      }
+    }
+    const convertible = this.withoutCollisions(changed);
+
+    for (const relativePath of files) {
+      const exists = fs.existsSync(path.join(converter.sourceDir, relativePath));
+      const before = { ...converter.stats };
+
+      try {
+        if (exists) {
+          const command = changed.get(relativePath);
+          if (!command) {
+            this.status(`✗ ${relativePath}: invalid, outputs left unchanged`);
+            continue;
+          }
+          if (!convertible.has(command)) {
+            this.status(`✗ ${relativePath}: generates the same file as another command, outputs left unchanged`);
+            continue;
+          }
+          for (const target of converter.targets) {
+            await converter.convertCommand(command, target);
+          }
+          converter.removeOutputs(converter.findOrphanedOutputs(relativePath, command));
+        } else {
+          converter.dependencies.delete(relativePath.split(path.sep).join('/'));
+          converter.removeOutputs(converter.findOrphanedOutputs(relativePath));
+        }
+      } catch (error) {
+        this.status(`✗ ${relativePath}: ${error.message}`);
+        continue;
+      }
+
+      const changes = ['created', 'updated', 'pruned', 'skipped', 'conflicts']
+        .map(key => [key, converter.stats[key] - before[key]])
+        .filter(([, count]) => count > 0)
+        .map(([key, count]) => `${count} ${key === 'pruned' ? 'removed' : key}`);
+
+      if (!exists) {
+        this.status(`− ${relativePath} deleted${changes.length ? ` (${changes.join(', ')})` : ''}`);
+      } else {
+        this.status(`${changes.length ? '✓' : '='} ${relativePath}: ${changes.length ? changes.join(', ') : 'up to date'}`);
+      }
+    }
+
+    converter.manifest.save();
+  }
+
+  // Start watching; resolves when stopped with Ctrl+C
+  async start() {
+    this.watchDirectory(this.converter.sourceDir);
+    this.status(`👀 Watching ${this.converter.sourceDir} for changes (Ctrl+C to stop)`);
+
+    return new Promise(resolve => {
+      process.once('SIGINT', async () => {
+        this.stop();
+        await this.processing;
+        console.log('');
+        this.status('Stopped watching');
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+}
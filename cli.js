@@ -7,6 +7,10 @@ import chalk from 'chalk';
 // Import command modules
 import { setupMcpCommand } from './app/setup-mcp.js';
 import { convertCommandsCommand } from './app/convert-commands.js';
+import { lintCommandsCommand } from './app/lint-commands.js';
+import { importCommandsCommand } from './app/import-commands.js';
+import { manageCommandsCommand } from './app/manage-commands.js';
+import { mcpCommand } from './app/mcp-commands.js';
 
 const cli = yargs(hideBin(process.argv))
   .scriptName('ai-cli-toolkit')
@@ -27,6 +31,10 @@ const cli = yargs(hideBin(process.argv))
 // Add subcommands
 cli.command(setupMcpCommand);
 cli.command(convertCommandsCommand);
+cli.command(lintCommandsCommand);
+cli.command(importCommandsCommand);
+cli.command(manageCommandsCommand);
+cli.command(mcpCommand);
 
 // Parse and execute
 cli.parse();
\ No newline at end of file
@@ -0,0 +1,180 @@
+// Type declarations for the library entry of @quydoan/ai-cli-toolkit
+
+export type DocumentKind = 'command' | 'agent' | 'context';
+
+export interface CommandArgument {
+  name: string;
+  description?: string;
+  default?: string | number | boolean;
+}
+
+// An argument hint, or a list of argument names and declarations
+export type CommandArguments = string | (string | CommandArgument)[];
+
+export interface TargetOverride {
+  enabled?: boolean;
+  description?: string | null;
+  prompt?: string;
+  prompt_prepend?: string;
+  prompt_append?: string;
+  arguments?: CommandArguments | null;
+  tools?: string[] | null;
+  model?: string | null;
+}
+
+// A command as written in a YAML source file
+export interface Command {
+  kind?: DocumentKind;
+  name: string;
+  description?: string;
+  prompt: string;
+  arguments?: CommandArguments;
+  tools?: string[];
+  model?: string;
+  targets?: Record<string, TargetOverride>;
+  [key: string]: unknown;
+}
+
+export interface LoadError {
+  file: string;
+  line?: number;
+  message: string;
+}
+
+export interface Diagnostic {
+  severity: 'error' | 'warning';
+  rule: string;
+  line: number;
+  message: string;
+}
+
+export interface PlannedFile {
+  path: string;
+  content: string;
+}
+
+export interface ConvertedFile extends PlannedFile {
+  target: string;
+  source: string;
+}
+
+export interface ConvertOptions {
+  // Directory of YAML commands (default: ./commands)
+  source?: string;
+  // Target names (default: the targets enabled by default)
+  targets?: string[];
+  // Command output directory per target name; `<target>.agent` and `<target>.context` move the other kinds
+  targetDirs?: Record<string, string>;
+  // Paths of JS modules exporting additional target adapters
+  adapters?: string[];
+}
+
+export interface ConvertResult {
+  files: ConvertedFile[];
+  errors: LoadError[];
+}
+
+export interface RenderedCommand extends PlannedFile {
+  target: string;
+}
+
+export interface McpOptions {
+  servers: string[];
+  clients: string[];
+  tokens?: Record<string, string>;
+  /** Write project or user configs; defaults to each client's usual location */
+  scope?: 'project' | 'user';
+  /** Replace servers that already have a different entry (default), or keep them */
+  onConflict?: 'overwrite' | 'skip';
+  cwd?: string;
+  homedir?: string;
+  platform?: string;
+}
+
+export interface McpConfigFile extends PlannedFile {
+  client: string;
+}
+
+export interface McpClientSummary {
+  client: string;
+  label: string;
+  path: string;
+  added: string[];
+  skipped: string[];
+  changes: McpServerChange[];
+}
+
+export interface McpServerChange {
+  server: string;
+  status: 'new' | 'changed' | 'unchanged';
+  before?: Record<string, unknown>;
+  after: Record<string, unknown>;
+  /** The existing entry is kept (onConflict: 'skip') */
+  keep: boolean;
+}
+
+export interface McpResult {
+  files: McpConfigFile[];
+  clients: McpClientSummary[];
+}
+
+export interface KindFormat {
+  outputDir: string;
+  fileName(command: Command): string;
+  frontmatter(command: Command): Record<string, unknown>;
+  serialize(frontmatter: Record<string, unknown>, prompt: string, command: Command): string;
+  placeholders?: {
+    arguments?: string;
+    named?: (prompt: string, command: Command) => string;
+  };
+}
+
+export interface ToolMap {
+  tools: Record<string, string>;
+  patterns?: boolean;
+  mcp?: (server: string, tool?: string) => string | undefined;
+}
+
+export interface TargetAdapter extends KindFormat {
+  name: string;
+  label?: string;
+  defaultEnabled?: boolean;
+  toolMap?: ToolMap;
+  kinds?: Partial<Record<'agent' | 'context', KindFormat>>;
+}
+
+export interface McpServer {
+  name: string;
+  description: string;
+  requiredTokens?: string[];
+  config: Record<string, unknown>;
+  /** Catalog file the server was loaded from; absent for built-in servers */
+  source?: string;
+}
+
+// Plan the files generated from a source directory; nothing is written
+export function convert(options?: ConvertOptions): Promise<ConvertResult>;
+
+// Render one command for a target; null when the target doesn't generate it
+export function renderCommand(command: Command, target?: string, options?: { dir?: string }): RenderedCommand | null;
+
+// Plan MCP client config files; nothing is written
+export function configureMcp(options: McpOptions): McpResult;
+
+// Write planned files, creating directories; returns the absolute paths written
+export function writeFiles(files: PlannedFile[], options?: { cwd?: string }): string[];
+
+export function registerTarget(target: TargetAdapter, options?: { override?: boolean }): void;
+export function getTarget(name: string): TargetAdapter | undefined;
+export function getAvailableTargets(): string[];
+export function getDefaultTargets(): string[];
+export function loadTargetModule(modulePath: string): Promise<string[]>;
+
+export function validateCommand(command: unknown, content?: string): Diagnostic[];
+export function loadCommands(sourceDir: string): { commands: Command[]; errors: LoadError[] };
+
+export function getAvailableServers(): string[];
+export function getServerConfig(name: string): McpServer | undefined;
+export function getMcpClients(): string[];
+/** Register the servers of ~/.config/ait/servers.yaml and .ait/servers.yaml; throws on invalid catalogs */
+export function loadServerCatalog(options?: { cwd?: string; homedir?: string }): { name: string; source: string }[];
@@ -0,0 +1,3 @@
+// Library entry of @quydoan/ai-cli-toolkit (see index.d.ts for the types)
+
+export * from './app/api.js';
@@ -0,0 +1,100 @@
+// The library entry: planning functions that write nothing, writeFiles, and the type declarations
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as api from '../index.js';
+
+const { convert, renderCommand, configureMcp, writeFiles } = api;
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TOKENS = { GITHUB_PERSONAL_ACCESS_TOKEN: 'token' };
+
+let tmpDir;
+let source;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-api-test-'));
+  source = path.join(tmpDir, 'commands');
+  fs.mkdirSync(path.join(source, 'git'), { recursive: true });
+  fs.writeFileSync(path.join(source, 'git', 'commit.yaml'), 'name: commit\ndescription: Commit changes\nprompt: Commit the staged changes\n');
+  fs.writeFileSync(path.join(source, 'broken.yaml'), 'name: broken\n');
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Every file below dir, relative to it
+function listFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)))
+    .sort();
+}
+
+test('convert plans files per target, reports invalid commands and writes nothing', async () => {
+  const before = listFiles(tmpDir);
+  const { files, errors } = await convert({ source, targets: ['claude', 'gemini'] });
+
+  assert.deepEqual(files.map(({ path: filepath, target, source: from }) => [filepath, target, from]), [
+    [path.join('.claude', 'commands', 'git', 'commit.md'), 'claude', 'git/commit.yaml'],
+    [path.join('.gemini', 'commands', 'git', 'commit.toml'), 'gemini', 'git/commit.yaml']
+  ]);
+  assert.equal(files[0].content, '---\ndescription: Commit changes\n---\n\nCommit the staged changes');
+  assert.deepEqual(errors.map(error => error.file), ['broken.yaml']);
+  assert.deepEqual(listFiles(tmpDir), before);
+});
+
+test('convert rejects unknown targets', async () => {
+  await assert.rejects(convert({ source, targets: ['nope'] }), /Unknown target "nope"\. Available targets: .*claude/);
+});
+
+test('renderCommand renders one command object and throws when it does not validate', () => {
+  assert.deepEqual(renderCommand({ name: 'hello', prompt: 'Say hello' }, 'claude', { dir: 'out' }), {
+    path: path.join('out', 'hello.md'),
+    content: 'Say hello',
+    target: 'claude'
+  });
+  assert.throws(() => renderCommand({ name: 'hello' }), /^Error: Invalid command: .*prompt/);
+});
+
+test('configureMcp plans client configs without writing them', () => {
+  const cwd = path.join(tmpDir, 'project');
+  const result = configureMcp({
+    servers: ['github'],
+    clients: ['claudeCode'],
+    tokens: TOKENS,
+    scope: 'project',
+    cwd,
+    homedir: path.join(tmpDir, 'home')
+  });
+
+  assert.deepEqual(result.files.map(file => [file.path, file.client]), [[path.join(cwd, '.mcp.json'), 'claudeCode']]);
+  assert.deepEqual(JSON.parse(result.files[0].content).mcpServers.github.env, TOKENS);
+  assert.deepEqual(result.clients.map(({ client, added, skipped }) => ({ client, added, skipped })), [
+    { client: 'claudeCode', added: ['github'], skipped: [] }
+  ]);
+  assert.deepEqual(result.clients[0].changes.map(change => [change.server, change.status, change.keep]), [['github', 'new', false]]);
+  assert.equal(fs.existsSync(cwd), false);
+
+  assert.throws(() => configureMcp({ servers: ['github'], clients: ['claudeCode'] }), /Missing tokens for github: GITHUB_PERSONAL_ACCESS_TOKEN/);
+  assert.throws(() => configureMcp({ servers: ['nope'], clients: ['claudeCode'] }), /Unknown MCP server "nope"/);
+});
+
+test('writeFiles writes planned files below cwd, creating directories', async () => {
+  const cwd = path.join(tmpDir, 'written');
+  const { files } = await convert({ source, targets: ['claude'] });
+  const written = writeFiles(files, { cwd });
+
+  assert.deepEqual(written, [path.join(cwd, '.claude', 'commands', 'git', 'commit.md')]);
+  assert.equal(fs.readFileSync(written[0], 'utf8'), files[0].content);
+});
+
+test('index.d.ts declares every export of the library entry', () => {
+  const declarations = fs.readFileSync(path.join(ROOT, 'index.d.ts'), 'utf8');
+  const declared = [...declarations.matchAll(/^export function (\w+)/gm)].map(match => match[1]).sort();
+  assert.deepEqual(declared, Object.keys(api).sort());
+});
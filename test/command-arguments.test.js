@@ -0,0 +1,70 @@
+// Named arguments rendered in each target's own syntax and read back by import
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCommand } from '../index.js';
+import { parseToml } from '../app/toml.js';
+import {
+  buildArgumentHint,
+  restoreClaudeArguments,
+  restoreCopilotArguments,
+  restoreGeminiArguments
+} from '../app/command-arguments.js';
+
+const COMMAND = {
+  name: 'spec',
+  description: 'Write a spec',
+  prompt: 'Spec for {{feature}} with {{ context }}.\n',
+  arguments: [{ name: 'feature', description: 'Feature name' }, { name: 'context', default: 'none' }]
+};
+
+const PARSED_ARGUMENTS = '\n\nParse the arguments above as positional values in this order:\n' +
+  '1. <feature> - Feature name\n2. <context> (default: none)\n\nSpec for <feature> with <context>.\n';
+
+// Prompt of a rendered Markdown file, below its frontmatter
+function body(targetName) {
+  return renderCommand(COMMAND, targetName).content.replace(/^---\n[\s\S]*?\n---\n\n/, '');
+}
+
+test('Claude Code gets positional $1, $2 and an argument hint', () => {
+  assert.match(renderCommand(COMMAND, 'claude').content, /^argument-hint: '\[feature\] \[context\]'$/m);
+  assert.equal(body('claude'), 'Spec for $1 with $2.\n\nIf an argument is not provided, use its default:\n- $2 (context): none\n');
+});
+
+test('Copilot gets ${input:name} variables with the description as placeholder', () => {
+  assert.equal(
+    body('copilot'),
+    'Spec for ${input:feature:Feature name} with ${input:context}.\n\nIf an argument is not provided, use its default:\n- context: none\n'
+  );
+});
+
+test('Codex gets uppercase named placeholders', () => {
+  assert.match(renderCommand(COMMAND, 'codex').content, /^argument-hint: FEATURE=<feature> CONTEXT=<context>$/m);
+  assert.equal(body('codex'), 'Spec for $FEATURE with $CONTEXT.\n\nIf an argument is not provided, use its default:\n- $CONTEXT: none\n');
+});
+
+test('targets with only raw argument text are asked to parse it', () => {
+  assert.equal(parseToml(renderCommand(COMMAND, 'gemini').content).prompt, `Arguments: {{args}}${PARSED_ARGUMENTS}`);
+  assert.equal(body('cursor'), `Arguments: the text provided after the command${PARSED_ARGUMENTS}`);
+  assert.equal(body('windsurf'), `Arguments: the text provided with the workflow${PARSED_ARGUMENTS}`);
+  assert.equal(body('continue'), `Arguments: {{{ input }}}${PARSED_ARGUMENTS}`);
+});
+
+test('a string argument hint is passed through and the prompt is left alone', () => {
+  const legacy = { name: 'review', prompt: 'Review $ARGUMENTS\n', arguments: '[file]' };
+  assert.equal(buildArgumentHint(legacy), '[file]');
+  assert.match(renderCommand(legacy, 'claude').content, /^argument-hint: '\[file\]'\n[\s\S]*\nReview \$ARGUMENTS\n$/m);
+});
+
+test('import reads every rendering back into the declared arguments', () => {
+  const prompt = 'Spec for {{feature}} with {{context}}.\n';
+  const declared = [{ name: 'feature', description: 'Feature name' }, { name: 'context', default: 'none' }];
+
+  // The Claude hint only carries names, so descriptions are lost there
+  assert.deepEqual(restoreClaudeArguments(body('claude'), '[feature] [context]'), {
+    prompt,
+    arguments: [{ name: 'feature' }, { name: 'context', default: 'none' }]
+  });
+  assert.deepEqual(restoreCopilotArguments(body('copilot')), { prompt, arguments: declared });
+  assert.deepEqual(restoreGeminiArguments(parseToml(renderCommand(COMMAND, 'gemini').content).prompt), { prompt, arguments: declared });
+});
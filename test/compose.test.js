@@ -0,0 +1,112 @@
+// extends and includes: merging, indentation, dependencies and cycle detection
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandComposer, CompositionError, isPartialPath } from '../app/compose-commands.js';
+import { loadCommands } from '../index.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-compose-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A source directory with the given files and a composer for it
+function source(name, files) {
+  const dir = path.join(tmpDir, name);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return { dir, composer: new CommandComposer(dir) };
+}
+
+test('extends merges the chain of bases under the command', () => {
+  const { composer } = source('extends', {
+    'partials/root.yaml': 'model: opus\ndescription: Root\ntools: [read]\n',
+    'partials/base.yaml': 'extends: partials/root.yaml\ndescription: Base\nprompt: Base prompt\n'
+  });
+
+  const command = composer.compose({ extends: 'partials/base.yaml', name: 'review', description: 'Own' }, 'review.yaml');
+  assert.deepEqual(command, {
+    model: 'opus',
+    description: 'Own',
+    tools: ['read'],
+    prompt: 'Base prompt',
+    name: 'review',
+    _dependencies: ['partials/base.yaml', 'partials/root.yaml']
+  });
+});
+
+test('includes are expanded recursively and indented like their line', () => {
+  const { composer } = source('includes', {
+    'partials/steps.md': '1. Read\n{% include "partials/more.md" %}\n',
+    'partials/more.md': '2. Write\n'
+  });
+
+  const command = composer.compose({
+    name: 'plan',
+    prompt: 'Steps:\n  {% include "partials/steps.md" %}\nDone with {% include \'partials/more.md\' %}.\n'
+  }, 'plan.yaml');
+  assert.equal(command.prompt, 'Steps:\n  1. Read\n  2. Write\nDone with 2. Write.\n');
+  assert.deepEqual(command._dependencies.sort(), ['partials/more.md', 'partials/steps.md']);
+});
+
+test('extends and include cycles are reported with the chain', () => {
+  const { composer } = source('cycles', {
+    'partials/a.yaml': 'extends: partials/b.yaml\n',
+    'partials/b.yaml': 'extends: partials/a.yaml\n',
+    'partials/a.md': '{% include "partials/b.md" %}',
+    'partials/b.md': '{% include "partials/a.md" %}',
+    'partials/self.md': 'Me and {% include "partials/self.md" %}'
+  });
+
+  assert.throws(
+    () => composer.compose({ extends: 'partials/a.yaml', name: 'x' }, 'x.yaml'),
+    { name: 'CompositionError', message: 'Extends cycle: x.yaml -> partials/a.yaml -> partials/b.yaml -> partials/a.yaml' }
+  );
+  assert.throws(
+    () => composer.compose({ name: 'x', prompt: '{% include "partials/a.md" %}' }, 'x.yaml'),
+    { message: 'Include cycle: x.yaml -> partials/a.md -> partials/b.md -> partials/a.md' }
+  );
+  assert.throws(
+    () => composer.compose({ name: 'x', prompt: '{% include "partials/self.md" %}' }, 'x.yaml'),
+    { message: 'Include cycle: x.yaml -> partials/self.md -> partials/self.md' }
+  );
+  // A command extending itself
+  assert.throws(() => composer.compose({ extends: 'x.yaml', name: 'x' }, 'x.yaml'), /Extends cycle: x\.yaml -> x\.yaml/);
+});
+
+test('references must stay inside the source directory and exist', () => {
+  const { composer } = source('references', { 'partials/list.yaml': '- not a mapping\n' });
+
+  assert.throws(() => composer.compose({ extends: '../outside.yaml' }, 'x.yaml'), /x\.yaml: "\.\.\/outside\.yaml" must be a path inside the source directory/);
+  assert.throws(() => composer.compose({ prompt: '{% include "/etc/passwd" %}' }, 'x.yaml'), /must be a path inside the source directory/);
+  assert.throws(() => composer.compose({ prompt: '{% include "partials/missing.md" %}' }, 'x.yaml'), /x\.yaml: "partials\/missing\.md" not found/);
+  assert.throws(() => composer.compose({ extends: 'partials/list.yaml' }, 'x.yaml'), /partials\/list\.yaml: base command must contain a mapping/);
+  assert.throws(() => composer.compose({ extends: 42 }, 'x.yaml'), error => error instanceof CompositionError && /"extends" must be a string/.test(error.message));
+});
+
+test('partials are never loaded as commands and cycles become load errors', () => {
+  assert.equal(isPartialPath(path.join('team', 'partials', 'header.yaml')), true);
+  assert.equal(isPartialPath('partials.yaml'), false);
+
+  const { dir } = source('load', {
+    'partials/base.yaml': 'prompt: From the base\n',
+    'partials/loop.yaml': 'extends: partials/loop.yaml\n',
+    'ok.yaml': 'extends: partials/base.yaml\nname: ok\n',
+    'loop.yaml': 'extends: partials/loop.yaml\nname: loop\nprompt: Loop\n'
+  });
+  const { commands, errors } = loadCommands(dir);
+  assert.deepEqual(commands.map(command => [command.name, command.prompt]), [['ok', 'From the base']]);
+  assert.deepEqual(errors.map(error => [error.file, error.message]), [
+    ['loop.yaml', 'Extends cycle: loop.yaml -> partials/loop.yaml -> partials/loop.yaml']
+  ]);
+});
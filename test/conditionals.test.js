@@ -0,0 +1,66 @@
+// <!-- if:target --> sections in prompts
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCommand, validateCommand } from '../index.js';
+import { renderConditionals, ConditionalError } from '../app/conditionals.js';
+
+const KNOWN = ['claude', 'copilot', 'gemini'];
+
+const PROMPT = [
+  'Review the diff.',
+  '<!-- if:claude -->',
+  'Use the Task tool.',
+  '<!-- else -->',
+  'Work step by step.',
+  '<!-- endif -->',
+  '<!-- if:!gemini -->Reply in Markdown.<!-- endif -->',
+  ''
+].join('\n');
+
+test('sections are kept for their targets and directive lines disappear', () => {
+  assert.equal(renderConditionals(PROMPT, 'claude', KNOWN), 'Review the diff.\nUse the Task tool.\nReply in Markdown.\n');
+  assert.equal(renderConditionals(PROMPT, 'copilot', KNOWN), 'Review the diff.\nWork step by step.\nReply in Markdown.\n');
+  assert.equal(renderConditionals(PROMPT, 'gemini', KNOWN), 'Review the diff.\nWork step by step.\n\n');
+});
+
+test('target lists and nested blocks', () => {
+  const text = [
+    '<!-- if:copilot,gemini -->',
+    'A',
+    '<!-- if:gemini -->',
+    'B',
+    '<!-- else -->',
+    'C',
+    '<!-- endif -->',
+    '<!-- endif -->',
+    'D'
+  ].join('\n');
+
+  assert.equal(renderConditionals(text, 'claude', KNOWN), 'D');
+  assert.equal(renderConditionals(text, 'copilot', KNOWN), 'A\nC\nD');
+  assert.equal(renderConditionals(text, 'gemini', KNOWN), 'A\nB\nD');
+});
+
+test('unbalanced blocks and bad target lists are errors', () => {
+  const fails = (text, message) => assert.throws(
+    () => renderConditionals(text, 'claude', KNOWN),
+    error => error instanceof ConditionalError && error.message === message
+  );
+
+  fails('<!-- if:claude -->\nA\n', '<!-- if:claude --> is never closed with <!-- endif -->');
+  fails('A\n<!-- endif -->\n', '<!-- endif --> has no matching <!-- if:... -->');
+  fails('<!-- if:claude -->\n<!-- else -->\n<!-- else -->\n<!-- endif -->', '<!-- else --> has no matching <!-- if:... -->');
+  fails('<!-- if:claude,!gemini -->x<!-- endif -->', '<!-- if:claude,!gemini --> cannot mix included and excluded targets');
+  fails('<!-- if: -->x<!-- endif -->', '<!-- if: --> has no target names');
+  fails('<!-- if:claud -->x<!-- endif -->', '<!-- if:claud --> names unknown target "claud" (known: claude, copilot, gemini)');
+});
+
+test('conditionals are applied when rendering and reported by validation', () => {
+  const command = { name: 'x', prompt: PROMPT };
+  assert.match(renderCommand(command, 'claude').content, /Use the Task tool\./);
+  assert.doesNotMatch(renderCommand(command, 'claude').content, /step by step/);
+
+  const diagnostics = validateCommand({ name: 'x', prompt: '<!-- if:claud -->x<!-- endif -->' });
+  assert.ok(diagnostics.some(diagnostic => diagnostic.severity === 'error' && /names unknown target "claud"/.test(diagnostic.message)));
+});
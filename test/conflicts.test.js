@@ -0,0 +1,97 @@
+// Conflict policies for files that exist with different content
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConflictResolver, ConflictError, CONFLICT_POLICIES, backupFile } from '../app/conflicts.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-conflicts-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A conflicting file on disk and the resolver's logged lines
+function conflict(name, options = {}) {
+  const filepath = path.join(tmpDir, name);
+  fs.writeFileSync(filepath, 'existing\n');
+  const logged = [];
+  const resolver = new ConflictResolver({ interactive: false, log: line => logged.push(line), ...options });
+  return {
+    resolver,
+    logged,
+    conflict: { label: 'Claude Code', displayPath: name, filepath, content: 'generated\n', reason: 'was modified since it was generated' }
+  };
+}
+
+test('overwrite and skip decide without asking', async () => {
+  for (const policy of ['overwrite', 'skip']) {
+    const { resolver, conflict: file } = conflict(`${policy}.md`, { policy });
+    assert.equal(await resolver.resolve(file), policy);
+  }
+});
+
+test('fail stops with a ConflictError naming the file', async () => {
+  const { resolver, conflict: file } = conflict('fail.md', { policy: 'fail' });
+  await assert.rejects(resolver.resolve(file), error => {
+    assert.ok(error instanceof ConflictError);
+    assert.equal(error.message, 'fail.md was modified since it was generated');
+    return true;
+  });
+});
+
+test('diff prints a unified diff and keeps the file', async () => {
+  const { resolver, logged, conflict: file } = conflict('diff.md', { policy: 'diff' });
+  assert.equal(await resolver.resolve(file), 'skip');
+  // Strip colors
+  const diff = logged.join('\n').replace(/\u001b\[\d+m/g, '');
+  assert.match(diff, /--- diff\.md \(existing\)\n\+\+\+ diff\.md \(generated\)/);
+  assert.match(diff, /^-existing$/m);
+  assert.match(diff, /^\+generated$/m);
+});
+
+test('backup saves a timestamped copy before overwriting', async () => {
+  const { resolver, logged, conflict: file } = conflict('backup.md', { policy: 'backup' });
+  assert.equal(await resolver.resolve(file), 'overwrite');
+
+  const [backup] = fs.readdirSync(tmpDir).filter(name => name.startsWith('backup.md.'));
+  assert.match(backup, /^backup\.md\.\d{8}T\d{6}Z\.bak$/);
+  assert.equal(fs.readFileSync(path.join(tmpDir, backup), 'utf8'), 'existing\n');
+  assert.match(logged[0], /Backed up backup\.md to .*backup\.md\.\d{8}T\d{6}Z\.bak/);
+
+  // Backups within the same second don't replace each other
+  assert.notEqual(backupFile(file.filepath), backupFile(file.filepath));
+});
+
+test('prompt refuses without a TTY and names the policies to use instead', async () => {
+  const { resolver, conflict: file } = conflict('prompt.md');
+  await assert.rejects(resolver.resolve(file), /prompt\.md was modified since it was generated, and .*Use --on-conflict=overwrite\|skip\|fail\|diff\|backup/);
+});
+
+test('"all" answers are remembered for the rest of the run', async () => {
+  const answers = ['diff', 'skip-all'];
+  const asked = [];
+  const prompt = async ([question]) => {
+    asked.push(question.message);
+    return { action: answers.shift() };
+  };
+  const { resolver, logged, conflict: file } = conflict('ask.md', { interactive: true, prompt });
+
+  assert.equal(await resolver.resolve(file), 'skip');
+  assert.equal(await resolver.resolve(file), 'skip');
+  // Asked again after showing the diff, then never again
+  assert.equal(asked.length, 2);
+  assert.match(asked[0], /Claude Code file ask\.md was modified since it was generated/);
+  assert.ok(logged.length > 0);
+});
+
+test('unknown policies are rejected', () => {
+  assert.deepEqual(CONFLICT_POLICIES, ['prompt', 'overwrite', 'skip', 'fail', 'diff', 'backup']);
+  assert.throws(() => new ConflictResolver({ policy: 'merge' }), /Unknown conflict policy "merge"\. Use one of: prompt, overwrite/);
+});
@@ -0,0 +1,82 @@
+// Agents and context files converted from the same YAML sources as commands
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { convert, validateCommand } from '../index.js';
+import { findDuplicateNames } from '../app/command-schema.js';
+
+let source;
+
+before(() => {
+  source = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-kinds-test-'));
+  fs.mkdirSync(path.join(source, 'agents'));
+  fs.writeFileSync(
+    path.join(source, 'agents', 'reviewer.yaml'),
+    'kind: agent\nname: reviewer\ndescription: Reviews code\ntools: [read, search]\nmodel: sonnet\nprompt: You review code.\n'
+  );
+  fs.writeFileSync(path.join(source, 'project.yaml'), 'kind: context\nname: project\nprompt: Use pnpm.\n');
+});
+
+after(() => {
+  fs.rmSync(source, { recursive: true, force: true });
+});
+
+// Generated files by target and path
+async function generate(options = {}) {
+  const { files, errors } = await convert({ source, targets: ['claude', 'copilot', 'gemini', 'cursor', 'codex'], ...options });
+  assert.deepEqual(errors, []);
+  return Object.fromEntries(files.map(file => [`${file.target} ${file.path.split(path.sep).join('/')}`, file.content]));
+}
+
+test('agents become Claude subagents and Copilot chat modes, flat and with mapped tools', async () => {
+  const files = await generate();
+  assert.equal(
+    files['claude .claude/agents/reviewer.md'],
+    '---\nname: reviewer\ndescription: Reviews code\ntools: Read, Grep\nmodel: sonnet\n---\n\nYou review code.'
+  );
+  assert.equal(
+    files['copilot .github/chatmodes/reviewer.chatmode.md'],
+    '---\ndescription: Reviews code\ntools: [codebase, search]\nmodel: sonnet\n---\n\nYou review code.'
+  );
+});
+
+test('the context document becomes each platform\'s instructions file', async () => {
+  const files = await generate();
+  assert.equal(files['claude CLAUDE.md'], 'Use pnpm.');
+  assert.equal(files['copilot .github/copilot-instructions.md'], 'Use pnpm.');
+  assert.equal(files['gemini GEMINI.md'], 'Use pnpm.');
+  assert.equal(files['codex AGENTS.md'], 'Use pnpm.');
+});
+
+test('targets without a format for a kind skip it', async () => {
+  const files = await generate();
+  assert.deepEqual(Object.keys(files).filter(key => key.startsWith('cursor ') || key.startsWith('gemini ')), ['gemini GEMINI.md']);
+});
+
+test('<target>.<kind> directories move agents and context files', async () => {
+  const files = await generate({ targetDirs: { 'claude.agent': 'out/agents', 'claude.context': 'docs', claude: 'ignored-for-kinds' } });
+  assert.ok('claude out/agents/reviewer.md' in files);
+  assert.ok('claude docs/CLAUDE.md' in files);
+});
+
+test('kinds are validated and context documents must be unique', () => {
+  const bad = validateCommand({ kind: 'skill', name: 'x', prompt: 'x' });
+  assert.ok(bad.some(diagnostic => diagnostic.severity === 'error' && /kind/.test(diagnostic.message)));
+
+  const ignored = validateCommand({ kind: 'agent', name: 'x', prompt: 'x', arguments: ['a'] });
+  assert.deepEqual(ignored.map(diagnostic => diagnostic.message), ['Field "arguments" is ignored for kind "agent"']);
+
+  const duplicates = findDuplicateNames([
+    { kind: 'context', name: 'a', _filePath: 'a.yaml', _subfolder: '', _content: 'name: a\n' },
+    { kind: 'context', name: 'b', _filePath: 'team/b.yaml', _subfolder: 'team', _content: 'name: b\n' },
+    { kind: 'agent', name: 'r', _filePath: 'r.yaml', _subfolder: '', _content: 'name: r\n' },
+    { kind: 'agent', name: 'r', _filePath: 'team/r.yaml', _subfolder: 'team', _content: 'name: r\n' }
+  ]);
+  assert.deepEqual(duplicates.map(({ file, severity, message }) => [file, severity, message]), [
+    ['team/b.yaml', 'error', 'Context document is already defined by a.yaml'],
+    ['team/r.yaml', 'error', 'Agent name "r" is already used by r.yaml']
+  ]);
+});
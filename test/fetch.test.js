@@ -0,0 +1,199 @@
+// Downloads and the built-in commands cache against a local HTTP server
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { fetchToFile, fetchText, parseChecksum, FetchError } from '../app/fetch.js';
+import { getCachedCommands, updateBuiltinCommands } from '../app/builtin-commands.js';
+
+const FAST = { retryDelay: 1, timeout: 2000 };
+
+let server;
+let baseUrl;
+let tmpDir;
+let home;
+let archive;
+const routes = new Map();
+const hits = new Map();
+
+// Serve a route; the handler gets (req, res, hit) with hit counting from 1
+function route(pathname, handler) {
+  routes.set(pathname, handler);
+  hits.set(pathname, 0);
+}
+
+function redirect(location, status = 302) {
+  return (req, res) => {
+    res.writeHead(status, { Location: location });
+    res.end();
+  };
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-fetch-test-'));
+  home = process.env.HOME;
+  // The built-in commands cache lives below HOME
+  process.env.HOME = path.join(tmpDir, 'home');
+
+  const staging = path.join(tmpDir, 'release');
+  fs.mkdirSync(path.join(staging, 'commands'), { recursive: true });
+  fs.writeFileSync(path.join(staging, 'commands', 'hello.yaml'), 'name: hello\nprompt: Say hello\n');
+  execFileSync('tar', ['-czf', path.join(tmpDir, 'commands.tar.gz'), '-C', staging, 'commands']);
+  archive = fs.readFileSync(path.join(tmpDir, 'commands.tar.gz'));
+
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = routes.get(pathname);
+    if (!handler) {
+      res.writeHead(404);
+      res.end('not found');
+      return;
+    }
+    hits.set(pathname, hits.get(pathname) + 1);
+    handler(req, res, hits.get(pathname));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  process.env.HOME = home;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('fetchToFile follows several redirects and reports the chain', async () => {
+  route('/start', redirect('/middle', 301));
+  route('/middle', redirect(`${baseUrl}/end?signed=1`, 307));
+  route('/end', (req, res) => res.end('payload'));
+
+  const output = path.join(tmpDir, 'redirected.txt');
+  const result = await fetchToFile(`${baseUrl}/start`, output, FAST);
+
+  assert.equal(fs.readFileSync(output, 'utf8'), 'payload');
+  assert.equal(result.url, `${baseUrl}/end?signed=1`);
+  assert.deepEqual(result.redirects, [`${baseUrl}/start`, `${baseUrl}/middle`, `${baseUrl}/end?signed=1`]);
+  assert.equal(result.sha256, sha256('payload'));
+  assert.equal(result.bytes, 7);
+});
+
+test('redirect loops stop after maxRedirects', async () => {
+  route('/loop', redirect('/loop'));
+
+  await assert.rejects(fetchText(`${baseUrl}/loop`, { ...FAST, maxRedirects: 3 }), /Too many redirects \(more than 3\)/);
+  assert.equal(hits.get('/loop'), 4);
+});
+
+test('non-200 responses fail without retrying unless they are temporary', async () => {
+  route('/gone', (req, res) => {
+    res.writeHead(410);
+    res.end();
+  });
+
+  await assert.rejects(fetchText(`${baseUrl}/gone`, FAST), (error) => {
+    assert.ok(error instanceof FetchError);
+    assert.equal(error.status, 410);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+  assert.equal(hits.get('/gone'), 1);
+});
+
+test('5xx responses are retried until one succeeds', async () => {
+  route('/flaky', (req, res, hit) => {
+    res.writeHead(hit < 3 ? 503 : 200);
+    res.end(hit < 3 ? 'busy' : 'ok');
+  });
+
+  const { text } = await fetchText(`${baseUrl}/flaky`, { ...FAST, retries: 3 });
+  assert.equal(text, 'ok');
+  assert.equal(hits.get('/flaky'), 3);
+});
+
+test('retries give up after the configured number', async () => {
+  route('/down', (req, res) => {
+    res.writeHead(502);
+    res.end();
+  });
+
+  await assert.rejects(fetchText(`${baseUrl}/down`, { ...FAST, retries: 2 }), /HTTP 502/);
+  assert.equal(hits.get('/down'), 3);
+});
+
+test('a server that stops answering times out', async () => {
+  // Never answers; the connection is closed when the server shuts down
+  route('/hang', () => {});
+
+  await assert.rejects(fetchText(`${baseUrl}/hang`, { ...FAST, timeout: 100, retries: 1 }), /timed out after 100ms/);
+  assert.equal(hits.get('/hang'), 2);
+});
+
+test('a checksum mismatch fails and removes the file', async () => {
+  route('/archive', (req, res) => res.end('tampered'));
+
+  const output = path.join(tmpDir, 'archive.tar.gz');
+  await assert.rejects(
+    fetchToFile(`${baseUrl}/archive`, output, { ...FAST, sha256: sha256('original') }),
+    /Checksum mismatch .*expected sha256/
+  );
+  assert.equal(fs.existsSync(output), false);
+  assert.equal(hits.get('/archive'), 1);
+});
+
+test('local file errors are not retried', async () => {
+  route('/file', (req, res) => res.end('content'));
+
+  await assert.rejects(
+    fetchToFile(`${baseUrl}/file`, path.join(tmpDir, 'missing-dir', 'file.txt'), { ...FAST, retries: 3 }),
+    { code: 'ENOENT' }
+  );
+  assert.equal(hits.get('/file'), 1);
+});
+
+test('parseChecksum reads sha256sum output and bare digests', () => {
+  const digest = sha256('x');
+  assert.equal(parseChecksum(`${digest}  commands.tar.gz\n`), digest);
+  assert.equal(parseChecksum(digest.toUpperCase()), digest);
+  assert.throws(() => parseChecksum('no digest here'), /does not contain a SHA-256 digest/);
+});
+
+test('updateBuiltinCommands takes the release tag from the redirect chain', async () => {
+  // Like GitHub: latest -> /releases/download/<tag>/ -> signed asset URL
+  route('/releases/latest/download/commands.tar.gz', redirect('/releases/download/v9.9.9/commands.tar.gz'));
+  route('/releases/download/v9.9.9/commands.tar.gz', redirect('/assets/1?signature=abc'));
+  route('/assets/1', (req, res) => res.end(archive));
+  route('/releases/latest/download/commands.tar.gz.sha256', (req, res) => res.end(`${sha256(archive)}  commands.tar.gz\n`));
+
+  const url = `${baseUrl}/releases/latest/download/commands.tar.gz`;
+  const result = await updateBuiltinCommands({ url, ...FAST });
+  assert.equal(result.version, 'v9.9.9');
+  assert.equal(result.changed, true);
+  assert.ok(fs.existsSync(path.join(result.dir, 'hello.yaml')));
+
+  const cached = getCachedCommands();
+  assert.equal(cached.version, 'v9.9.9');
+  assert.equal(cached.url, url);
+  assert.equal(cached.sha256, sha256(archive));
+
+  const again = await updateBuiltinCommands({ url, ...FAST });
+  assert.equal(again.changed, false);
+});
+
+test('updateBuiltinCommands rejects an archive that does not match its checksum', async () => {
+  route('/mirror/commands.tar.gz', (req, res) => res.end(archive));
+  route('/mirror/commands.tar.gz.sha256', (req, res) => res.end(sha256('something else')));
+
+  await assert.rejects(updateBuiltinCommands({ url: `${baseUrl}/mirror/commands.tar.gz`, ...FAST }), /Checksum mismatch/);
+  // The previous release stays current
+  assert.equal(getCachedCommands().version, 'v9.9.9');
+});
@@ -0,0 +1,118 @@
+// Stub MCP server over HTTP
+//
+//   POST /mcp          streamable HTTP answering with JSON; needs `Authorization: Bearer secret`
+//   POST /mcp-stream   streamable HTTP answering with an SSE stream
+//   GET  /sse          HTTP+SSE event stream; messages are POSTed to /messages?session=<id>
+//   *    /hang         never answers
+
+import http from 'http';
+import { handleMessage } from './protocol.js';
+
+const SESSION_ID = 'stub-session';
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${data}\n\n`);
+}
+
+// Streamable HTTP transport
+async function handleStreamable(req, res, { stream }) {
+  if (req.method === 'DELETE') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.headers.authorization !== 'Bearer secret') {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('unauthorized');
+    return;
+  }
+
+  const message = await readJson(req);
+  if (message.method !== 'initialize' && req.headers['mcp-session-id'] !== SESSION_ID) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('missing session');
+    return;
+  }
+
+  const reply = handleMessage(message);
+  if (!reply) {
+    res.writeHead(202);
+    res.end();
+    return;
+  }
+
+  const headers = message.method === 'initialize' ? { 'Mcp-Session-Id': SESSION_ID } : {};
+  if (stream) {
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+    sendEvent(res, 'message', JSON.stringify(reply));
+    res.end();
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  }
+}
+
+// Start the stub on a free port; resolves with { url, close }
+export async function startStubServer() {
+  const streams = new Map();
+  let nextSession = 1;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === '/mcp' || pathname === '/mcp-stream') {
+        await handleStreamable(req, res, { stream: pathname === '/mcp-stream' });
+      } else if (pathname === '/sse' && req.method === 'GET') {
+        const session = String(nextSession++);
+        streams.set(session, res);
+        res.on('close', () => streams.delete(session));
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        sendEvent(res, 'endpoint', `/messages?session=${session}`);
+      } else if (pathname === '/messages' && req.method === 'POST') {
+        const stream = streams.get(searchParams.get('session'));
+        if (!stream) {
+          res.writeHead(404);
+          res.end('unknown session');
+          return;
+        }
+        const reply = handleMessage(await readJson(req));
+        res.writeHead(202);
+        res.end();
+        if (reply) {
+          sendEvent(stream, 'message', JSON.stringify(reply));
+        }
+      } else if (pathname !== '/hang') {
+        res.writeHead(404);
+        res.end();
+      }
+    } catch (error) {
+      res.writeHead(500);
+      res.end(error.message);
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,36 @@
+// Minimal MCP server logic shared by the stub transports: answers initialize,
+// tools/list (in two pages) and ping; notifications get no reply
+
+export const TOOLS = [
+  { name: 'echo', description: 'Echo the input', inputSchema: { type: 'object' } },
+  { name: 'add', description: 'Add two numbers', inputSchema: { type: 'object' } },
+  { name: 'time', description: 'Current time', inputSchema: { type: 'object' } }
+];
+
+// Reply to one JSON-RPC message, or null for notifications
+export function handleMessage(message, { failInitialize = false } = {}) {
+  if (message.id === undefined) {
+    return null;
+  }
+
+  const reply = result => ({ jsonrpc: '2.0', id: message.id, result });
+  switch (message.method) {
+    case 'initialize':
+      if (failInitialize) {
+        return { jsonrpc: '2.0', id: message.id, error: { code: -32602, message: 'Unsupported protocol version' } };
+      }
+      return reply({
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'stub', version: '0.1.0' }
+      });
+    case 'tools/list':
+      return message.params && message.params.cursor === 'page-2'
+        ? reply({ tools: TOOLS.slice(2) })
+        : reply({ tools: TOOLS.slice(0, 2), nextCursor: 'page-2' });
+    case 'ping':
+      return reply({});
+    default:
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+  }
+}
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Stub MCP server over stdio (newline-delimited JSON-RPC)
+//
+//   node stdio-server.js                     needs STUB_TOKEN, like a server needing an API key
+//   node stdio-server.js --fail-initialize   rejects initialize
+
+import readline from 'readline';
+import { handleMessage } from './protocol.js';
+
+if (!process.env.STUB_TOKEN) {
+  console.error('STUB_TOKEN is not set');
+  process.exit(1);
+}
+
+const options = { failInitialize: process.argv.includes('--fail-initialize') };
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+  const reply = handleMessage(JSON.parse(line), options);
+  if (reply) {
+    process.stdout.write(`${JSON.stringify(reply)}\n`);
+  }
+});
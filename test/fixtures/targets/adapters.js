@@ -0,0 +1,13 @@
+// Third-party target adapters loaded with --adapter / loadTargetModule
+
+export const targets = [
+  {
+    name: 'plain',
+    label: 'Plain text',
+    outputDir: './.plain',
+    fileName: (command) => `${[command._subfolder, command.name].filter(Boolean).join('-')}.txt`,
+    frontmatter: (command) => ({ title: command.description }),
+    serialize: (frontmatter, prompt) => `${frontmatter.title ? `# ${frontmatter.title}\n\n` : ''}${prompt}`,
+    placeholders: { arguments: '<input>' }
+  }
+];
@@ -0,0 +1,93 @@
+// `ait import` run through the CLI against generated and hand-written platform files
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-import-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Run the CLI in a fresh project directory holding the given files
+function project(name, files) {
+  const dir = path.join(tmpDir, name);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return (...args) => {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+    return { ...result, read: file => fs.readFileSync(path.join(dir, file), 'utf8'), exists: file => fs.existsSync(path.join(dir, file)) };
+  };
+}
+
+test('generated Copilot prompts go back to the subfolder they came from', () => {
+  const run = project('restore', {
+    'commands/kiro/spec.yaml': 'name: spec\nprompt: Write a spec\n',
+    'commands/create_pr.yaml': 'name: create_pr\nprompt: Open a PR\n'
+  });
+  assert.equal(run('convert', '--targets', 'copilot').status, 0);
+  fs.renameSync(path.join(tmpDir, 'restore', 'commands'), path.join(tmpDir, 'restore', 'original'));
+
+  const result = run('import', '--from', 'copilot');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.read('commands/kiro/spec.yaml'), /^name: spec\n/);
+  assert.match(result.read('commands/create_pr.yaml'), /^name: create_pr\n/);
+  assert.equal(result.exists('commands/kiro_spec.yaml'), false);
+});
+
+test('prompts convert did not generate keep underscores unless the prefix folder exists', () => {
+  const run = project('prefixes', {
+    '.github/prompts/team_standup.prompt.md': 'Run the standup\n',
+    '.github/prompts/kiro_spec.prompt.md': 'Write a spec\n',
+    'commands/kiro/.keep': ''
+  });
+
+  const result = run('import', '--from', 'copilot');
+  assert.equal(result.status, 0, result.stderr);
+  assert.ok(result.exists('commands/team_standup.yaml'));
+  assert.ok(result.exists('commands/kiro/spec.yaml'));
+
+  assert.equal(run('import', '--from', 'copilot', '--split-prefixes', '--on-conflict', 'skip').status, 0);
+  assert.ok(result.exists('commands/team/standup.yaml'));
+});
+
+test('skipped files are counted apart from imported ones', () => {
+  const run = project('skipped', {
+    '.claude/commands/hello.md': 'Say hello\n',
+    '.claude/commands/bye.md': 'Say bye\n',
+    'commands/hello.yaml': 'name: hello\nprompt: Something else\n'
+  });
+
+  const result = run('import', '--from', 'claude', '--on-conflict', 'skip');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Processed 2 command\(s\): 1 imported, 0 unchanged, 1 skipped, 0 failed/);
+  assert.equal(result.read('commands/hello.yaml'), 'name: hello\nprompt: Something else\n');
+});
+
+test('files that fail to parse are reported and set exit code 2', () => {
+  const run = project('failed', {
+    '.gemini/commands/good.toml': 'prompt = "Fine"\n',
+    '.gemini/commands/broken.toml': 'prompt = "unterminated\n',
+    '.gemini/commands/empty.toml': 'description = "No prompt"\n'
+  });
+
+  const result = run('import', '--from', 'gemini');
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /Error importing broken\.toml/);
+  assert.match(result.stderr, /Error importing empty\.toml: Missing prompt/);
+  assert.match(result.stdout, /Processed 3 command\(s\): 1 imported, 0 unchanged, 0 skipped, 2 failed/);
+  assert.ok(result.exists('commands/good.yaml'));
+});
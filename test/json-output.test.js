@@ -0,0 +1,118 @@
+// `--json` and `--ndjson` results of `ait convert` and `ait setup`, and their exit codes
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-json-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A project with the given command sources; ait() runs the CLI in it
+function project(name, files) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(path.join(dir, 'commands'), { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, 'commands', file), content);
+  }
+  return {
+    dir,
+    ait: (args, env = {}) => spawnSync(process.execPath, [CLI, ...args], {
+      cwd: dir,
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...process.env, HOME: path.join(tmpDir, 'home'), ...env }
+    })
+  };
+}
+
+const CONVERT = ['convert', '--source', 'commands', '--targets', 'claude'];
+
+test('convert --json prints one document with every result and exits 0', () => {
+  const { ait } = project('json', { 'ok.yaml': 'name: ok\nprompt: Fine\n' });
+  const result = ait([...CONVERT, '--json']);
+
+  assert.equal(result.status, 0, result.stderr);
+  const { summary, results } = JSON.parse(result.stdout);
+  assert.equal(summary.created, 1);
+  assert.equal(summary.errors, 0);
+  assert.deepEqual(results, [
+    { type: 'file', target: 'claude', path: '.claude/commands/ok.md', source: 'ok.yaml', layer: 'commands', action: 'created' }
+  ]);
+});
+
+test('convert exits 2 when some sources fail and reports them as results', () => {
+  const { ait } = project('partial', { 'ok.yaml': 'name: ok\nprompt: Fine\n', 'bad.yaml': 'name: bad\nprompt: [unclosed\n' });
+  const result = ait([...CONVERT, '--json']);
+
+  assert.equal(result.status, 2);
+  const { summary, results } = JSON.parse(result.stdout);
+  assert.deepEqual([summary.created, summary.errors], [1, 1]);
+  assert.deepEqual(results.map(({ type, source, action, line }) => [type, source, action, line]), [
+    ['error', 'bad.yaml', 'error', 3],
+    ['file', 'ok.yaml', 'created', undefined]
+  ]);
+  // Human-readable messages stay on stderr
+  assert.match(result.stderr, /Error in bad\.yaml:3/);
+});
+
+test('convert --ndjson streams one result per line and ends with the summary', () => {
+  const { ait } = project('ndjson', { 'ok.yaml': 'name: ok\nprompt: Fine\n', 'bad.yaml': 'name: bad\nprompt: [unclosed\n' });
+  const result = ait([...CONVERT, '--ndjson']);
+
+  assert.equal(result.status, 2);
+  const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => [line.type, line.action]), [['error', 'error'], ['file', 'created'], ['summary', undefined]]);
+  assert.equal(lines[2].errors, 1);
+});
+
+test('convert exits 1 with the error in the summary when it stops', () => {
+  const { dir, ait } = project('stopped', { 'ok.yaml': 'name: ok\nprompt: Fine\n' });
+  fs.mkdirSync(path.join(dir, '.claude', 'commands'), { recursive: true });
+  fs.writeFileSync(path.join(dir, '.claude', 'commands', 'ok.md'), 'By hand');
+  const result = ait([...CONVERT, '--json', '--on-conflict', 'fail']);
+
+  assert.equal(result.status, 1);
+  const { summary, results } = JSON.parse(result.stdout);
+  assert.match(summary.error, /ok\.md already exists and was not generated by ait/);
+  assert.equal(results[0].action, 'conflict');
+});
+
+test('--json cannot be combined with --ndjson', () => {
+  const { ait } = project('both', {});
+  const result = ait([...CONVERT, '--json', '--ndjson']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--json cannot be combined with --ndjson/);
+});
+
+test('setup --json reports servers and files, and exits 2 when tokens are missing', () => {
+  const { ait } = project('setup', {});
+  const SETUP = ['setup', '--servers', 'github', '--clients', 'claudeCode', '--scope', 'project', '--token-from-env', '--json'];
+
+  const configured = ait(SETUP, { GITHUB_PERSONAL_ACCESS_TOKEN: 'token' });
+  assert.equal(configured.status, 0, configured.stderr);
+  const { summary, results } = JSON.parse(configured.stdout);
+  assert.deepEqual(summary, { dryRun: false, configured: 1, failed: 0 });
+  assert.deepEqual(results.map(({ type, server, action }) => [type, server, action]), [
+    ['server', 'github', 'added'],
+    ['file', undefined, 'created']
+  ]);
+
+  const missing = ait(SETUP, { GITHUB_PERSONAL_ACCESS_TOKEN: '' });
+  assert.equal(missing.status, 2);
+  assert.deepEqual(JSON.parse(missing.stdout).results, [
+    { type: 'server', server: 'github', action: 'error', error: 'Missing tokens: GITHUB_PERSONAL_ACCESS_TOKEN' }
+  ]);
+});
@@ -0,0 +1,123 @@
+// Layered command sources: later layers override earlier ones, `--explain` shows where outputs come from
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+const LAYERS = {
+  base: {
+    'git/commit.yaml': 'name: commit\nprompt: Base commit\n',
+    'review.yaml': 'name: review\nprompt: Base review\n',
+    'agents/reviewer.yaml': 'kind: agent\nname: reviewer\nprompt: Base reviewer\n',
+    'project.yaml': 'kind: context\nname: project\nprompt: Base context\n'
+  },
+  org: {
+    'git/commit.yaml': 'name: commit\nprompt: Org commit\n',
+    // Agents are matched by name in any folder
+    'reviewer.yaml': 'kind: agent\nname: reviewer\nprompt: Org reviewer\n'
+  },
+  local: {
+    'git/commit.yaml': 'name: commit\nprompt: Local commit\n',
+    // Same name in another subfolder is a different command
+    'commit.yaml': 'name: commit\nprompt: Top-level commit\n',
+    'instructions.yaml': 'kind: context\nname: instructions\nprompt: Local context\n'
+  }
+};
+const SOURCES = ['--source', 'base', '--source', 'org', '--source', 'local'];
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-layers-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A project with the three layers; ait() runs the CLI in it
+function project(name) {
+  const dir = path.join(tmpDir, name);
+  for (const [layer, files] of Object.entries(LAYERS)) {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, layer, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, layer, file), content);
+    }
+  }
+  return {
+    dir,
+    read: file => fs.readFileSync(path.join(dir, file), 'utf8'),
+    ait: args => spawnSync(process.execPath, [CLI, 'convert', '--targets', 'claude', ...args], {
+      cwd: dir,
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...process.env, HOME: path.join(tmpDir, 'home') }
+    })
+  };
+}
+
+test('later layers win and every override is reported', () => {
+  const { ait, read } = project('convert');
+  const result = ait(SOURCES);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(read('.claude/commands/git/commit.md'), 'Local commit');
+  assert.equal(read('.claude/commands/commit.md'), 'Top-level commit');
+  assert.equal(read('.claude/commands/review.md'), 'Base review');
+  assert.equal(read('.claude/agents/reviewer.md'), '---\nname: reviewer\n---\n\nOrg reviewer');
+  assert.equal(read('CLAUDE.md'), 'Local context');
+
+  const warnings = result.stderr.split('\n').filter(line => line.includes('shadows'));
+  assert.deepEqual(warnings, [
+    '⚠️  git/commit.yaml from org shadows git/commit.yaml from base',
+    '⚠️  reviewer.yaml from org shadows agents/reviewer.yaml from base',
+    '⚠️  git/commit.yaml from local shadows git/commit.yaml from org',
+    '⚠️  instructions.yaml from local shadows project.yaml from base'
+  ]);
+});
+
+test('--explain lists the layer of every output and what it shadows, without converting', () => {
+  const { dir, ait } = project('explain');
+  const text = ait([...SOURCES, '--explain']);
+
+  assert.equal(text.status, 0, text.stderr);
+  assert.match(text.stdout, /1\. base\n {2}2\. org\n {2}3\. local/);
+  assert.match(text.stdout, /📄 git\/commit\.yaml from local\n {3}shadows git\/commit\.yaml from base\n {3}shadows git\/commit\.yaml from org\n {3}→ .*git\/commit\.md \(Claude Code\)/);
+  assert.match(text.stdout, /📄 review\.yaml from base\n {3}→ .*review\.md/);
+  assert.equal(fs.existsSync(path.join(dir, '.claude')), false);
+
+  const json = JSON.parse(ait([...SOURCES, '--explain', '--json']).stdout);
+  const commit = json.results.find(result => result.path === path.join('.claude', 'commands', 'git', 'commit.md'));
+  assert.deepEqual(commit, {
+    type: 'output',
+    target: 'claude',
+    path: path.join('.claude', 'commands', 'git', 'commit.md'),
+    source: 'git/commit.yaml',
+    layer: 'local',
+    shadows: [{ layer: 'base', source: 'git/commit.yaml' }, { layer: 'org', source: 'git/commit.yaml' }]
+  });
+});
+
+test('the layers are read from .ait/config.yaml without --source', () => {
+  const { dir, ait, read } = project('config');
+  fs.mkdirSync(path.join(dir, '.ait'));
+  fs.writeFileSync(path.join(dir, '.ait', 'config.yaml'), 'sources:\n  - base\n  - org\n');
+
+  const result = ait([]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(read('.claude/commands/git/commit.md'), 'Org commit');
+  assert.equal(read('CLAUDE.md'), 'Base context');
+});
+
+test('--watch needs a single local source', () => {
+  const { ait } = project('watch');
+  const result = ait([...SOURCES, '--watch']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--watch needs a single local source directory/);
+});
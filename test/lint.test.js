@@ -0,0 +1,53 @@
+// `ait lint` run through the CLI
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-lint-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Lint a directory holding the given files
+function lint(name, files) {
+  const dir = path.join(tmpDir, name);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return spawnSync(process.execPath, [CLI, 'lint', dir], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('duplicate names are found in files that fail validation too', () => {
+  const result = lint('duplicates', {
+    'a.yaml': 'name: review\nprompt: Review\n',
+    'b.yaml': 'name: review\n'
+  });
+
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /b\.yaml:1: error Missing required field "prompt"/);
+  assert.match(result.stdout, /b\.yaml:1: error Command name "review" is already used by a\.yaml \(duplicate-name\)/);
+});
+
+test('partials are skipped at any depth, like convert does', () => {
+  const result = lint('partials', {
+    'hello.yaml': 'name: hello\nprompt: Hello\n',
+    'partials/footer.yaml': 'footer: text\n',
+    'team/partials/header.yaml': 'header: text\n'
+  });
+
+  assert.equal(result.status, 0, result.stdout);
+  assert.match(result.stdout, /1 file\(s\) checked: 0 error\(s\), 0 warning\(s\)/);
+});
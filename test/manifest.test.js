@@ -0,0 +1,125 @@
+// Incremental conversion: the manifest of generated files, hand-edit detection and pruning
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandConverter } from '../app/convert-commands.js';
+import { Reporter } from '../app/reporter.js';
+import { Manifest, hashContent } from '../app/manifest.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-manifest-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A project converting ./commands to Claude Code; convert() runs like one `ait convert`
+function project(name, files) {
+  const dir = path.join(tmpDir, name);
+  const source = path.join(dir, 'commands');
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(source, file)), { recursive: true });
+    fs.writeFileSync(path.join(source, file), content);
+  }
+
+  return {
+    manifestPath: path.join(dir, '.ait', 'manifest.json'),
+    source: file => path.join(source, file),
+    output: file => path.join(dir, 'claude', file),
+    async convert(options = {}) {
+      const reporter = new Reporter('json', { write: () => {} });
+      const converter = new CommandConverter({
+        sources: [source],
+        targets: ['claude'],
+        targetDirs: { claude: path.join(dir, 'claude') },
+        manifestPath: path.join(dir, '.ait', 'manifest.json'),
+        onConflict: 'skip',
+        reporter,
+        ...options
+      });
+      await converter.initialize();
+      await converter.convertAll();
+      const actions = Object.fromEntries(reporter.results.map(result => [path.basename(result.path), result.action]));
+      return { stats: converter.stats, results: reporter.results, actions };
+    }
+  };
+}
+
+test('the manifest records each output with the hashes of its source and content', async () => {
+  const { convert, manifestPath, source, output } = project('record', { 'team/review.yaml': 'name: review\nprompt: Review\n' });
+  await convert();
+
+  const { files } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const key = new Manifest(manifestPath).key(output('team/review.md'));
+  assert.deepEqual(files[key], {
+    target: 'claude',
+    source: 'team/review.yaml',
+    sourceHash: hashContent(fs.readFileSync(source('team/review.yaml'), 'utf8')),
+    outputHash: hashContent(fs.readFileSync(output('team/review.md')))
+  });
+});
+
+test('a second run leaves up-to-date files alone and rewrites changed sources', async () => {
+  const { convert, source, output } = project('incremental', {
+    'a.yaml': 'name: a\nprompt: A\n',
+    'b.yaml': 'name: b\nprompt: B\n'
+  });
+  assert.equal((await convert()).stats.created, 2);
+  const written = fs.statSync(output('a.md')).mtimeMs;
+
+  fs.writeFileSync(source('b.yaml'), 'name: b\nprompt: B, changed\n');
+  const second = await convert();
+  assert.deepEqual(second.actions, { 'a.md': 'unchanged', 'b.md': 'updated' });
+  assert.equal(fs.statSync(output('a.md')).mtimeMs, written);
+  assert.equal(fs.readFileSync(output('b.md'), 'utf8'), 'B, changed');
+});
+
+test('outputs edited by hand or not generated by ait are conflicts', async () => {
+  const { convert, source, output } = project('edited', { 'a.yaml': 'name: a\nprompt: A\n' });
+  fs.mkdirSync(output(''), { recursive: true });
+  fs.writeFileSync(output('b.md'), 'Written by hand\n');
+  fs.writeFileSync(source('b.yaml'), 'name: b\nprompt: B\n');
+  await convert();
+
+  fs.writeFileSync(output('a.md'), 'Edited\n');
+  fs.writeFileSync(source('a.yaml'), 'name: a\nprompt: A, changed\n');
+  const { results } = await convert();
+
+  const reasons = Object.fromEntries(results.map(result => [path.basename(result.path), [result.action, result.reason]]));
+  assert.deepEqual(reasons, {
+    'a.md': ['skipped', 'was modified since it was generated'],
+    'b.md': ['skipped', 'already exists and was not generated by ait']
+  });
+  assert.equal(fs.readFileSync(output('a.md'), 'utf8'), 'Edited\n');
+  assert.equal(fs.readFileSync(output('b.md'), 'utf8'), 'Written by hand\n');
+});
+
+test('outputs of deleted sources are listed, and removed with prune unless edited', async () => {
+  const { convert, source, output } = project('prune', {
+    'a.yaml': 'name: a\nprompt: A\n',
+    'b.yaml': 'name: b\nprompt: B\n',
+    'c.yaml': 'name: c\nprompt: C\n'
+  });
+  await convert();
+  fs.rmSync(source('b.yaml'));
+  fs.rmSync(source('c.yaml'));
+  fs.writeFileSync(output('c.md'), 'Edited\n');
+
+  const listed = await convert();
+  assert.equal(listed.actions['b.md'], 'stale');
+  assert.equal(listed.actions['c.md'], 'stale');
+  assert.ok(fs.existsSync(output('b.md')));
+
+  const pruned = await convert({ prune: true });
+  assert.equal(pruned.actions['b.md'], 'removed');
+  assert.equal(pruned.actions['c.md'], 'conflict');
+  assert.equal(pruned.stats.pruned, 1);
+  assert.equal(fs.existsSync(output('b.md')), false);
+  assert.equal(fs.readFileSync(output('c.md'), 'utf8'), 'Edited\n');
+});
@@ -0,0 +1,153 @@
+// User and project MCP server catalogs (servers.yaml) merged over the built-in servers
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadServerCatalog, readServerCatalog, validateServerEntry, getUserCatalogPath } from '../app/mcp-catalog.js';
+import { getAvailableServers, getServerConfig, getClientConfig } from '../app/mcp-servers.config.js';
+import { configureMcp } from '../index.js';
+
+let tmpDir;
+let configHome;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-catalog-test-'));
+  // The user catalog is looked up below HOME
+  configHome = process.env.XDG_CONFIG_HOME;
+  delete process.env.XDG_CONFIG_HOME;
+});
+
+after(() => {
+  if (configHome !== undefined) process.env.XDG_CONFIG_HOME = configHome;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Write a catalog file, creating its directory
+function writeCatalog(filepath, content) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, content);
+  return filepath;
+}
+
+// A home and a project directory, each with an optional catalog
+function catalogs(name, { user, project } = {}) {
+  const homedir = path.join(tmpDir, name, 'home');
+  const cwd = path.join(tmpDir, name, 'project');
+  fs.mkdirSync(cwd, { recursive: true });
+  if (user) writeCatalog(getUserCatalogPath(homedir), user);
+  if (project) writeCatalog(path.join(cwd, '.ait', 'servers.yaml'), project);
+  return { homedir, cwd };
+}
+
+test('the user catalog lives in XDG_CONFIG_HOME or ~/.config', () => {
+  assert.equal(getUserCatalogPath('/home/me', {}), path.join('/home/me', '.config', 'ait', 'servers.yaml'));
+  assert.equal(getUserCatalogPath('/home/me', { XDG_CONFIG_HOME: '/xdg' }), path.join('/xdg', 'ait', 'servers.yaml'));
+});
+
+test('catalog servers are registered, with the project catalog winning', () => {
+  const dirs = catalogs('merge', {
+    user: [
+      'servers:',
+      '  internalApi:',
+      '    name: Internal API (user)',
+      '    transport: { url: https://user.example.com/sse }',
+      '  docs:',
+      '    requiredTokens: [DOCS_TOKEN]',
+      '    transport:',
+      '      command: docs-mcp',
+      '      env: { DOCS_TOKEN: "${DOCS_TOKEN}" }',
+      ''
+    ].join('\n'),
+    project: [
+      'servers:',
+      '  internalApi:',
+      '    name: Internal API',
+      '    requiredTokens: [INTERNAL_API_KEY]',
+      '    transport:',
+      '      httpUrl: https://mcp.internal.example.com/mcp',
+      '      headers: { Authorization: "Bearer ${INTERNAL_API_KEY}" }',
+      '    clients:',
+      '      vscode: false',
+      ''
+    ].join('\n')
+  });
+
+  const registered = loadServerCatalog(dirs);
+  assert.deepEqual(registered, [
+    { name: 'internalApi', source: path.join(dirs.cwd, '.ait', 'servers.yaml') },
+    { name: 'docs', source: getUserCatalogPath(dirs.homedir) }
+  ]);
+  assert.ok(getAvailableServers().includes('internalApi'));
+  assert.equal(getServerConfig('internalApi').name, 'Internal API');
+  assert.equal(getServerConfig('internalApi').type, 'http');
+  assert.equal(getServerConfig('docs').type, 'binary');
+  assert.equal(getClientConfig('internalApi', 'vscode'), null);
+
+  const { clients, files } = configureMcp({
+    servers: ['internalApi', 'docs'],
+    clients: ['claudeCode', 'vscode'],
+    tokens: { INTERNAL_API_KEY: 'key', DOCS_TOKEN: 'docs' },
+    scope: 'project',
+    cwd: dirs.cwd,
+    homedir: dirs.homedir
+  });
+  assert.deepEqual(clients.map(({ client, added, skipped }) => [client, added, skipped]), [
+    ['claudeCode', ['internalApi', 'docs'], []],
+    // internalApi disables VS Code, which doesn't run stdio servers like docs
+    ['vscode', [], ['internalApi', 'docs']]
+  ]);
+  assert.deepEqual(JSON.parse(files[0].content).mcpServers.docs, { command: 'docs-mcp', env: { DOCS_TOKEN: 'docs' } });
+});
+
+test('an entry named like a built-in server replaces it', () => {
+  const dirs = catalogs('override', { project: 'servers:\n  github:\n    transport: { command: my-github-mcp }\n' });
+  loadServerCatalog(dirs);
+  assert.equal(getServerConfig('github').source, path.join(dirs.cwd, '.ait', 'servers.yaml'));
+  assert.deepEqual(getClientConfig('github', 'claudeCode'), { command: 'my-github-mcp' });
+});
+
+test('invalid catalogs fail with every error and their location', () => {
+  const dirs = catalogs('invalid', {
+    project: [
+      'servers:',
+      '  both:',
+      '    transport: { command: x, url: https://example.com }',
+      '  badClient:',
+      '    transport: { command: x }',
+      '    clients: { cursor: {} }',
+      ''
+    ].join('\n')
+  });
+  const catalog = path.join(dirs.cwd, '.ait', 'servers.yaml');
+  assert.throws(() => loadServerCatalog(dirs), error => {
+    assert.equal(error.message, [
+      'Invalid server catalog:',
+      `  ${catalog}:2 Server "both" must have only one of transport.command, transport.url or transport.httpUrl, got command, url`,
+      `  ${catalog}:4 Unknown client "servers.badClient.clients.cursor". Available clients: claudeCode, claudeDesktop, vscode, gemini`
+    ].join('\n'));
+    return true;
+  });
+
+  assert.deepEqual(
+    readServerCatalog(writeCatalog(path.join(tmpDir, 'list.yaml'), '- github\n')).diagnostics.map(diagnostic => diagnostic.message),
+    ['Expected a "servers" mapping of server names to entries']
+  );
+  assert.deepEqual(readServerCatalog(path.join(tmpDir, 'missing.yaml')), { servers: {}, diagnostics: [] });
+});
+
+test('validateServerEntry checks the schema, the transport and token placeholders', () => {
+  const messages = (name, entry) => validateServerEntry(name, entry).map(({ severity, message }) => `${severity}: ${message}`);
+
+  assert.deepEqual(messages('-bad', {}), ['error: Invalid server name "-bad"']);
+  assert.deepEqual(messages('none', {}), [
+    'error: Server "none" needs transport.command, transport.url or transport.httpUrl, or a config under clients'
+  ]);
+  assert.deepEqual(messages('ftp', { transport: { url: 'ftp://example.com' } }), ['error: Field "servers.ftp.transport.url" must be an http(s) URL']);
+  assert.deepEqual(messages('env', { transport: { command: 'x', env: { PORT: 8080 } } }), ['error: Field "servers.env.transport.env.PORT" must be string']);
+  assert.deepEqual(messages('tokens', { transport: { command: 'x', args: ['${API_KEY}'] } }), [
+    'warning: Server "tokens" uses ${API_KEY} but does not list it in requiredTokens'
+  ]);
+  assert.deepEqual(messages('clientsOnly', { clients: { claudeCode: { command: 'x' } } }), []);
+});
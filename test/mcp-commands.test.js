@@ -0,0 +1,128 @@
+// `ait mcp list`, `status` and `remove` against project-scoped client configs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+const CLIENTS = ['--clients', 'claudeCode,vscode,gemini', '--scope', 'project'];
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-mcp-commands-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A project where Claude Code and VS Code have servers and Gemini CLI has no config
+function project(name) {
+  const dir = path.join(tmpDir, name);
+  const write = (file, config) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(config, null, 2));
+  };
+  write('.mcp.json', {
+    theme: 'dark',
+    mcpServers: {
+      github: { command: 'docker', args: ['run', 'ghcr.io/github/github-mcp-server'] },
+      mine: { command: 'my-server', env: { API_KEY: '${API_KEY}' } }
+    }
+  });
+  write('.vscode/mcp.json', { mcpServers: { github: { type: 'http', url: 'https://api.githubcopilot.com/mcp/' } } });
+
+  return {
+    dir,
+    read: file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')),
+    mcp: (...args) => spawnSync(process.execPath, [CLI, 'mcp', ...args], {
+      cwd: dir,
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...process.env, HOME: path.join(tmpDir, 'home') }
+    })
+  };
+}
+
+test('list shows a server by client matrix with transports', () => {
+  const { dir, mcp } = project('list');
+
+  const text = mcp('list', ...CLIENTS);
+  assert.equal(text.status, 0, text.stderr);
+  // Strip colors
+  const lines = text.stdout.replace(/\u001b\[\d+m/g, '').split('\n');
+  assert.deepEqual(lines.slice(lines.indexOf('Server  claudeCode  vscode'), lines.indexOf('Server  claudeCode  vscode') + 3), [
+    'Server  claudeCode  vscode',
+    'github  stdio       http',
+    'mine    stdio       -'
+  ]);
+  assert.ok(lines.some(line => line.includes(`Gemini CLI: ${path.join(dir, '.gemini', 'settings.json')} (not configured)`)));
+
+  const { summary, results } = JSON.parse(mcp('list', ...CLIENTS, '--json').stdout);
+  assert.deepEqual(summary, { servers: 2, clients: 2 });
+  assert.deepEqual(results.filter(result => result.type === 'server').map(({ server, client, transport }) => [server, client, transport]), [
+    ['github', 'claudeCode', 'stdio'],
+    ['github', 'vscode', 'http'],
+    ['mine', 'claudeCode', 'stdio']
+  ]);
+});
+
+test('status flags unresolved placeholders and servers missing from the catalog', () => {
+  const { mcp } = project('status');
+  const result = mcp('status', ...CLIENTS, '--json');
+
+  assert.equal(result.status, 0, result.stderr);
+  const { summary, results } = JSON.parse(result.stdout);
+  assert.deepEqual(summary, { configured: 2 });
+  assert.deepEqual(results.map(({ client, action, servers, warnings }) => ({ client, action, servers, warnings })), [
+    {
+      client: 'claudeCode',
+      action: 'configured',
+      servers: ['github', 'mine'],
+      warnings: ['mine has unresolved placeholders: API_KEY', 'mine is not in the server catalog (added by hand?)']
+    },
+    { client: 'vscode', action: 'configured', servers: ['github'], warnings: undefined },
+    { client: 'gemini', action: 'missing', servers: undefined, warnings: undefined }
+  ]);
+});
+
+test('remove deletes entries from every client, keeping other keys and servers', () => {
+  const { dir, mcp, read } = project('remove');
+
+  const dryRun = mcp('remove', 'github', ...CLIENTS, '--dry-run');
+  assert.equal(dryRun.status, 0, dryRun.stderr);
+  assert.match(dryRun.stdout, /Would remove github from Claude Code/);
+  assert.ok(read('.mcp.json').mcpServers.github);
+
+  const result = mcp('remove', 'github', ...CLIENTS, '--json');
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(read('.mcp.json'), {
+    theme: 'dark',
+    mcpServers: { mine: { command: 'my-server', env: { API_KEY: '${API_KEY}' } } }
+  });
+  assert.deepEqual(read('.vscode/mcp.json'), { mcpServers: {} });
+  assert.equal(fs.existsSync(path.join(dir, '.gemini')), false);
+
+  const { summary, results } = JSON.parse(result.stdout);
+  assert.equal(summary.removed, 2);
+  const backups = results.filter(entry => entry.type === 'file').map(entry => entry.backup);
+  assert.equal(backups.length, 2);
+  assert.match(JSON.parse(fs.readFileSync(backups[0], 'utf8')).mcpServers.github.command, /docker/);
+
+  // Repeating it is not an error
+  const again = mcp('remove', 'github', ...CLIENTS, '--json');
+  assert.equal(again.status, 0);
+  assert.deepEqual(JSON.parse(again.stdout).results, [{ type: 'server', server: 'github', action: 'missing' }]);
+});
+
+test('unknown clients fail', () => {
+  const { mcp } = project('unknown');
+  const result = mcp('list', '--clients', 'cursor');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Unknown MCP client cursor\. Available clients: claudeCode, claudeDesktop, vscode, gemini/);
+});
@@ -0,0 +1,119 @@
+// `ait mcp doctor` checks against stub MCP servers (test/fixtures/mcp)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkServer, findMissingEnv, MCP_PROTOCOL_VERSION } from '../app/mcp-doctor.js';
+import { startStubServer } from './fixtures/mcp/http-server.js';
+
+const STDIO_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mcp', 'stdio-server.js');
+const ENV = { ...process.env, STUB_TOKEN: 'token', STUB_SECRET: 'secret' };
+const TIMEOUT = 5000;
+
+let stub;
+
+before(async () => {
+  stub = await startStubServer();
+});
+
+after(async () => {
+  await stub.close();
+});
+
+// A port nothing listens on
+async function closedPort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+function assertOk(result, transport) {
+  assert.equal(result.status, 'ok', result.error);
+  assert.equal(result.transport, transport);
+  assert.equal(result.protocolVersion, MCP_PROTOCOL_VERSION);
+  assert.deepEqual(result.serverInfo, { name: 'stub', version: '0.1.0' });
+  // Both pages of tools/list
+  assert.equal(result.tools, 3);
+  assert.deepEqual(result.missingEnv, []);
+}
+
+test('stdio servers are ok when they complete the handshake', async () => {
+  const entry = { command: process.execPath, args: [STDIO_SERVER], env: { STUB_TOKEN: '${STUB_TOKEN}' } };
+  assertOk(await checkServer(entry, { timeout: TIMEOUT, env: ENV }), 'stdio');
+});
+
+test('streamable HTTP servers are ok with JSON and with SSE replies', async () => {
+  const headers = { Authorization: 'Bearer ${STUB_SECRET}' };
+  assertOk(await checkServer({ type: 'http', url: `${stub.url}/mcp`, headers }, { timeout: TIMEOUT, env: ENV }), 'http');
+  assertOk(await checkServer({ httpUrl: `${stub.url}/mcp-stream`, headers }, { timeout: TIMEOUT, env: ENV }), 'http');
+});
+
+test('HTTP+SSE servers are ok when they answer on the event stream', async () => {
+  assertOk(await checkServer({ url: `${stub.url}/sse` }, { timeout: TIMEOUT, env: ENV }), 'sse');
+});
+
+test('missing environment variables are reported next to the failure they cause', async () => {
+  const { STUB_TOKEN, STUB_SECRET, ...env } = ENV;
+
+  const stdio = await checkServer(
+    { command: process.execPath, args: [STDIO_SERVER], env: { STUB_TOKEN: '${STUB_TOKEN}' } },
+    { timeout: TIMEOUT, env }
+  );
+  assert.deepEqual(stdio.missingEnv, ['STUB_TOKEN']);
+  assert.equal(stdio.status, 'unreachable');
+  assert.match(stdio.error, /exited with code 1: STUB_TOKEN is not set/);
+
+  const httpResult = await checkServer(
+    { httpUrl: `${stub.url}/mcp`, headers: { Authorization: 'Bearer ${STUB_SECRET}' } },
+    { timeout: TIMEOUT, env }
+  );
+  assert.deepEqual(httpResult.missingEnv, ['STUB_SECRET']);
+  assert.equal(httpResult.status, 'error');
+  assert.match(httpResult.error, /HTTP 401 .*needs authorization.*unauthorized/);
+});
+
+test('findMissingEnv skips placeholders with defaults and flags empty env values', () => {
+  const entry = {
+    command: 'server',
+    args: ['--dir', '${WORKSPACE:-.}', '${env:API_URL}'],
+    env: { API_KEY: '${API_KEY}', EMPTY: '' }
+  };
+  assert.deepEqual(findMissingEnv(entry, { API_URL: 'https://example.com' }), ['API_KEY', 'EMPTY']);
+  assert.deepEqual(findMissingEnv(entry, { API_URL: 'x', API_KEY: 'y' }), ['EMPTY']);
+});
+
+test('servers that cannot be reached are unreachable', async () => {
+  const notFound = await checkServer({ command: 'ait-no-such-mcp-server' }, { timeout: TIMEOUT, env: ENV });
+  assert.equal(notFound.status, 'unreachable');
+  assert.match(notFound.error, /Command not found: ait-no-such-mcp-server/);
+
+  const refused = await checkServer({ httpUrl: `http://127.0.0.1:${await closedPort()}/mcp` }, { timeout: TIMEOUT, env: ENV });
+  assert.equal(refused.status, 'unreachable');
+  assert.match(refused.error, /ECONNREFUSED/);
+
+  const hanging = await checkServer({ httpUrl: `${stub.url}/hang` }, { timeout: 300, env: ENV });
+  assert.equal(hanging.transport, 'http');
+  assert.equal(hanging.status, 'unreachable');
+  assert.match(hanging.error, /timed out|No answer within 0.3s/);
+});
+
+test('servers that answer wrongly are errors', async () => {
+  const rejected = await checkServer(
+    { command: process.execPath, args: [STDIO_SERVER, '--fail-initialize'] },
+    { timeout: TIMEOUT, env: ENV }
+  );
+  assert.equal(rejected.status, 'error');
+  assert.match(rejected.error, /initialize failed: Unsupported protocol version \(code -32602\)/);
+
+  const notMcp = await checkServer({ httpUrl: `${stub.url}/not-mcp` }, { timeout: TIMEOUT, env: ENV });
+  assert.equal(notMcp.status, 'error');
+  assert.match(notMcp.error, /HTTP 404/);
+
+  const noTransport = await checkServer({ description: 'nothing to connect to' }, { timeout: TIMEOUT, env: ENV });
+  assert.equal(noTransport.transport, 'unknown');
+  assert.equal(noTransport.status, 'error');
+});
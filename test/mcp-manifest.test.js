@@ -0,0 +1,136 @@
+// Non-interactive `ait setup` from flags or an ait-mcp.yaml manifest
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadMcpManifest, parseTokenSource, readTokenSource, requiredTokens } from '../app/mcp-manifest.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-mcp-manifest-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A project directory; ait() runs the CLI in it with stdin not a TTY and the given environment
+function project(name, manifest) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  if (manifest) {
+    fs.writeFileSync(path.join(dir, 'ait-mcp.yaml'), manifest);
+  }
+  const env = { ...process.env, HOME: path.join(tmpDir, 'home') };
+  delete env.GITHUB_PERSONAL_ACCESS_TOKEN;
+  delete env.WORKSPACE_FOLDER;
+
+  return {
+    dir,
+    manifestPath: path.join(dir, 'ait-mcp.yaml'),
+    servers: () => JSON.parse(fs.readFileSync(path.join(dir, '.mcp.json'), 'utf8')).mcpServers,
+    ait: (args, extraEnv = {}) => spawnSync(process.execPath, [CLI, 'setup', ...args], {
+      cwd: dir,
+      encoding: 'utf8',
+      timeout: 30000,
+      env: { ...env, ...extraEnv }
+    })
+  };
+}
+
+test('a manifest names servers, clients, scope, workspace and token sources', () => {
+  const { dir, ait, servers } = project('manifest', [
+    'servers: [github, filesystem]',
+    'clients: [claudeCode]',
+    'scope: project',
+    'workspace: src',
+    'tokens:',
+    '  GITHUB_PERSONAL_ACCESS_TOKEN: env:CI_GITHUB_TOKEN',
+    ''
+  ].join('\n'));
+  fs.mkdirSync(path.join(dir, 'src'));
+
+  const result = ait(['--config', 'ait-mcp.yaml'], { CI_GITHUB_TOKEN: 'from-ci' });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /Using GITHUB_PERSONAL_ACCESS_TOKEN from environment variable CI_GITHUB_TOKEN/);
+
+  const configured = servers();
+  assert.deepEqual(Object.keys(configured), ['github', 'filesystem']);
+  assert.equal(configured.github.env.GITHUB_PERSONAL_ACCESS_TOKEN, 'from-ci');
+  assert.deepEqual(configured.filesystem.args, ['-y', '@modelcontextprotocol/server-filesystem', path.join(dir, 'src')]);
+});
+
+test('flags override the manifest and --token-from-env reads same-named variables', () => {
+  const { ait, servers } = project('flags', 'servers: [filesystem]\nclients: [gemini]\n');
+
+  const result = ait(
+    ['--config', 'ait-mcp.yaml', '--servers', 'github', '--clients', 'claudeCode', '--scope', 'project', '--token-from-env'],
+    { GITHUB_PERSONAL_ACCESS_TOKEN: 'from-env' }
+  );
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.deepEqual(Object.keys(servers()), ['github']);
+  assert.equal(servers().github.env.GITHUB_PERSONAL_ACCESS_TOKEN, 'from-env');
+});
+
+test('without a TTY, missing choices fail and missing tokens are all reported', () => {
+  const { dir, ait } = project('no-tty');
+
+  const noServers = ait(['--clients', 'claudeCode']);
+  assert.equal(noServers.status, 1);
+  assert.match(noServers.stderr, /stdin is not a TTY: pass --servers or list them in a manifest with --config/);
+
+  const noToken = ait(['--servers', 'github', '--clients', 'claudeCode', '--scope', 'project']);
+  assert.equal(noToken.status, 2);
+  assert.match(noToken.stdout, /Missing tokens for github: GITHUB_PERSONAL_ACCESS_TOKEN/);
+  assert.match(noToken.stdout, /set them in the environment and pass --token-from-env, or list their sources under tokens in the manifest/);
+  assert.equal(fs.existsSync(path.join(dir, '.mcp.json')), false);
+});
+
+test('loadMcpManifest validates names and resolves paths against the manifest', () => {
+  const { dir, manifestPath } = project('load', [
+    'servers: [github]',
+    'tokens:',
+    '  GITHUB_PERSONAL_ACCESS_TOKEN: file:secrets/github',
+    '  OTHER: prompt',
+    'workspace: .',
+    ''
+  ].join('\n'));
+  assert.deepEqual(loadMcpManifest(manifestPath), {
+    servers: ['github'],
+    workspace: dir,
+    tokens: {
+      GITHUB_PERSONAL_ACCESS_TOKEN: { type: 'file', path: path.join(dir, 'secrets', 'github') },
+      OTHER: { type: 'prompt' }
+    }
+  });
+
+  const invalid = (content, message) => {
+    fs.writeFileSync(manifestPath, content);
+    assert.throws(() => loadMcpManifest(manifestPath), message);
+  };
+  invalid('servers: [nope]\n', /unknown servers nope\. Available: github/);
+  invalid('clients: claudeCode\n', /"clients" must be a list of names/);
+  invalid('scope: global\n', /"scope" must be one of project, user/);
+  invalid('token: {}\n', /unknown key token/);
+  invalid('tokens:\n  A: vault\n', /Invalid source for A: "vault"/);
+  assert.throws(() => loadMcpManifest(path.join(dir, 'missing.yaml')), /missing\.yaml does not exist/);
+});
+
+test('token sources read environment variables and files', () => {
+  const secret = path.join(tmpDir, 'secret');
+  fs.writeFileSync(secret, 'from-file\n');
+
+  assert.deepEqual(parseTokenSource('A', 'env'), { type: 'env', name: 'A' });
+  assert.equal(readTokenSource(parseTokenSource('A', 'env:B'), { B: 'b' }), 'b');
+  assert.equal(readTokenSource(parseTokenSource('A', 'env:B'), { B: '' }), undefined);
+  assert.equal(readTokenSource(parseTokenSource('A', `file:${secret}`)), 'from-file');
+  assert.throws(() => readTokenSource({ type: 'file', path: path.join(tmpDir, 'none') }), /does not exist/);
+  assert.deepEqual(requiredTokens(['github', 'filesystem', 'github']), ['GITHUB_PERSONAL_ACCESS_TOKEN', 'WORKSPACE_FOLDER']);
+});
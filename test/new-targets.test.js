@@ -0,0 +1,54 @@
+// Cursor, Windsurf, Codex CLI and Continue outputs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convert, getTarget } from '../index.js';
+
+const SOURCE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sources', 'prompts', 'commands');
+const TARGETS = ['cursor', 'windsurf', 'codex', 'continue'];
+
+// Generated files of the fixture library by path
+async function generate() {
+  const { files, errors } = await convert({ source: SOURCE, targets: TARGETS, targetDirs: { codex: 'codex' } });
+  assert.deepEqual(errors, []);
+  return Object.fromEntries(files.map(file => [file.path.split(path.sep).join('/'), file.content]));
+}
+
+test('the new targets are only converted when selected', async () => {
+  const { files } = await convert({ source: SOURCE });
+  assert.deepEqual([...new Set(files.map(file => file.target))].sort(), ['claude', 'copilot', 'gemini']);
+});
+
+test('subfolders are flattened into prefixed names', async () => {
+  assert.deepEqual(Object.keys(await generate()).sort(), [
+    '.continue/prompts/hello.md',
+    '.continue/prompts/team_standup.md',
+    '.cursor/commands/hello.md',
+    '.cursor/commands/team_standup.md',
+    '.windsurf/workflows/hello.md',
+    '.windsurf/workflows/team_standup.md',
+    'codex/hello.md',
+    'codex/team_standup.md'
+  ]);
+});
+
+test('each target gets its own metadata and argument placeholder', async () => {
+  const files = await generate();
+
+  // Cursor commands are plain Markdown
+  assert.equal(files['.cursor/commands/hello.md'], 'Say hello to the text provided after the command');
+  assert.equal(files['.windsurf/workflows/hello.md'], '---\ndescription: Greet someone\n---\n\nSay hello to the text provided with the workflow');
+  assert.equal(files['codex/hello.md'], '---\ndescription: Greet someone\n---\n\nSay hello to $ARGUMENTS');
+  assert.equal(
+    files['.continue/prompts/team_standup.md'],
+    '---\nname: team_standup\ndescription: Summarize yesterday\'s work for the standup\ninvokable: true\n---\n\nSummarize the commits of the last day.'
+  );
+});
+
+test('Codex prompts default to the user-level prompts directory', () => {
+  const codexHome = process.env.CODEX_HOME || path.join(os.homedir(), '.codex');
+  assert.equal(getTarget('codex').outputDir, path.join(codexHome, 'prompts'));
+});
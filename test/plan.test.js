@@ -0,0 +1,117 @@
+// Planning outputs in memory (new, changed, unchanged, conflict) and `--dry-run`
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandConverter } from '../app/convert-commands.js';
+import { Reporter } from '../app/reporter.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-plan-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A converted project with four commands, then edited so each plans differently:
+// fresh is new, edited changed its source, hand has a hand-edited output, same is untouched
+async function project(name) {
+  const dir = path.join(tmpDir, name);
+  const source = path.join(dir, 'commands');
+  fs.mkdirSync(source, { recursive: true });
+  for (const command of ['edited', 'hand', 'same']) {
+    fs.writeFileSync(path.join(source, `${command}.yaml`), `name: ${command}\nprompt: Old ${command}\n`);
+  }
+
+  const converter = options => new CommandConverter({
+    sources: [source],
+    targets: ['claude'],
+    targetDirs: { claude: path.join(dir, 'out') },
+    manifestPath: path.join(dir, 'manifest.json'),
+    onConflict: 'fail',
+    reporter: new Reporter('json', { write: () => {} }),
+    ...options
+  });
+  await converter().convertAll();
+
+  fs.writeFileSync(path.join(source, 'fresh.yaml'), 'name: fresh\nprompt: New fresh\n');
+  fs.writeFileSync(path.join(source, 'edited.yaml'), 'name: edited\nprompt: New edited\n');
+  fs.writeFileSync(path.join(dir, 'out', 'hand.md'), 'By hand');
+
+  return { converter, output: file => path.join(dir, 'out', file), snapshot: () => read(path.join(dir, 'out')) };
+}
+
+// Contents of the files in a directory
+function read(dir) {
+  return Object.fromEntries(fs.readdirSync(dir).sort().map(file => [file, fs.readFileSync(path.join(dir, file), 'utf8')]));
+}
+
+test('planOutput renders in memory and compares with the disk and the manifest', async () => {
+  const { converter, output, snapshot } = await project('plan');
+  const planner = converter();
+  await planner.initialize();
+  planner.manifest.load();
+  const before = snapshot();
+
+  const plans = planner.loadSourceCommands().flatMap(command => planner.planCommand(command));
+  assert.deepEqual(plans.map(({ target, path: filepath, content, status, reason }) => ({ target, path: filepath, content, status, reason })), [
+    { target: 'claude', path: output('edited.md'), content: 'New edited', status: 'changed', reason: null },
+    { target: 'claude', path: output('fresh.md'), content: 'New fresh', status: 'new', reason: null },
+    { target: 'claude', path: output('hand.md'), content: 'Old hand', status: 'conflict', reason: 'was modified since it was generated' },
+    { target: 'claude', path: output('same.md'), content: 'Old same', status: 'unchanged', reason: null }
+  ]);
+  assert.deepEqual(snapshot(), before);
+});
+
+test('files that exist but were not generated by ait conflict', async () => {
+  const { converter, output } = await project('foreign');
+  fs.writeFileSync(output('fresh.md'), 'Mine');
+  const planner = converter();
+  await planner.initialize();
+  planner.manifest.load();
+
+  const [fresh] = planner.loadSourceCommands().filter(command => command.name === 'fresh');
+  const [plan] = planner.planCommand(fresh);
+  assert.equal(plan.status, 'conflict');
+  assert.equal(plan.reason, 'already exists and was not generated by ait');
+});
+
+test('dry run records what would happen and writes nothing', async () => {
+  const { converter, snapshot } = await project('dry-json');
+  const before = snapshot();
+  const dry = converter({ dryRun: true });
+  await dry.run();
+
+  assert.deepEqual(snapshot(), before);
+  assert.deepEqual(dry.report.results.map(result => [path.basename(result.path), result.action]), [
+    ['edited.md', 'updated'],
+    ['fresh.md', 'created'],
+    ['hand.md', 'conflict'],
+    ['same.md', 'unchanged']
+  ]);
+  assert.deepEqual(dry.stats, { created: 1, updated: 1, unchanged: 1, skipped: 0, conflicts: 1, pruned: 0, errors: 0 });
+});
+
+test('dry run prints the rendered content of new files and diffs of changed ones', async () => {
+  const { converter } = await project('dry-text');
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    await converter({ dryRun: true, reporter: new Reporter() }).run();
+  } finally {
+    console.log = log;
+  }
+
+  // Strip colors
+  const text = logged.join('\n').replace(/\u001b\[\d+m/g, '');
+  assert.match(text, /➕ new Claude Code: .*fresh\.md\n    --- \/dev\/null\n    \+\+\+ .*fresh\.md \(generated\)\n(    .*\n)*    \+New fresh/);
+  assert.match(text, /changed Claude Code: .*edited\.md\n    --- .*edited\.md \(existing\)\n(    .*\n)*    -Old edited\n    \+New edited/);
+  assert.match(text, /conflict Claude Code: .*hand\.md \(was modified since it was generated\)\n(    .*\n)*    -By hand\n    \+Old hand/);
+  assert.match(text, /✓ unchanged Claude Code: .*same\.md\n\n/);
+});
@@ -0,0 +1,123 @@
+// Round trip: every generated file is parsed again and compared with its source YAML.
+// TOML is read back with smol-toml, not our own parser, so both can't share a bug.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { parse as parseTomlStrict } from 'smol-toml';
+import { convert, loadCommands, getAvailableTargets } from '../index.js';
+import { applyTargetOverrides, getTarget, getKindFormat } from '../app/targets/index.js';
+import { getDeclaredArguments } from '../app/command-arguments.js';
+import { parseToml, stringifyToml } from '../app/toml.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const SOURCES = {
+  bundled: path.join(here, '..', 'commands'),
+  fixtures: path.join(here, 'fixtures', 'round-trip')
+};
+
+// Frontmatter fields each built-in target copies from the source
+const FIELDS = {
+  claude: ['description', 'model'],
+  copilot: ['description', 'model'],
+  gemini: ['description'],
+  cursor: [],
+  windsurf: ['description'],
+  codex: ['description'],
+  continue: ['description']
+};
+
+// Split a generated file into { metadata, prompt }; Markdown files only have
+// frontmatter when their format produces metadata
+function parseOutput(file, format, command) {
+  if (file.path.endsWith('.toml')) {
+    const { prompt, ...metadata } = parseTomlStrict(file.content);
+    // Our own parser has to agree, as import reads these files with it
+    assert.deepEqual(parseToml(file.content), { prompt, ...metadata }, `${file.path}: parseToml`);
+    return { metadata, prompt };
+  }
+  const fields = Object.values(format.frontmatter(command)).filter(value => value !== undefined && value !== null);
+  if (fields.length === 0) {
+    return { metadata: {}, prompt: file.content };
+  }
+  const end = file.content.indexOf('\n---\n\n', 3);
+  assert.notEqual(end, -1, `${file.path} has an unterminated frontmatter block`);
+  return {
+    metadata: yaml.load(file.content.slice(4, end + 1)),
+    prompt: file.content.slice(end + 6)
+  };
+}
+
+// Prompts without named arguments or conditional sections only differ in the
+// $ARGUMENTS placeholder, so they can be compared with the source
+function comparablePrompt(command) {
+  return getDeclaredArguments(command).length === 0 && !/<!--\s*(if:|else|endif)/.test(command.prompt);
+}
+
+for (const [label, source] of Object.entries(SOURCES)) {
+  test(`${label} commands survive a round trip through every target`, async () => {
+    const { commands, errors } = loadCommands(source);
+    assert.deepEqual(errors, []);
+
+    const targets = getAvailableTargets();
+    const { files, errors: convertErrors } = await convert({ source, targets });
+    assert.deepEqual(convertErrors, []);
+    assert.ok(files.length > 0);
+
+    for (const file of files) {
+      const original = commands.find(command => command._filePath.split(path.sep).join('/') === file.source);
+      const command = applyTargetOverrides(original, file.target);
+      const format = getKindFormat(getTarget(file.target), command.kind);
+      const { metadata, prompt } = parseOutput(file, format, command);
+      const where = `${file.path} (from ${file.source})`;
+
+      if (format === getTarget(file.target)) {
+        for (const field of FIELDS[file.target]) {
+          assert.equal(metadata[field], command[field], `${where}: ${field}`);
+        }
+      }
+
+      if (comparablePrompt(command)) {
+        const placeholder = format.placeholders?.arguments;
+        const restored = placeholder ? prompt.split(placeholder).join('$ARGUMENTS') : prompt;
+        assert.equal(restored, command.prompt, `${where}: prompt`);
+      }
+    }
+  });
+}
+
+test('fixture values that need quoting or escaping keep their type', async () => {
+  const { files } = await convert({ source: SOURCES.fixtures, targets: ['claude', 'gemini'] });
+  const { commands } = loadCommands(SOURCES.fixtures);
+  const command = commands.find(candidate => candidate.name === 'numeric');
+  const numeric = files
+    .filter(file => file.source === 'numeric.yaml')
+    .map(file => parseOutput(file, getTarget(file.target), command));
+
+  assert.equal(numeric.length, 2);
+  numeric.forEach(({ metadata, prompt }) => {
+    assert.equal(metadata.description, '123');
+    assert.equal(prompt, 'yes: no # not a comment\n');
+  });
+});
+
+// Exact output for strings TOML has to escape; each one must also parse back to its input
+const TOML_STRINGS = [
+  ['quotes', 'Say "hi"', 'value = "Say \\"hi\\""\n'],
+  ['backslashes', 'C:\\dir\\ and \\n', 'value = "C:\\\\dir\\\\ and \\\\n"\n'],
+  ['control characters', 'bell\u0007 nul\u0000 del\u007f cr\r tab\t', 'value = "bell\\u0007 nul\\u0000 del\\u007f cr\\r tab\t"\n'],
+  ['a delimiter inside a multi-line string', 'a """ b\nc', 'value = """\na \\""" b\nc"""\n'],
+  ['quotes before the closing delimiter', 'line\nends with ""', 'value = """\nline\nends with "\\""""\n'],
+  ['control characters in a multi-line string', 'cr\r\nesc\u001b', 'value = """\ncr\\r\nesc\\u001b"""\n']
+];
+
+for (const [label, value, expected] of TOML_STRINGS) {
+  test(`stringifyToml escapes ${label}`, () => {
+    const toml = stringifyToml({ value });
+    assert.equal(toml, expected);
+    assert.deepEqual({ ...parseTomlStrict(toml) }, { value });
+    assert.deepEqual(parseToml(toml), { value });
+  });
+}
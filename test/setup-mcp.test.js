@@ -0,0 +1,136 @@
+// `ait setup` run through the CLI against project-scoped Claude Code config
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-setup-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A project directory; setup() configures the GitHub server in its .mcp.json with the given token,
+// overwriting a different entry unless --on-conflict is passed
+function project(name) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  const env = { ...process.env, HOME: path.join(tmpDir, 'home') };
+
+  return {
+    dir,
+    configPath: path.join(dir, '.mcp.json'),
+    setup: (token, ...args) => spawnSync(
+      process.execPath,
+      [CLI, 'setup', '--servers', 'github', '--clients', 'claudeCode', '--scope', 'project', '--token-from-env',
+        ...(args.includes('--on-conflict') ? [] : ['--on-conflict', 'overwrite']), ...args],
+      { cwd: dir, encoding: 'utf8', timeout: 30000, env: { ...env, GITHUB_PERSONAL_ACCESS_TOKEN: token } }
+    ),
+    backups: () => fs.readdirSync(dir).filter(file => file.endsWith('.bak'))
+  };
+}
+
+test('a run that leaves the config as it is writes nothing and makes no backup', () => {
+  const { setup, configPath, backups } = project('unchanged');
+  assert.equal(setup('ghp_first').status, 0);
+
+  assert.equal(setup('ghp_first').status, 0);
+  assert.deepEqual(backups(), []);
+
+  // Same config in another layout: the file keeps its formatting
+  const compact = JSON.stringify(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+  fs.writeFileSync(configPath, compact);
+  const result = setup('ghp_first', '--json');
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(fs.readFileSync(configPath, 'utf8'), compact);
+  assert.deepEqual(backups(), []);
+  assert.ok(JSON.parse(result.stdout).results.some(entry => entry.type === 'file' && entry.action === 'unchanged'));
+});
+
+test('only the latest backup is kept', () => {
+  const { setup, configPath, backups } = project('backups');
+  assert.equal(setup('ghp_first').status, 0);
+  const first = fs.readFileSync(configPath, 'utf8');
+
+  assert.equal(setup('ghp_second').status, 0);
+  assert.equal(backups().length, 1);
+  assert.equal(fs.readFileSync(path.join(path.dirname(configPath), backups()[0]), 'utf8'), first);
+  const second = fs.readFileSync(configPath, 'utf8');
+
+  assert.equal(setup('ghp_third').status, 0);
+  assert.equal(backups().length, 1);
+  assert.equal(fs.readFileSync(path.join(path.dirname(configPath), backups()[0]), 'utf8'), second);
+});
+
+// A .mcp.json with other settings, a server added by hand and an outdated GitHub entry
+const EXISTING = {
+  theme: 'dark',
+  mcpServers: {
+    mine: { command: 'my-server' },
+    github: { command: 'old', env: { GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_oldsecret' } }
+  }
+};
+
+test('setup merges into the existing config and shows per-server diffs with masked secrets', () => {
+  const { setup, configPath, backups } = project('merge');
+  fs.writeFileSync(configPath, JSON.stringify(EXISTING, null, 2));
+
+  const result = setup('ghp_newsecret', '--json');
+  assert.equal(result.status, 0, result.stderr);
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  assert.equal(config.theme, 'dark');
+  assert.deepEqual(Object.keys(config.mcpServers), ['mine', 'github']);
+  assert.deepEqual(config.mcpServers.mine, { command: 'my-server' });
+  assert.equal(config.mcpServers.github.command, 'docker');
+  assert.equal(config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN, 'ghp_newsecret');
+  assert.equal(backups().length, 1);
+
+  const { results } = JSON.parse(result.stdout);
+  const server = results.find(entry => entry.type === 'server');
+  assert.equal(server.action, 'updated');
+  assert.match(server.diff, /^-  "command": "old",$/m);
+  assert.match(server.diff, /^-    "GITHUB_PERSONAL_ACCESS_TOKEN": "\*\*\* \(old\)"$/m);
+  assert.match(server.diff, /^\+    "GITHUB_PERSONAL_ACCESS_TOKEN": "\*\*\*"$/m);
+  assert.doesNotMatch(result.stdout + result.stderr, /ghp_/);
+});
+
+test('--on-conflict skip keeps a different entry, and without a policy non-interactive runs fail', () => {
+  const { setup, configPath, backups } = project('keep');
+  const existing = JSON.stringify(EXISTING, null, 2);
+  fs.writeFileSync(configPath, existing);
+
+  const kept = setup('ghp_newsecret', '--on-conflict', 'skip', '--json');
+  assert.equal(kept.status, 0, kept.stderr);
+  assert.equal(JSON.parse(kept.stdout).results.find(entry => entry.type === 'server').action, 'kept');
+
+  const failed = setup('ghp_newsecret', '--on-conflict', 'fail');
+  assert.equal(failed.status, 2);
+  assert.match(failed.stdout, /already has a different "github" server/);
+  assert.doesNotMatch(failed.stdout, /ghp_/);
+
+  assert.equal(fs.readFileSync(configPath, 'utf8'), existing);
+  assert.deepEqual(backups(), []);
+});
+
+test('--dry-run shows the diff and touches nothing', () => {
+  const { setup, configPath, backups } = project('dry-run');
+  const existing = JSON.stringify(EXISTING, null, 2);
+  fs.writeFileSync(configPath, existing);
+
+  const result = setup('ghp_newsecret', '--dry-run');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /--- .*\.mcp\.json › github \(existing\)/);
+  assert.doesNotMatch(result.stdout, /ghp_/);
+  assert.equal(fs.readFileSync(configPath, 'utf8'), existing);
+  assert.deepEqual(backups(), []);
+});
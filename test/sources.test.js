@@ -0,0 +1,215 @@
+// Command sources against a local git repository and file-based fixtures
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseSource, resolveSource, SourceLock } from '../app/sources.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sources', 'prompts');
+
+let tmpDir;
+let home;
+
+// Run git in the fixture repository without depending on the user's git config
+function git(repo, ...args) {
+  return execFileSync('git', ['-c', 'user.name=ait', '-c', 'user.email=ait@example.com', '-c', 'commit.gpgsign=false', ...args], {
+    cwd: repo,
+    encoding: 'utf8'
+  }).trim();
+}
+
+// Copy the fixture library into a new git repository with one tagged commit
+function createRepo(name) {
+  const repo = path.join(tmpDir, name);
+  fs.cpSync(FIXTURE, repo, { recursive: true });
+  git(repo, 'init', '--quiet', '--initial-branch=main');
+  git(repo, 'add', '.');
+  git(repo, 'commit', '--quiet', '-m', 'Initial prompts');
+  git(repo, 'tag', '-a', 'v1.0.0', '-m', 'v1.0.0');
+  return repo;
+}
+
+// Pack the fixture library as a tarball with a top-level directory, like npm and GitHub
+function createTarball(name, extraFile) {
+  const staging = fs.mkdtempSync(path.join(tmpDir, 'staging-'));
+  fs.cpSync(FIXTURE, path.join(staging, 'prompts'), { recursive: true });
+  if (extraFile) {
+    fs.writeFileSync(path.join(staging, 'prompts', 'commands', extraFile.name), extraFile.content);
+  }
+  const archive = path.join(tmpDir, name);
+  execFileSync('tar', ['-czf', archive, '-C', staging, 'prompts']);
+  return archive;
+}
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-sources-test-'));
+  home = process.env.HOME;
+  // The sources cache lives below HOME
+  process.env.HOME = path.join(tmpDir, 'home');
+});
+
+after(() => {
+  process.env.HOME = home;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('parseSource recognizes every kind of source', () => {
+  assert.deepEqual(parseSource('./my-commands'), { type: 'local', dir: './my-commands' });
+  assert.deepEqual(parseSource('git+https://github.com/org/prompts.git#v1.2.0'), {
+    type: 'git', url: 'https://github.com/org/prompts.git', ref: 'v1.2.0'
+  });
+  assert.deepEqual(parseSource('git+file:///srv/prompts'), { type: 'git', url: 'file:///srv/prompts', ref: 'HEAD' });
+  assert.deepEqual(parseSource('npm:@scope/prompts@^1.2.0'), {
+    type: 'npm', spec: '@scope/prompts@^1.2.0', name: '@scope/prompts', range: '^1.2.0'
+  });
+  assert.deepEqual(parseSource('npm:prompts'), { type: 'npm', spec: 'prompts', name: 'prompts', range: 'latest' });
+  assert.deepEqual(parseSource('./prompts.tar.gz'), { type: 'tarball', file: './prompts.tar.gz' });
+  assert.deepEqual(parseSource('vendor/prompts.tgz'), { type: 'tarball', file: 'vendor/prompts.tgz' });
+  assert.deepEqual(parseSource('https://example.com/prompts.tar.gz'), { type: 'url', url: 'https://example.com/prompts.tar.gz' });
+  assert.deepEqual(parseSource(`http://example.com/prompts.tar.gz#sha256=${'AB'.repeat(32)}`), {
+    type: 'url', url: 'http://example.com/prompts.tar.gz', sha256: 'ab'.repeat(32)
+  });
+});
+
+test('SourceLock only writes when a pin changes and reads its pins back', () => {
+  const lockPath = path.join(tmpDir, 'lock', 'ait-lock.json');
+  const lock = new SourceLock(lockPath).load();
+  assert.deepEqual(lock.sources, {});
+
+  lock.save();
+  assert.equal(fs.existsSync(lockPath), false);
+
+  lock.set('npm:b@1', { resolved: '1.0.0' });
+  lock.set('git+file:///a#main', { resolved: 'abc' });
+  lock.save();
+  const written = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  assert.equal(written.version, 1);
+  assert.deepEqual(Object.keys(written.sources), ['git+file:///a#main', 'npm:b@1']);
+
+  const reloaded = new SourceLock(lockPath).load();
+  assert.deepEqual(reloaded.get('npm:b@1'), { resolved: '1.0.0' });
+  reloaded.set('npm:b@1', { resolved: '1.0.0' });
+  assert.equal(reloaded.changed, false);
+});
+
+test('SourceLock rejects a lockfile that is not JSON', () => {
+  const lockPath = path.join(tmpDir, 'broken-lock.json');
+  fs.writeFileSync(lockPath, '{ not json');
+  assert.throws(() => new SourceLock(lockPath).load(), /Invalid lockfile/);
+});
+
+test('git+file:// sources resolve to a commit and stay on the pinned one', async () => {
+  const repo = createRepo('repo');
+  const tagged = git(repo, 'rev-parse', 'HEAD');
+  const spec = `git+file://${repo}#main`;
+  const lock = new SourceLock(path.join(tmpDir, 'git-lock.json'));
+
+  const first = await resolveSource(spec, { lock });
+  assert.equal(first.type, 'git');
+  assert.equal(first.version, tagged.slice(0, 7));
+  assert.deepEqual(lock.get(spec), { resolved: tagged });
+  assert.ok(fs.existsSync(path.join(first.dir, 'hello.yaml')));
+  assert.ok(fs.existsSync(path.join(first.dir, 'team', 'standup.yaml')));
+  assert.equal(fs.existsSync(path.join(first.dir, '..', '.git')), false);
+
+  fs.writeFileSync(path.join(repo, 'commands', 'bye.yaml'), 'name: bye\nprompt: Say goodbye\n');
+  git(repo, 'add', '.');
+  git(repo, 'commit', '--quiet', '-m', 'Add bye');
+  const latest = git(repo, 'rev-parse', 'HEAD');
+
+  const pinned = await resolveSource(spec, { lock });
+  assert.equal(pinned.version, tagged.slice(0, 7));
+  assert.equal(fs.existsSync(path.join(pinned.dir, 'bye.yaml')), false);
+
+  const updated = await resolveSource(spec, { lock, update: true });
+  assert.deepEqual(lock.get(spec), { resolved: latest });
+  assert.ok(fs.existsSync(path.join(updated.dir, 'bye.yaml')));
+
+  // Annotated tags resolve to the commit they point at
+  const tag = await resolveSource(`git+file://${repo}#v1.0.0`, {});
+  assert.equal(tag.version, tagged.slice(0, 7));
+});
+
+test('git sources fail on an unknown ref', async () => {
+  const repo = createRepo('repo-refs');
+  await assert.rejects(resolveSource(`git+file://${repo}#no-such-branch`, {}), /git ref "no-such-branch" not found/);
+
+  const short = git(repo, 'rev-parse', '--short', 'HEAD');
+  await assert.rejects(resolveSource(`git+file://${repo}#${short}`, {}), /short commit SHAs are not supported, use the full 40-character SHA/);
+});
+
+test('git refs only match a tag or branch of exactly that name', async () => {
+  const repo = createRepo('repo-names');
+  const first = git(repo, 'rev-parse', 'HEAD');
+  git(repo, 'commit', '--quiet', '--allow-empty', '-m', 'Second');
+  const second = git(repo, 'rev-parse', 'HEAD');
+
+  // refs/tags/release/v2 must not be taken for v2
+  git(repo, 'tag', 'release/v2', first);
+  await assert.rejects(resolveSource(`git+file://${repo}#v2`, {}), /git ref "v2" not found/);
+  assert.equal((await resolveSource(`git+file://${repo}#release/v2`, {})).version, first.slice(0, 7));
+
+  // A tag and a branch with the same name need the full ref name
+  git(repo, 'tag', 'stable', first);
+  git(repo, 'branch', 'stable', second);
+  await assert.rejects(resolveSource(`git+file://${repo}#stable`, {}), /git ref "stable" is ambiguous in .*: use one of refs\/heads\/stable, refs\/tags\/stable/);
+  assert.equal((await resolveSource(`git+file://${repo}#refs/tags/stable`, {})).version, first.slice(0, 7));
+  assert.equal((await resolveSource(`git+file://${repo}#refs/heads/stable`, {})).version, second.slice(0, 7));
+});
+
+test('tarball sources are pinned by checksum and fail when the archive changes', async () => {
+  const archive = createTarball('prompts.tar.gz');
+  const lock = new SourceLock(path.join(tmpDir, 'tarball-lock.json'));
+
+  const resolved = await resolveSource(archive, { lock });
+  const { resolved: sha256 } = lock.get(archive);
+  assert.match(sha256, /^[0-9a-f]{64}$/);
+  assert.equal(resolved.type, 'tarball');
+  assert.equal(resolved.version, sha256.slice(0, 12));
+  // The single top-level directory is unwrapped down to commands/
+  assert.equal(path.basename(resolved.dir), 'commands');
+  assert.ok(fs.existsSync(path.join(resolved.dir, 'hello.yaml')));
+
+  // Same checksum: the cached extraction is used again
+  assert.equal((await resolveSource(archive, { lock })).dir, resolved.dir);
+
+  fs.rmSync(archive);
+  createTarball('prompts.tar.gz', { name: 'extra.yaml', content: 'name: extra\nprompt: Extra\n' });
+  await assert.rejects(resolveSource(archive, { lock }), /changed since it was locked .*--update-lock/);
+  assert.equal(lock.get(archive).resolved, sha256);
+
+  const updated = await resolveSource(archive, { lock, update: true });
+  assert.notEqual(lock.get(archive).resolved, sha256);
+  assert.ok(fs.existsSync(path.join(updated.dir, 'extra.yaml')));
+});
+
+test('tarball sources fail when the archive does not exist', async () => {
+  await assert.rejects(resolveSource(path.join(tmpDir, 'missing.tar.gz'), {}), /Source archive not found/);
+});
+
+test('archives over plain HTTP need a checksum and are checked against it', async () => {
+  const archive = fs.readFileSync(createTarball('served.tar.gz'));
+  const sha256 = crypto.createHash('sha256').update(archive).digest('hex');
+  const server = http.createServer((req, res) => res.end(archive));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/prompts.tar.gz`;
+
+  try {
+    await assert.rejects(resolveSource(url, {}), /is plain HTTP: use https:\/\/ or add the archive checksum as #sha256=<digest>/);
+    await assert.rejects(resolveSource(`${url}#sha256=${'0'.repeat(64)}`, {}), /Checksum mismatch/);
+
+    const resolved = await resolveSource(`${url}#sha256=${sha256}`, {});
+    assert.equal(resolved.type, 'url');
+    assert.equal(resolved.version, sha256.slice(0, 12));
+    assert.ok(fs.existsSync(path.join(resolved.dir, 'hello.yaml')));
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
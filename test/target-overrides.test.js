@@ -0,0 +1,62 @@
+// Per-target overrides under `targets.<name>` in a command YAML
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCommand, validateCommand } from '../index.js';
+import { applyTargetOverrides } from '../app/targets/index.js';
+
+const COMMAND = {
+  name: 'review',
+  description: 'Review',
+  model: 'opus',
+  tools: ['read'],
+  prompt: 'Review the diff.\n',
+  targets: {
+    copilot: { model: null, description: 'Copilot review', prompt_prepend: 'Be brief.', prompt_append: 'Thanks.' },
+    gemini: { enabled: false }
+  }
+};
+
+test('override fields replace the base ones and null removes them', () => {
+  const copilot = applyTargetOverrides(COMMAND, 'copilot');
+  assert.equal(copilot.description, 'Copilot review');
+  assert.equal('model' in copilot, false);
+  assert.deepEqual(copilot.tools, ['read']);
+  // The base command is left alone for the other targets
+  assert.equal(COMMAND.model, 'opus');
+  assert.equal(applyTargetOverrides(COMMAND, 'claude'), COMMAND);
+});
+
+test('prompt_prepend and prompt_append wrap the prompt in paragraphs', () => {
+  assert.equal(applyTargetOverrides(COMMAND, 'copilot').prompt, 'Be brief.\n\nReview the diff.\n\nThanks.\n');
+  // A prompt without a trailing newline keeps ending without one
+  const bare = { name: 'x', prompt: 'Body', targets: { claude: { prompt_append: 'After\n' } } };
+  assert.equal(applyTargetOverrides(bare, 'claude').prompt, 'Body\n\nAfter');
+});
+
+test('rendered files only carry the fields left for the target', () => {
+  assert.equal(
+    renderCommand(COMMAND, 'copilot').content,
+    '---\nmode: agent\ntools: [codebase]\ndescription: Copilot review\n---\n\nBe brief.\n\nReview the diff.\n\nThanks.\n'
+  );
+  assert.match(renderCommand(COMMAND, 'claude').content, /^model: opus$/m);
+});
+
+test('enabled: false leaves the command out for that target', () => {
+  assert.equal(applyTargetOverrides(COMMAND, 'gemini'), null);
+  assert.equal(renderCommand(COMMAND, 'gemini'), null);
+});
+
+test('override blocks are validated like the command', () => {
+  const diagnostics = validateCommand({
+    name: 'x',
+    prompt: 'x',
+    targets: { nope: {}, claude: { model: 3 }, copilot: 'text', gemini: { enabled: 'no' } }
+  });
+  assert.deepEqual(diagnostics.map(({ severity, rule, message }) => [severity, rule, message]), [
+    ['warning', 'unknown-target', 'Unknown target "nope" in targets (known: claude, copilot, gemini, cursor, windsurf, codex, continue)'],
+    ['error', 'field-type', 'Field "targets.claude.model" must be string, got number'],
+    ['error', 'field-type', 'Field "targets.copilot" must be object, got string'],
+    ['error', 'field-type', 'Field "targets.gemini.enabled" must be boolean, got string']
+  ]);
+});
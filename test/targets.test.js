@@ -0,0 +1,66 @@
+// Target adapter registry: validation, registration and third-party modules
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convert, renderCommand, registerTarget, getTarget, getAvailableTargets, getDefaultTargets, loadTargetModule } from '../index.js';
+import { validateTarget } from '../app/targets/index.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const ADAPTERS = path.join(here, 'fixtures', 'targets', 'adapters.js');
+const SOURCE = path.join(here, 'fixtures', 'sources', 'prompts', 'commands');
+
+// A minimal valid adapter
+function adapter(name, fields = {}) {
+  return {
+    name,
+    outputDir: `./.${name}`,
+    fileName: (command) => `${command.name}.md`,
+    frontmatter: () => ({}),
+    serialize: (frontmatter, prompt) => prompt,
+    ...fields
+  };
+}
+
+test('the built-in targets are registered and only the first three are on by default', () => {
+  assert.deepEqual(getAvailableTargets().slice(0, 7), ['claude', 'copilot', 'gemini', 'cursor', 'windsurf', 'codex', 'continue']);
+  assert.deepEqual(getDefaultTargets(), ['claude', 'copilot', 'gemini']);
+});
+
+test('adapters missing required fields or functions are rejected', () => {
+  assert.throws(() => validateTarget(null), /Invalid target adapter: expected an object/);
+  assert.throws(() => validateTarget({ name: 'half', outputDir: '.' }), /Invalid target adapter "half": missing fileName, frontmatter, serialize/);
+  assert.throws(() => validateTarget(adapter('bad', { serialize: 'text' })), /"bad": serialize must be a function/);
+  assert.throws(
+    () => validateTarget(adapter('kinds', { kinds: { agent: { outputDir: '.', fileName: () => 'a.md' } } })),
+    /"kinds": kinds\.agent needs frontmatter, serialize/
+  );
+});
+
+test('a name can only be registered twice with override', () => {
+  const first = adapter('twice');
+  registerTarget(first);
+  registerTarget(first);
+  assert.throws(() => registerTarget(adapter('twice')), /Target twice already exists/);
+
+  const replacement = adapter('twice', { outputDir: './.replaced' });
+  registerTarget(replacement, { override: true });
+  assert.equal(getTarget('twice'), replacement);
+});
+
+test('registered targets are converted like built-in ones', () => {
+  registerTarget(adapter('upper', { serialize: (frontmatter, prompt) => prompt.toUpperCase() }));
+  assert.deepEqual(renderCommand({ name: 'hi', prompt: 'Say hi\n' }, 'upper'), { path: '.upper/hi.md', content: 'SAY HI\n', target: 'upper' });
+  assert.throws(() => renderCommand({ name: 'hi', prompt: 'Say hi\n' }, 'nope'), /Unknown target "nope"\. Available targets: claude, /);
+});
+
+test('adapter modules are loaded, validated and usable in convert', async () => {
+  assert.deepEqual(await loadTargetModule(ADAPTERS), ['plain']);
+
+  const { files, errors } = await convert({ source: SOURCE, targets: ['plain'], targetDirs: { plain: 'out' } });
+  assert.deepEqual(errors, []);
+  const byPath = Object.fromEntries(files.map(file => [file.path, file]));
+  assert.deepEqual(Object.keys(byPath).sort(), [path.join('out', 'hello.txt'), path.join('out', 'team-standup.txt')]);
+  assert.equal(byPath[path.join('out', 'hello.txt')].content, '# Greet someone\n\nSay hello to <input>');
+});
@@ -0,0 +1,84 @@
+// Canonical tool vocabulary and the per-target tool tables
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseTool, formatTool, mapTools, unmapTools } from '../app/tools.js';
+import { getTarget } from '../app/targets/index.js';
+import { CommandConverter } from '../app/convert-commands.js';
+import { Reporter } from '../app/reporter.js';
+
+const TOOLS = ['shell(git:*)', 'Read', 'read', 'search', 'mcp:github/get_issue', 'mcp__linear', 'web-search', 'teleport'];
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-tools-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('canonical, Claude Code and MCP names are parsed into one vocabulary', () => {
+  assert.deepEqual(parseTool('shell(git add:*)'), { name: 'shell', pattern: 'git add:*' });
+  assert.deepEqual(parseTool('Bash(git add:*)'), { name: 'shell', pattern: 'git add:*' });
+  assert.deepEqual(parseTool('MultiEdit'), { name: 'edit', pattern: undefined });
+  assert.deepEqual(parseTool('mcp__github__get_issue'), { mcp: { server: 'github', tool: 'get_issue' } });
+  assert.deepEqual(parseTool('mcp:linear'), { mcp: { server: 'linear', tool: undefined } });
+  assert.equal(parseTool('teleport'), null);
+  assert.equal(formatTool(parseTool('Bash(npm test)')), 'shell(npm test)');
+});
+
+test('Claude Code keeps patterns and MCP tools', () => {
+  assert.deepEqual(mapTools(TOOLS, getTarget('claude').toolMap), {
+    mapped: ['Bash(git:*)', 'Read', 'Grep', 'mcp__github__get_issue', 'mcp__linear', 'WebSearch'],
+    unmapped: ['teleport']
+  });
+});
+
+test('Copilot leaves out patterned tools instead of granting the whole tool', () => {
+  assert.deepEqual(mapTools(TOOLS, getTarget('copilot').toolMap), {
+    mapped: ['codebase', 'search', 'github/get_issue', 'linear/*'],
+    unmapped: ['shell(git:*)', 'web-search', 'teleport']
+  });
+});
+
+test('Gemini has no tool list, so every tool is left out', () => {
+  assert.deepEqual(mapTools(TOOLS, getTarget('gemini').toolMap), { mapped: [], unmapped: TOOLS });
+});
+
+test('import reads target tool ids back into canonical tools', () => {
+  assert.deepEqual(unmapTools(['Bash(git:*)', 'Read', 'Grep', 'mcp__github__get_issue'], getTarget('claude').toolMap), [
+    'shell(git:*)', 'read', 'search', 'mcp:github/get_issue'
+  ]);
+  // Several tools share editFiles and search; the first one in the table wins
+  assert.deepEqual(unmapTools(['codebase', 'editFiles', 'search', 'github/get_issue'], getTarget('copilot').toolMap), [
+    'read', 'edit', 'search', 'github/get_issue'
+  ]);
+});
+
+test('convert warns about every tool a target leaves out', async () => {
+  const source = path.join(tmpDir, 'commands');
+  fs.mkdirSync(source, { recursive: true });
+  fs.writeFileSync(path.join(source, 'git.yaml'), 'name: git\nprompt: Commit\ntools: [shell(git:*), read, web-search]\n');
+
+  const converter = new CommandConverter({
+    sources: [source],
+    targets: ['claude', 'copilot', 'gemini'],
+    targetDirs: { claude: path.join(tmpDir, 'claude'), copilot: path.join(tmpDir, 'copilot'), gemini: path.join(tmpDir, 'gemini') },
+    reporter: new Reporter('json', { write: () => {} })
+  });
+  await converter.initialize();
+  const warnings = converter.planCommand(converter.loadCommandFile('git.yaml')).flatMap(plan => plan.warnings);
+
+  assert.deepEqual(warnings, [
+    '⚠️  GitHub Copilot: tool "shell(git:*)" in git.yaml can\'t be limited to its pattern and was left out',
+    '⚠️  GitHub Copilot: tool "web-search" in git.yaml has no equivalent and was left out',
+    '⚠️  Gemini CLI: tool "shell(git:*)" in git.yaml has no equivalent and was left out',
+    '⚠️  Gemini CLI: tool "read" in git.yaml has no equivalent and was left out',
+    '⚠️  Gemini CLI: tool "web-search" in git.yaml has no equivalent and was left out'
+  ]);
+});
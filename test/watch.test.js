@@ -0,0 +1,102 @@
+// Incremental regeneration by `ait convert --watch`, driven without fs.watch
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandConverter } from '../app/convert-commands.js';
+import { CommandWatcher } from '../app/watch-commands.js';
+import { listCommandFiles } from '../app/load-commands.js';
+
+let tmpDir;
+let log;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ait-watch-test-'));
+  // Keep the status lines out of the test output
+  log = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = log;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// A converted project with the given commands and a watcher over it
+async function watchProject(name, files) {
+  const dir = path.join(tmpDir, name);
+  const source = path.join(dir, 'commands');
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(source, file)), { recursive: true });
+    fs.writeFileSync(path.join(source, file), content);
+  }
+
+  const converter = new CommandConverter({
+    sources: [source],
+    targets: ['copilot'],
+    targetDirs: { copilot: path.join(dir, 'prompts') },
+    manifestPath: path.join(dir, 'manifest.json'),
+    onConflict: 'overwrite'
+  });
+  await converter.convertAll();
+
+  return {
+    converter,
+    watcher: new CommandWatcher(converter),
+    write: (file, content) => fs.writeFileSync(path.join(source, file), content),
+    remove: file => fs.rmSync(path.join(source, file)),
+    output: file => path.join(dir, 'prompts', file)
+  };
+}
+
+test('changed sources are regenerated and deleted ones lose their outputs', async () => {
+  const project = await watchProject('changes', { 'hello.yaml': 'name: hello\nprompt: Hello\n' });
+
+  project.write('hello.yaml', 'name: hello\nprompt: Hello again\n');
+  project.write('bye.yaml', 'name: bye\nprompt: Bye\n');
+  await project.watcher.process(['hello.yaml', 'bye.yaml']);
+  assert.match(fs.readFileSync(project.output('hello.prompt.md'), 'utf8'), /Hello again/);
+  assert.ok(fs.existsSync(project.output('bye.prompt.md')));
+
+  project.remove('bye.yaml');
+  await project.watcher.process(['bye.yaml']);
+  assert.equal(fs.existsSync(project.output('bye.prompt.md')), false);
+  assert.equal(project.converter.manifest.get(project.output('bye.prompt.md')), undefined);
+});
+
+test('invalid changes leave the previous outputs alone', async () => {
+  const project = await watchProject('invalid', { 'hello.yaml': 'name: hello\nprompt: Hello\n' });
+
+  project.write('hello.yaml', 'name: hello\n');
+  await project.watcher.process(['hello.yaml']);
+  assert.match(fs.readFileSync(project.output('hello.prompt.md'), 'utf8'), /Hello/);
+});
+
+test('changed sources go through the same collision check as a full convert', async () => {
+  // kiro/spec.yaml and kiro_spec.yaml both generate kiro_spec.prompt.md for Copilot
+  const project = await watchProject('collision', { 'kiro/spec.yaml': 'name: spec\nprompt: From the folder\n' });
+  project.write('kiro_spec.yaml', 'name: kiro_spec\nprompt: From the flat file\n');
+
+  const errors = console.error;
+  const messages = [];
+  console.error = message => messages.push(message);
+  try {
+    await project.watcher.process(['kiro_spec.yaml']);
+    await project.watcher.process([path.join('kiro', 'spec.yaml')]);
+  } finally {
+    console.error = errors;
+  }
+
+  // The first file in source order keeps the output, like in convertAll
+  const [winner, loser] = listCommandFiles(path.join(tmpDir, 'collision', 'commands'));
+  const content = fs.readFileSync(project.output('kiro_spec.prompt.md'), 'utf8');
+  assert.match(content, winner === 'kiro_spec.yaml' ? /From the flat file/ : /From the folder/);
+  assert.equal(project.converter.manifest.get(project.output('kiro_spec.prompt.md')).source, winner.split(path.sep).join('/'));
+
+  // Only the changed command of each run is reported, so the loser shows up once
+  const skipped = messages.filter(message => /^Skipping /.test(message));
+  assert.equal(skipped.length, 1);
+  assert.match(skipped[0], new RegExp(`Skipping ${loser.replace(/[.\\/]/g, '\\$&')}: .*is already generated from`));
+});
@@ -8,10 +8,13 @@ export default defineConfig({
     outDir: 'dist',
     ssr: true,
     rollupOptions: {
-      input: resolve(__dirname, 'cli.js'),
+      input: {
+        cli: resolve(__dirname, 'cli.js'),
+        index: resolve(__dirname, 'index.js')
+      },
       output: {
         format: 'es',
-        entryFileNames: 'cli.js',
+        entryFileNames: '[name].js',
       },
       external: [
         // Keep these external to avoid bundling issues
@@ -36,6 +39,9 @@ export default defineConfig({
     {
       name: 'copy-files-and-set-permissions',
       writeBundle() {
+        // Ship the hand-written type declarations of the library entry
+        fs.copyFileSync('index.d.ts', 'dist/index.d.ts');
+
         // Make CLI executable
         fs.chmodSync('dist/cli.js', '755');
         console.log('✅ Additional files copied and permissions set');